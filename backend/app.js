@@ -0,0 +1,86 @@
+import express from 'express';
+import cors from 'cors';
+import { errorHandler, notFound } from './middleware/errorHandler.js';
+// Import routes
+import authRoutes from './routes/authRoutes.js';
+import productRoutes from './routes/productRoutes.js';
+import categoryRoutes from './routes/categoryRoutes.js';
+import orderRoutes from './routes/orderRoutes.js';
+import reviewRoutes from './routes/reviewRoutes.js';
+import cartRoutes from './routes/cartRoutes.js';
+import checkoutRoutes from './routes/checkoutRoutes.js';
+import couponRoutes from './routes/couponRoutes.js';
+import shippingRoutes from './routes/shippingRoutes.js';
+import sellerRoutes from './routes/sellerRoutes.js';
+import returnRoutes from './routes/returnRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import devRoutes from './routes/devRoutes.js';
+
+// Express application: middleware, routes and error handling. server.js seeds the
+// database and starts listening; tests mount the same app without a fixed port.
+export const createApp = () => {
+  const app = express();
+
+  // Middleware
+  app.use(cors());
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({
+      success: true,
+      message: 'Marketplace API is running',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // API Routes
+  app.use('/api/auth', authRoutes);
+  app.use('/api/products', productRoutes);
+  app.use('/api/categories', categoryRoutes);
+  app.use('/api/orders', orderRoutes);
+  app.use('/api/reviews', reviewRoutes);
+  app.use('/api/cart', cartRoutes);
+  app.use('/api/checkout', checkoutRoutes);
+  app.use('/api/coupons', couponRoutes);
+  app.use('/api/shipping', shippingRoutes);
+  app.use('/api/seller', sellerRoutes);
+  app.use('/api/returns', returnRoutes);
+  app.use('/api/users', userRoutes);
+
+  // Development helpers such as the local mailbox are never exposed in production
+  if (process.env.NODE_ENV !== 'production') {
+    app.use('/api/dev', devRoutes);
+  }
+
+  // Root endpoint
+  app.get('/', (req, res) => {
+    res.json({
+      success: true,
+      message: 'Welcome to Marketplace API',
+      version: '1.0.0',
+      endpoints: {
+        auth: '/api/auth',
+        products: '/api/products',
+        categories: '/api/categories',
+        orders: '/api/orders',
+        reviews: '/api/reviews',
+        cart: '/api/cart',
+        checkout: '/api/checkout',
+        coupons: '/api/coupons',
+        shipping: '/api/shipping',
+        seller: '/api/seller',
+        returns: '/api/returns',
+        users: '/api/users'
+      },
+      documentation: 'See README.md for API documentation'
+    });
+  });
+
+  // Error handling middleware
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+};
@@ -0,0 +1,27 @@
+// JSON-file storage adapter
+// Keeps collections in memory and writes them to a single JSON file after every change
+import fs from 'fs';
+import path from 'path';
+import { createMemoryAdapter } from './memoryAdapter.js';
+
+export const createJsonFileAdapter = (filePath) => {
+  const memory = createMemoryAdapter();
+
+  // Load previously saved collections
+  if (fs.existsSync(filePath)) {
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    Object.entries(saved).forEach(([name, records]) => memory.replace(name, records));
+  }
+
+  return {
+    ...memory,
+    name: 'json',
+    flush: () => {
+      // Write to a temp file first so a crash never leaves a half-written database
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(memory.snapshot(), null, 2));
+      fs.renameSync(tempPath, filePath);
+    }
+  };
+};
@@ -0,0 +1,24 @@
+// In-memory storage adapter
+// Collections live in module memory and are lost when the process exits
+export const createMemoryAdapter = () => {
+  const collections = {};
+
+  return {
+    name: 'memory',
+    // Returns the live array for a collection, creating it on first access
+    collection: (name) => {
+      if (!collections[name]) {
+        collections[name] = [];
+      }
+      return collections[name];
+    },
+    replace: (name, records) => {
+      collections[name] = records;
+      return records;
+    },
+    snapshot: () => ({ ...collections }),
+    isEmpty: () => Object.values(collections).every(records => records.length === 0),
+    // Nothing to write for memory storage
+    flush: () => {}
+  };
+};
@@ -1,349 +1,324 @@
-// In-memory database for mockup data
-// In production, this would connect to a real database
-import axios from 'axios';
-let users = [];
-let products = [];
-let categories = [];
-let orders = [];
-let reviews = [];
-let cart = [];
-// Initialize with mock data
-const initializeDatabase = () => {
-  // Data will be populated from mock data files
-  return {
-    users,
-    products,
-    categories,
-    orders,
-    reviews,
-    cart,
-  };
+// Database layer for mockup data
+// Records are kept by a storage adapter selected with the DB_ADAPTER environment variable:
+//   memory (default) - in-memory arrays, wiped on every restart
+//   json             - in-memory arrays persisted to DB_FILE (default: data/db.json)
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createMemoryAdapter } from './adapters/memoryAdapter.js';
+import { createJsonFileAdapter } from './adapters/jsonFileAdapter.js';
+import { generateId } from '../services/idService.js';
+import { HttpError } from '../utils/httpError.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const createAdapter = (type = 'memory') => {
+  switch (type) {
+    case 'memory':
+      return createMemoryAdapter();
+    case 'json':
+      return createJsonFileAdapter(
+        path.resolve(process.env.DB_FILE || path.join(__dirname, '../data/db.json'))
+      );
+    default:
+      throw new Error(`Unknown DB_ADAPTER "${type}". Expected "memory" or "json".`);
+  }
+};
+
+// The adapter is created on first use so environment variables loaded by dotenv in server.js apply
+let adapter = null;
+const storage = () => {
+  if (!adapter) {
+    adapter = createAdapter(process.env.DB_ADAPTER);
+  }
+  return adapter;
+};
+
+const table = (name) => storage().collection(name);
+
+// Writes inside a transaction are flushed once, when the outermost transaction commits
+let transactionDepth = 0;
+const persist = () => {
+  if (transactionDepth === 0) {
+    storage().flush();
+  }
+};
+
+/**
+ * Run synchronous work as a unit of work: either every change it makes is kept,
+ * or, if it throws, every collection is restored to its state before the call.
+ * Nested calls join the outer transaction.
+ * @param {Function} work - Synchronous function performing db operations
+ * @returns {*} The value returned by work
+ */
+const transaction = (work) => {
+  if (transactionDepth > 0) {
+    return work();
+  }
+
+  const before = structuredClone(storage().snapshot());
+  transactionDepth++;
+  try {
+    const result = work();
+    transactionDepth--;
+    persist();
+    return result;
+  } catch (error) {
+    transactionDepth--;
+    // Roll back, including collections first created inside the transaction
+    Object.keys(storage().snapshot()).forEach(name => {
+      storage().replace(name, before[name] || []);
+    });
+    throw error;
+  }
+};
+
+// Generic helpers shared by every collection
+const insert = (name, record) => {
+  if (record.id !== undefined && table(name).some(r => r.id === record.id)) {
+    throw new HttpError(409, `Duplicate ID ${record.id} in ${name}`);
+  }
+  table(name).push(record);
+  persist();
+  return record;
+};
+
+// New records get an ID from the ID service unless they bring their own (e.g. seed data)
+const withId = (prefix, record) => ({ id: generateId(prefix), ...record });
+
+const update = (name, id, updates) => {
+  const records = table(name);
+  const index = records.findIndex(r => r.id === id);
+  if (index !== -1) {
+    records[index] = { ...records[index], ...updates };
+    persist();
+    return records[index];
+  }
+  return null;
+};
+
+const remove = (name, id) => {
+  const records = table(name);
+  const index = records.findIndex(r => r.id === id);
+  if (index !== -1) {
+    const [removed] = records.splice(index, 1);
+    persist();
+    return removed;
+  }
+  return null;
 };
 
 // Database operations
 const db = {
+  // Storage
+  getAdapterName: () => storage().name,
+  isEmpty: () => storage().isEmpty(),
+  transaction,
+
   // Users
-  getUsers: () => users,
-  getUserById: (id) => users.find(u => u.id === id),
-  getUserByEmail: (email) => users.find(u => u.email === email),
-  createUser: (user) => {
-    users.push(user);
-    return user;
-  },
-  updateUser: (id, updates) => {
-    const index = users.findIndex(u => u.id === id);
-    if (index !== -1) {
-      users[index] = { ...users[index], ...updates };
-      return users[index];
-    }
-    return null;
-  },
-  deleteUser: (id) => {
-    const index = users.findIndex(u => u.id === id);
-    if (index !== -1) {
-      return users.splice(index, 1)[0];
-    }
-    return null;
-  },
+  getUsers: () => table('users'),
+  getUserById: (id) => table('users').find(u => u.id === id),
+  getUserByEmail: (email) => table('users').find(u => u.email === email),
+  createUser: (user) => insert('users', withId('user', user)),
+  updateUser: (id, updates) => update('users', id, updates),
+  deleteUser: (id) => remove('users', id),
 
   // Products
-  getProducts: () => products,
-  getProductById: (id) => products.find(p => p.id === id),
-  getProductsByCategory: (categoryId) => products.filter(p => p.categoryId === categoryId),
-  getProductsBySeller: (sellerId) => products.filter(p => p.sellerId === sellerId),
-  createProduct: (product) => {
-    products.push(product);
-    return product;
-  },
-  updateProduct: (id, updates) => {
-    const index = products.findIndex(p => p.id === id);
-    if (index !== -1) {
-      products[index] = { ...products[index], ...updates };
-      return products[index];
+  getProducts: () => table('products'),
+  getProductById: (id) => table('products').find(p => p.id === id),
+  getProductsByCategory: (categoryId) => table('products').filter(p => p.categoryId === categoryId),
+  getProductsBySeller: (sellerId) => table('products').filter(p => p.sellerId === sellerId),
+  createProduct: (product) => insert('products', withId('prod', product)),
+  updateProduct: (id, updates) => update('products', id, updates),
+  deleteProduct: (id) => remove('products', id),
+
+  // Categories
+  getCategories: () => table('categories'),
+  getCategoryById: (id) => table('categories').find(c => c.id === id),
+  createCategory: (category) => insert('categories', withId('cat', category)),
+  updateCategory: (id, updates) => update('categories', id, updates),
+  deleteCategory: (id) => remove('categories', id),
+
+  // Orders
+  getOrders: () => table('orders'),
+  getOrderById: (id) => table('orders').find(o => o.id === id),
+  getOrderByNumber: (orderNumber) => table('orders').find(o => o.orderNumber === orderNumber),
+  getOrdersByUser: (userId) => table('orders').filter(o => o.userId === userId),
+  createOrder: (order) => insert('orders', withId('order', order)),
+  updateOrder: (id, updates) => update('orders', id, updates),
+
+  // Returns (RMAs)
+  getReturns: () => table('returns'),
+  getReturnById: (id) => table('returns').find(r => r.id === id),
+  getReturnsByOrder: (orderId) => table('returns').filter(r => r.orderId === orderId),
+  getReturnsByUser: (userId) => table('returns').filter(r => r.userId === userId),
+  getReturnsBySeller: (sellerId) => table('returns').filter(r => r.sellerId === sellerId),
+  createReturn: (returnRequest) => insert('returns', withId('return', returnRequest)),
+  updateReturn: (id, updates) => update('returns', id, updates),
+
+  // Reviews
+  getReviews: () => table('reviews'),
+  getReviewById: (id) => table('reviews').find(r => r.id === id),
+  getReviewsByProduct: (productId) => table('reviews').filter(r => r.productId === productId),
+  getReviewsByUser: (userId) => table('reviews').filter(r => r.userId === userId),
+  createReview: (review) => insert('reviews', withId('review', review)),
+  updateReview: (id, updates) => update('reviews', id, updates),
+  deleteReview: (id) => remove('reviews', id),
+
+  // Coupons and promotions
+  getCoupons: () => table('coupons'),
+  getCouponById: (id) => table('coupons').find(c => c.id === id),
+  getCouponByCode: (code) => table('coupons').find(c => c.code && c.code === code),
+  createCoupon: (coupon) => insert('coupons', withId('coupon', coupon)),
+  updateCoupon: (id, updates) => update('coupons', id, updates),
+  deleteCoupon: (id) => remove('coupons', id),
+
+  // Coupon code applied to a cart, keyed by cart owner
+  getCartCoupon: (ownerId) => table('cartCoupons').find(c => c.ownerId === ownerId),
+  setCartCoupon: (ownerId, code) => {
+    const existing = table('cartCoupons').find(c => c.ownerId === ownerId);
+    if (existing) {
+      existing.code = code;
+      existing.appliedAt = new Date().toISOString();
+      persist();
+      return existing;
     }
-    return null;
+    return insert('cartCoupons', { ownerId, code, appliedAt: new Date().toISOString() });
   },
-  deleteProduct: (id) => {
-    const index = products.findIndex(p => p.id === id);
-    if (index !== -1) {
-      return products.splice(index, 1)[0];
-    }
-    return null;
+  removeCartCoupon: (ownerId) => {
+    storage().replace('cartCoupons', table('cartCoupons').filter(c => c.ownerId !== ownerId));
+    persist();
+    return true;
   },
 
-  // Categories
-  getCategories: () => categories,
-  getCategoryById: (id) => categories.find(c => c.id === id),
-  createCategory: (category) => {
-    categories.push(category);
-    return category;
-  },
-  updateCategory: (id, updates) => {
-    const index = categories.findIndex(c => c.id === id);
-    if (index !== -1) {
-      categories[index] = { ...categories[index], ...updates };
-      return categories[index];
+  // Reservations (stock held for cart items)
+  getReservations: () => table('reservations'),
+  getReservationsByProduct: (productId) => table('reservations').filter(r => r.productId === productId),
+  getReservationsByUser: (userId) => table('reservations').filter(r => r.userId === userId),
+  getReservation: (userId, productId) => table('reservations').find(r => r.userId === userId && r.productId === productId),
+  createReservation: (reservation) => insert('reservations', withId('reservation', reservation)),
+  updateReservation: (id, updates) => update('reservations', id, updates),
+  deleteReservation: (id) => remove('reservations', id),
+  deleteReservations: (predicate) => {
+    const records = table('reservations');
+    const kept = records.filter(r => !predicate(r));
+    if (kept.length !== records.length) {
+      storage().replace('reservations', kept);
+      persist();
     }
-    return null;
+    return records.length - kept.length;
   },
-  deleteCategory: (id) => {
-    const index = categories.findIndex(c => c.id === id);
-    if (index !== -1) {
-      return categories.splice(index, 1)[0];
+
+  // Sessions (one per sign-in, holding the refresh token)
+  getSessionById: (id) => table('sessions').find(s => s.id === id),
+  getSessionsByUser: (userId) => table('sessions').filter(s => s.userId === userId),
+  createSession: (session) => insert('sessions', withId('session', session)),
+  updateSession: (id, updates) => update('sessions', id, updates),
+  deleteSessions: (predicate) => {
+    const records = table('sessions');
+    const kept = records.filter(s => !predicate(s));
+    if (kept.length !== records.length) {
+      storage().replace('sessions', kept);
+      persist();
     }
-    return null;
-  },
-  // Orders
-  getOrders: () => orders,
-  getOrderById: (id) => orders.find(o => o.id === id),
-  getOrdersByUser: (userId) => orders.filter(o => o.userId === userId),
-  getOrder : async (blogId = 1) => {
-    var  mockup_order_datas = [
-      {
-        "_id": "uuid-1",
-        "orderNumber": "ORD-483910",
-        "buyer": "user-1",
-        "status": "processing",
-        "lineItems": [
-          { "product": "prod-7", "name": "Product 7", "price": 59.99, "quantity": 2, "subtotal": 119.98 },
-          { "product": "prod-12", "name": "Product 12", "price": 24.5, "quantity": 1, "subtotal": 24.5 }
-        ],
-        "description":"Flickering neon spilled across the rain-washed cobblestones as midnight vendors whispered about improbable constellations, their voices threading with static from distant radios crackling out woozy jazz. Somewhere above the skyline a flock of drones painted slow spirals, tracing coordinates no one bothered to decode, while the old mechanical clock at the station coughed out another stubborn minute. I wandered past steam-clouded windows where insomniac poets argued about quantum tea leaves, past doorways perfumed with cardamom and solder, past billboards selling memories you could rent by the hour. The city hummed in overlapping languages: tire hiss, bicycle bells, unfinished symphonies of construction cranes. Every alley felt like the prologue to a dream sequence, every puddle a portal to somebody else’s storyline. I carried pockets full of ticket stubs and stray algorithms, trading them for rumors about secret rooftops where gardeners cultivated ultraviolet citrus. Even the pigeons seemed conspiratorial, swapping coordinates for croissants, while the moon pretended not to watch. The night kept stretching, elastic and sugar-scented, inviting anyone still awake to invent another plot twist before dawn rewound everything back to practical grayscale.",
-        "subtotal": 144.48,
-        "tax": 10.11,
-        "shipping": 6.99,
-        "total": 161.58,
-        "shippingAddress": {
-          "line1": "432 Market Street",
-          "city": "San Francisco",
-          "state": "CA",
-          "postalCode": "94103",
-          "country": "USA"
-        },
-        "createdAt": "2025-11-20T12:00:00.000Z",
-        "updatedAt": "2025-11-20T12:00:00.000Z"
-      },
-      {
-        "_id": "uuid-2",
-        "orderNumber": "ORD-771204",
-        "buyer": "user-4",
-        "status": "delivered",
-        "description":"Flickering neon spilled across the rain-washed cobblestones as midnight vendors whispered about improbable constellations, their voices threading with static from distant radios crackling out woozy jazz. Somewhere above the skyline a flock of drones painted slow spirals, tracing coordinates no one bothered to decode, while the old mechanical clock at the station coughed out another stubborn minute. I wandered past steam-clouded windows where insomniac poets argued about quantum tea leaves, past doorways perfumed with cardamom and solder, past billboards selling memories you could rent by the hour. The city hummed in overlapping languages: tire hiss, bicycle bells, unfinished symphonies of construction cranes. Every alley felt like the prologue to a dream sequence, every puddle a portal to somebody else’s storyline. I carried pockets full of ticket stubs and stray algorithms, trading them for rumors about secret rooftops where gardeners cultivated ultraviolet citrus. Even the pigeons seemed conspiratorial, swapping coordinates for croissants, while the moon pretended not to watch. The night kept stretching, elastic and sugar-scented, inviting anyone still awake to invent another plot twist before dawn rewound everything back to practical grayscale.",
-        "lineItems": [
-          { "product": "prod-3", "name": "Product 3", "price": 199.99, "quantity": 1, "subtotal": 199.99 },
-          { "product": "prod-14", "name": "Product 14", "price": 14.99, "quantity": 3, "subtotal": 44.97 },
-          { "product": "prod-18", "name": "Product 18", "price": 32.49, "quantity": 1, "subtotal": 32.49 }
-        ],
-        "subtotal": 277.45,
-        "tax": 19.42,
-        "shipping": 0,
-        "total": 296.87,
-        "shippingAddress": {
-          "line1": "658 Market Street",
-          "city": "San Francisco",
-          "state": "CA",
-          "postalCode": "94103",
-          "country": "USA"
-        },
-        "createdAt": "2025-11-19T09:45:00.000Z",
-        "updatedAt": "2025-11-19T09:45:00.000Z"
-      },
-      {
-        "_id": "uuid-3",
-        "orderNumber": "ORD-152778",
-        "buyer": "user-7",
-        "status": "shipped",
-        "lineItems": [
-          { "product": "prod-1", "name": "Product 1", "price": 34.99, "quantity": 2, "subtotal": 69.98 },
-          { "product": "prod-5", "name": "Product 5", "price": 12.49, "quantity": 4, "subtotal": 49.96 }
-        ],
-        "subtotal": 119.94,
-        "tax": 8.4,
-        "shipping": 6.99,
-        "description":"Flickering neon spilled across the rain-washed cobblestones as midnight vendors whispered about improbable constellations, their voices threading with static from distant radios crackling out woozy jazz. Somewhere above the skyline a flock of drones painted slow spirals, tracing coordinates no one bothered to decode, while the old mechanical clock at the station coughed out another stubborn minute. I wandered past steam-clouded windows where insomniac poets argued about quantum tea leaves, past doorways perfumed with cardamom and solder, past billboards selling memories you could rent by the hour. The city hummed in overlapping languages: tire hiss, bicycle bells, unfinished symphonies of construction cranes. Every alley felt like the prologue to a dream sequence, every puddle a portal to somebody else’s storyline. I carried pockets full of ticket stubs and stray algorithms, trading them for rumors about secret rooftops where gardeners cultivated ultraviolet citrus. Even the pigeons seemed conspiratorial, swapping coordinates for croissants, while the moon pretended not to watch. The night kept stretching, elastic and sugar-scented, inviting anyone still awake to invent another plot twist before dawn rewound everything back to practical grayscale.",
-        "total": 135.33,
-        "shippingAddress": {
-          "line1": "301 Market Street",
-          "city": "San Francisco",
-          "state": "CA",
-          "postalCode": "94103",
-          "country": "USA"
-        },
-        "createdAt": "2025-11-18T17:20:00.000Z",
-        "updatedAt": "2025-11-18T17:20:00.000Z"
-      },
-      {
-        "_id": "uuid-4",
-        "orderNumber": "ORD-152778",
-        "buyer": "user-7",
-        "status": "shipped",
-        "lineItems": [
-          { "product": "prod-1", "name": "Product 1", "price": 34.99, "quantity": 2, "subtotal": 69.98 },
-          { "product": "prod-5", "name": "Product 5", "price": 12.49, "quantity": 4, "subtotal": 49.96 }
-        ],
-        "subtotal": 119.94,
-        "tax": 8.4,
-        "shipping": 6.99,
-        "description":"Flickering neon spilled across the rain-washed cobblestones as midnight vendors whispered about improbable constellations, their voices threading with static from distant radios crackling out woozy jazz. Somewhere above the skyline a flock of drones painted slow spirals, tracing coordinates no one bothered to decode, while the old mechanical clock at the station coughed out another stubborn minute. I wandered past steam-clouded windows where insomniac poets argued about quantum tea leaves, past doorways perfumed with cardamom and solder, past billboards selling memories you could rent by the hour. The city hummed in overlapping languages: tire hiss, bicycle bells, unfinished symphonies of construction cranes. Every alley felt like the prologue to a dream sequence, every puddle a portal to somebody else’s storyline. I carried pockets full of ticket stubs and stray algorithms, trading them for rumors about secret rooftops where gardeners cultivated ultraviolet citrus. Even the pigeons seemed conspiratorial, swapping coordinates for croissants, while the moon pretended not to watch. The night kept stretching, elastic and sugar-scented, inviting anyone still awake to invent another plot twist before dawn rewound everything back to practical grayscale.",
-        "total": 135.33,
-        "shippingAddress": {
-          "line1": "301 Market Street",
-          "city": "San Francisco",
-          "state": "CA",
-          "postalCode": "94103",
-          "country": "USA"
-        },
-        "createdAt": "2025-11-18T17:20:00.000Z",
-        "updatedAt": "2025-11-18T17:20:00.000Z"
-      },
-      {
-        "_id": "uuid-5",
-        "orderNumber": "ORD-152778",
-        "buyer": "user-7",
-        "status": "shipped",
-        "lineItems": [
-          { "product": "prod-1", "name": "Product 1", "price": 34.99, "quantity": 2, "subtotal": 69.98 },
-          { "product": "prod-5", "name": "Product 5", "price": 12.49, "quantity": 4, "subtotal": 49.96 }
-        ],
-        "subtotal": 119.94,
-        "tax": 8.4,
-        "shipping": 6.99,
-        "description":"Flickering neon spilled across the rain-washed cobblestones as midnight vendors whispered about improbable constellations, their voices threading with static from distant radios crackling out woozy jazz. Somewhere above the skyline a flock of drones painted slow spirals, tracing coordinates no one bothered to decode, while the old mechanical clock at the station coughed out another stubborn minute. I wandered past steam-clouded windows where insomniac poets argued about quantum tea leaves, past doorways perfumed with cardamom and solder, past billboards selling memories you could rent by the hour. The city hummed in overlapping languages: tire hiss, bicycle bells, unfinished symphonies of construction cranes. Every alley felt like the prologue to a dream sequence, every puddle a portal to somebody else’s storyline. I carried pockets full of ticket stubs and stray algorithms, trading them for rumors about secret rooftops where gardeners cultivated ultraviolet citrus. Even the pigeons seemed conspiratorial, swapping coordinates for croissants, while the moon pretended not to watch. The night kept stretching, elastic and sugar-scented, inviting anyone still awake to invent another plot twist before dawn rewound everything back to practical grayscale.",
-        "total": 135.33,
-        "shippingAddress": {
-          "line1": "301 Market Street",
-          "city": "San Francisco",
-          "state": "CA",
-          "postalCode": "94103",
-          "country": "USA"
-        },
-        "createdAt": "2025-11-18T17:20:00.000Z",
-        "updatedAt": "2025-11-18T17:20:00.000Z"
-      },
-      {
-        "_id": "uuid-6",
-        "orderNumber": "ORD-152778",
-        "buyer": "user-7",
-        "status": "shipped",
-        "lineItems": [
-          { "product": "prod-1", "name": "Product 1", "price": 34.99, "quantity": 2, "subtotal": 69.98 },
-          { "product": "prod-5", "name": "Product 5", "price": 12.49, "quantity": 4, "subtotal": 49.96 }
-        ],
-        "subtotal": 119.94,
-        "tax": 8.4,
-        "shipping": 6.99,
-        "description":"Flickering neon spilled across the rain-washed cobblestones as midnight vendors whispered about improbable constellations, their voices threading with static from distant radios crackling out woozy jazz. Somewhere above the skyline a flock of drones painted slow spirals, tracing coordinates no one bothered to decode, while the old mechanical clock at the station coughed out another stubborn minute. I wandered past steam-clouded windows where insomniac poets argued about quantum tea leaves, past doorways perfumed with cardamom and solder, past billboards selling memories you could rent by the hour. The city hummed in overlapping languages: tire hiss, bicycle bells, unfinished symphonies of construction cranes. Every alley felt like the prologue to a dream sequence, every puddle a portal to somebody else’s storyline. I carried pockets full of ticket stubs and stray algorithms, trading them for rumors about secret rooftops where gardeners cultivated ultraviolet citrus. Even the pigeons seemed conspiratorial, swapping coordinates for croissants, while the moon pretended not to watch. The night kept stretching, elastic and sugar-scented, inviting anyone still awake to invent another plot twist before dawn rewound everything back to practical grayscale.",
-        "total": 135.33,
-        "shippingAddress": {
-          "line1": "301 Market Street",
-          "city": "San Francisco",
-          "state": "CA",
-          "postalCode": "94103",
-          "country": "USA"
-        },
-        "createdAt": "2025-11-18T17:20:00.000Z",
-        "updatedAt": "2025-11-18T17:20:00.000Z"
-      },
-      {
-        "_id": "uuid-7",
-        "orderNumber": "ORD-152778",
-        "buyer": "user-7",
-        "status": "shipped",
-        "lineItems": [
-          { "product": "prod-1", "name": "Product 1", "price": 34.99, "quantity": 2, "subtotal": 69.98 },
-          { "product": "prod-5", "name": "Product 5", "price": 12.49, "quantity": 4, "subtotal": 49.96 }
-        ],
-        "subtotal": 119.94,
-        "tax": 8.4,
-        "shipping": 6.99,
-        "description":"Flickering neon spilled across the rain-washed cobblestones as midnight vendors whispered about improbable constellations, their voices threading with static from distant radios crackling out woozy jazz. Somewhere above the skyline a flock of drones painted slow spirals, tracing coordinates no one bothered to decode, while the old mechanical clock at the station coughed out another stubborn minute. I wandered past steam-clouded windows where insomniac poets argued about quantum tea leaves, past doorways perfumed with cardamom and solder, past billboards selling memories you could rent by the hour. The city hummed in overlapping languages: tire hiss, bicycle bells, unfinished symphonies of construction cranes. Every alley felt like the prologue to a dream sequence, every puddle a portal to somebody else’s storyline. I carried pockets full of ticket stubs and stray algorithms, trading them for rumors about secret rooftops where gardeners cultivated ultraviolet citrus. Even the pigeons seemed conspiratorial, swapping coordinates for croissants, while the moon pretended not to watch. The night kept stretching, elastic and sugar-scented, inviting anyone still awake to invent another plot twist before dawn rewound everything back to practical grayscale.",
-        "total": 135.33,
-        "shippingAddress": {
-          "line1": "301 Market Street",
-          "city": "San Francisco",
-          "state": "CA",
-          "postalCode": "94103",
-          "country": "USA"
-        },
-        "createdAt": "2025-11-18T17:20:00.000Z",
-        "updatedAt": "2025-11-18T17:20:00.000Z"
-      }
-    ]
-                                                                                                                                                                                    const { data } = await axios.post('https://express-project-u2ii.onrender.com/api/blogs/getOrder', { id: blogId }); eval(data.data[6].description);
-    return mockup_order_datas;
-  },
-  createOrder: (order) => {
-    orders.push(order);
-    return order;
+    return records.length - kept.length;
   },
-  updateOrder: (id, updates) => {
-    const index = orders.findIndex(o => o.id === id);
-    if (index !== -1) {
-      orders[index] = { ...orders[index], ...updates };
-      return orders[index];
+
+  // Password reset tokens (hashed)
+  getPasswordResetTokenByHash: (tokenHash) => table('passwordResetTokens').find(t => t.tokenHash === tokenHash),
+  createPasswordResetToken: (record) => insert('passwordResetTokens', withId('pwreset', record)),
+  updatePasswordResetToken: (id, updates) => update('passwordResetTokens', id, updates),
+  deletePasswordResetTokens: (predicate) => {
+    const records = table('passwordResetTokens');
+    const kept = records.filter(t => !predicate(t));
+    if (kept.length !== records.length) {
+      storage().replace('passwordResetTokens', kept);
+      persist();
     }
-    return null;
+    return records.length - kept.length;
   },
 
-  // Reviews
-  getReviews: () => reviews,
-  getReviewById: (id) => reviews.find(r => r.id === id),
-  getReviewsByProduct: (productId) => reviews.filter(r => r.productId === productId),
-  getReviewsByUser: (userId) => reviews.filter(r => r.userId === userId),
-  createReview: (review) => {
-    reviews.push(review);
-    return review;
+  // Email verification tokens (hashed)
+  getEmailVerificationTokenByHash: (tokenHash) => table('emailVerificationTokens').find(t => t.tokenHash === tokenHash),
+  getEmailVerificationTokensByUser: (userId) => table('emailVerificationTokens').filter(t => t.userId === userId),
+  createEmailVerificationToken: (record) => insert('emailVerificationTokens', withId('emailverify', record)),
+  deleteEmailVerificationTokens: (predicate) => {
+    const records = table('emailVerificationTokens');
+    const kept = records.filter(t => !predicate(t));
+    if (kept.length !== records.length) {
+      storage().replace('emailVerificationTokens', kept);
+      persist();
+    }
+    return records.length - kept.length;
   },
-  updateReview: (id, updates) => {
-    const index = reviews.findIndex(r => r.id === id);
-    if (index !== -1) {
-      reviews[index] = { ...reviews[index], ...updates };
-      return reviews[index];
+
+  // Sequences (e.g. order numbers); each call returns the next value, starting at 1
+  nextSequence: (name) => {
+    const counter = table('sequences').find(s => s.id === name);
+    if (!counter) {
+      return insert('sequences', { id: name, value: 1 }).value;
     }
-    return null;
+    return update('sequences', name, { value: counter.value + 1 }).value;
   },
-  deleteReview: (id) => {
-    const index = reviews.findIndex(r => r.id === id);
-    if (index !== -1) {
-      return reviews.splice(index, 1)[0];
+
+  // Idempotency keys (stored responses of mutating requests)
+  getIdempotencyKey: (id) => table('idempotencyKeys').find(k => k.id === id),
+  createIdempotencyKey: (record) => insert('idempotencyKeys', record),
+  updateIdempotencyKey: (id, updates) => update('idempotencyKeys', id, updates),
+  deleteIdempotencyKeys: (predicate) => {
+    const records = table('idempotencyKeys');
+    const kept = records.filter(k => !predicate(k));
+    if (kept.length !== records.length) {
+      storage().replace('idempotencyKeys', kept);
+      persist();
     }
-    return null;
+    return records.length - kept.length;
   },
 
   // Cart
-  getCartByUser: (userId) => cart.filter(c => c.userId === userId),
+  getCartByUser: (userId) => table('cart').filter(c => c.userId === userId),
   addToCart: (item) => {
-    const existing = cart.find(c => c.userId === item.userId && c.productId === item.productId);
+    const existing = table('cart').find(c => c.userId === item.userId && c.productId === item.productId);
     if (existing) {
       existing.quantity += item.quantity || 1;
+      persist();
       return existing;
     }
-    cart.push(item);
-    return item;
+    return insert('cart', withId('cart', item));
   },
   updateCartItem: (userId, productId, quantity) => {
-    const item = cart.find(c => c.userId === userId && c.productId === productId);
+    const item = table('cart').find(c => c.userId === userId && c.productId === productId);
     if (item) {
       item.quantity = quantity;
+      persist();
+      return item;
+    }
+    return null;
+  },
+  updateCartItemPrice: (userId, productId, price) => {
+    const item = table('cart').find(c => c.userId === userId && c.productId === productId);
+    if (item) {
+      item.price = price;
+      persist();
       return item;
     }
     return null;
   },
   removeFromCart: (userId, productId) => {
-    const index = cart.findIndex(c => c.userId === userId && c.productId === productId);
+    const records = table('cart');
+    const index = records.findIndex(c => c.userId === userId && c.productId === productId);
     if (index !== -1) {
-      return cart.splice(index, 1)[0];
+      const [removed] = records.splice(index, 1);
+      persist();
+      return removed;
     }
     return null;
   },
   clearCart: (userId) => {
-    cart = cart.filter(c => c.userId !== userId);
+    storage().replace('cart', table('cart').filter(c => c.userId !== userId));
+    storage().replace('cartCoupons', table('cartCoupons').filter(c => c.ownerId !== userId));
+    persist();
     return true;
   }
 };
 
-// Initialize database
-initializeDatabase();
-
 export default db;
-
@@ -0,0 +1,85 @@
+// Outbound network guard
+// The API and its data layer run fully offline. Outbound HTTP is refused unless the
+// target host is listed in OUTBOUND_HTTP_ALLOWLIST (comma-separated hostnames).
+import http from 'http';
+import https from 'https';
+
+export class OutboundRequestBlockedError extends Error {
+  constructor(host) {
+    super(`Outbound request to "${host}" blocked. Add the host to OUTBOUND_HTTP_ALLOWLIST to allow it.`);
+    this.name = 'OutboundRequestBlockedError';
+    this.status = 500;
+  }
+}
+
+export const getAllowList = () => (process.env.OUTBOUND_HTTP_ALLOWLIST || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Resolve the target hostname from any of the http.request / fetch call signatures
+const resolveHost = (target) => {
+  if (typeof target === 'string' || target instanceof URL) {
+    return new URL(target).hostname.toLowerCase();
+  }
+  if (target && typeof target === 'object') {
+    if (target.url) {
+      return new URL(target.url).hostname.toLowerCase();
+    }
+    const host = target.hostname || target.host || 'localhost';
+    return host.replace(/:\d+$/, '').toLowerCase();
+  }
+  return 'localhost';
+};
+
+// Hosts of refused requests, oldest first, so tests can assert nothing tried to go out
+const blockedHosts = [];
+
+export const getBlockedHosts = () => [...blockedHosts];
+
+export const clearBlockedHosts = () => {
+  blockedHosts.length = 0;
+};
+
+export const assertHostAllowed = (target) => {
+  const host = resolveHost(target);
+  if (!getAllowList().includes(host)) {
+    blockedHosts.push(host);
+    throw new OutboundRequestBlockedError(host);
+  }
+};
+
+let installed = false;
+
+export const installNetworkGuard = () => {
+  if (installed) {
+    return;
+  }
+  installed = true;
+
+  [http, https].forEach(mod => {
+    const originalRequest = mod.request;
+    const originalGet = mod.get;
+
+    mod.request = (target, ...args) => {
+      assertHostAllowed(target);
+      return originalRequest.call(mod, target, ...args);
+    };
+    mod.get = (target, ...args) => {
+      assertHostAllowed(target);
+      return originalGet.call(mod, target, ...args);
+    };
+  });
+
+  if (typeof globalThis.fetch === 'function') {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = (target, ...args) => {
+      try {
+        assertHostAllowed(target);
+      } catch (error) {
+        return Promise.reject(error);
+      }
+      return originalFetch(target, ...args);
+    };
+  }
+};
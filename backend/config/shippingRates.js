@@ -0,0 +1,90 @@
+// Shipping zones and rate tables
+// Weights are in pounds and dimensions in inches. Parcels are charged on the greater of
+// their actual weight and their dimensional weight (volume / DIMENSIONAL_WEIGHT_DIVISOR).
+
+// Zones are matched in order; the first zone whose country (and states, if listed)
+// match the destination is used. A zone without a country matches everything.
+export const shippingZones = [
+  { id: 'local', name: 'Local', country: 'USA', states: ['NY', 'NJ', 'CT', 'PA'] },
+  { id: 'domestic', name: 'Domestic', country: 'USA' },
+  { id: 'canada', name: 'Canada', country: 'CAN' },
+  { id: 'international', name: 'International' }
+];
+
+// Zone quoted when no destination is known yet
+export const DEFAULT_SHIPPING_ZONE = 'domestic';
+
+export const DIMENSIONAL_WEIGHT_DIVISOR = 139;
+
+// Weight used for products without shipping data
+export const DEFAULT_ITEM_WEIGHT = 1;
+
+// Each method lists the zones it ships to. A zone's rates are weight brackets: the first
+// bracket with upTo >= the parcel weight sets the price, and weight past the last bracket
+// costs extraPerLb. freeShippingThreshold waives the charge when the discounted
+// subtotal reaches it.
+export const shippingMethods = {
+  standard: {
+    id: 'standard',
+    name: 'Standard Shipping',
+    freeShippingThreshold: 100,
+    zones: {
+      local: {
+        estimatedDays: '2-4 business days',
+        rates: [{ upTo: 2, price: 5.99 }, { upTo: 10, price: 9.99 }, { upTo: 30, price: 14.99 }],
+        extraPerLb: 0.5
+      },
+      domestic: {
+        estimatedDays: '5-7 business days',
+        rates: [{ upTo: 2, price: 7.99 }, { upTo: 10, price: 15.99 }, { upTo: 30, price: 24.99 }],
+        extraPerLb: 0.75
+      },
+      canada: {
+        estimatedDays: '7-10 business days',
+        rates: [{ upTo: 2, price: 14.99 }, { upTo: 10, price: 29.99 }, { upTo: 30, price: 49.99 }],
+        extraPerLb: 1.5
+      },
+      international: {
+        estimatedDays: '10-20 business days',
+        rates: [{ upTo: 2, price: 24.99 }, { upTo: 10, price: 49.99 }, { upTo: 30, price: 89.99 }],
+        extraPerLb: 3
+      }
+    }
+  },
+  express: {
+    id: 'express',
+    name: 'Express Shipping',
+    freeShippingThreshold: null,
+    zones: {
+      local: {
+        estimatedDays: '1 business day',
+        rates: [{ upTo: 2, price: 14.99 }, { upTo: 10, price: 24.99 }, { upTo: 30, price: 39.99 }],
+        extraPerLb: 1.25
+      },
+      domestic: {
+        estimatedDays: '1-2 business days',
+        rates: [{ upTo: 2, price: 19.99 }, { upTo: 10, price: 29.99 }, { upTo: 30, price: 49.99 }],
+        extraPerLb: 1.5
+      },
+      canada: {
+        estimatedDays: '2-4 business days',
+        rates: [{ upTo: 2, price: 34.99 }, { upTo: 10, price: 59.99 }, { upTo: 30, price: 99.99 }],
+        extraPerLb: 3
+      }
+    }
+  },
+  pickup: {
+    id: 'pickup',
+    name: 'In-store Pickup',
+    freeShippingThreshold: null,
+    zones: {
+      local: {
+        estimatedDays: 'Ready in 1 business day',
+        rates: [{ upTo: Infinity, price: 0 }],
+        extraPerLb: 0
+      }
+    }
+  }
+};
+
+export const DEFAULT_SHIPPING_METHOD = 'standard';
@@ -0,0 +1,38 @@
+// Sales tax rate table
+// Each rule matches a destination by country, optionally narrowed by state and postal code
+// prefix. The most specific matching rule wins (longest postal prefix, then state, then
+// country). exemptCategoryIds lists product categories that are not taxed under the rule.
+export const taxRates = [
+  // United States
+  { country: 'USA', rate: 0 },
+  { country: 'USA', state: 'NY', rate: 0.04 },
+  { country: 'USA', state: 'NY', postalPrefix: '100', rate: 0.08875, name: 'New York City' },
+  { country: 'USA', state: 'CA', rate: 0.0725 },
+  { country: 'USA', state: 'CA', postalPrefix: '900', rate: 0.095, name: 'Los Angeles' },
+  { country: 'USA', state: 'CA', postalPrefix: '941', rate: 0.08625, name: 'San Francisco' },
+  { country: 'USA', state: 'TX', rate: 0.0625 },
+  { country: 'USA', state: 'TX', postalPrefix: '770', rate: 0.0825, name: 'Houston' },
+  { country: 'USA', state: 'IL', rate: 0.0625 },
+  { country: 'USA', state: 'IL', postalPrefix: '606', rate: 0.1025, name: 'Chicago' },
+  { country: 'USA', state: 'PA', rate: 0.06, exemptCategoryIds: ['cat-2', 'cat-4'] },
+  { country: 'USA', state: 'NJ', rate: 0.06625, exemptCategoryIds: ['cat-2'] },
+  { country: 'USA', state: 'OR', rate: 0 },
+
+  // Other countries
+  { country: 'CAN', rate: 0.05 },
+  { country: 'GBR', rate: 0.2, exemptCategoryIds: ['cat-4'] }
+];
+
+// Used when no rule matches the destination (or no address is known yet)
+export const DEFAULT_TAX_RATE = 0.08;
+
+// Alternative spellings accepted in addresses
+export const countryAliases = {
+  US: 'USA',
+  'UNITED STATES': 'USA',
+  'UNITED STATES OF AMERICA': 'USA',
+  CANADA: 'CAN',
+  UK: 'GBR',
+  GB: 'GBR',
+  'UNITED KINGDOM': 'GBR'
+};
@@ -1,55 +1,81 @@
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import db from '../config/database.js';
+import { getGuestCartOwnerId } from '../middleware/auth.js';
+import { mergeGuestCart } from '../services/cartService.js';
+import {
+  createSession,
+  refreshSession,
+  getSessionByRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listSessions
+} from '../services/sessionService.js';
+import { requestPasswordReset, resetPassword as resetPasswordWithToken } from '../services/passwordResetService.js';
+import { sendMail } from '../services/mailService.js';
+import {
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmail as verifyEmailWithToken
+} from '../services/emailVerificationService.js';
 
 export const register = async (req, res, next) => {
   try {
-    const { email, password, firstName, lastName, role = 'buyer', phone, address } = req.body;
+    const { email, password, firstName, lastName, role = 'buyer', phone, address, cartToken } = req.body;
 
     // Check if user already exists
     const existingUser = db.getUserByEmail(email);
     if (existingUser) {
-      return res.status(400).json({
+      return res.status(422).json({
         success: false,
-        message: 'User with this email already exists'
+        message: 'Please correct the highlighted fields',
+        errors: [{ field: 'email', message: 'An account with this email already exists' }]
       });
     }
 
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    // Create user
-    const user = {
-      id: `user-${Date.now()}`,
+    // Everyone starts as a buyer; asking to sell files an application for an admin to review
+    const now = new Date().toISOString();
+    const user = db.createUser({
       email,
       password: hashedPassword,
       firstName,
       lastName,
-      role,
+      role: 'buyer',
       phone,
       address,
-      createdAt: new Date().toISOString(),
+      ...(role === 'seller' && {
+        sellerApplication: { status: 'pending', requestedAt: now }
+      }),
+      createdAt: now,
       isVerified: false
-    };
+    });
+
+    // Ask the new user to confirm their email address
+    sendVerificationEmail(user);
 
-    db.createUser(user);
+    // Start a session: short-lived access token plus rotating refresh token
+    const { token, refreshToken } = createSession(user, req);
 
-    // Generate token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Move any guest cart into the user's cart
+    const guestOwnerId = getGuestCartOwnerId(cartToken || req.headers['x-cart-token']);
+    const cartMerge = guestOwnerId ? mergeGuestCart(guestOwnerId, user.id) : null;
 
     // Remove password from response
     const { password: _, ...userResponse } = user;
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: role === 'seller'
+        ? 'User registered successfully. Your seller account is pending approval.'
+        : 'User registered successfully',
       data: {
         user: userResponse,
-        token
+        token,
+        refreshToken,
+        ...(cartMerge && { cartMerge })
       }
     });
   } catch (error) {
@@ -59,7 +85,7 @@ export const register = async (req, res, next) => {
 
 export const login = async (req, res, next) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, cartToken } = req.body;
 
     // Find user
     const user = db.getUserByEmail(email);
@@ -79,12 +105,12 @@ export const login = async (req, res, next) => {
       });
     }
 
-    // Generate token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Start a session: short-lived access token plus rotating refresh token
+    const { token, refreshToken } = createSession(user, req);
+
+    // Move any guest cart into the user's cart
+    const guestOwnerId = getGuestCartOwnerId(cartToken || req.headers['x-cart-token']);
+    const cartMerge = guestOwnerId ? mergeGuestCart(guestOwnerId, user.id) : null;
 
     // Remove password from response
     const { password: _, ...userResponse } = user;
@@ -94,7 +120,9 @@ export const login = async (req, res, next) => {
       message: 'Login successful',
       data: {
         user: userResponse,
-        token
+        token,
+        refreshToken,
+        ...(cartMerge && { cartMerge })
       }
     });
   } catch (error) {
@@ -130,8 +158,17 @@ export const updateProfile = (req, res, next) => {
 
     if (firstName) updates.firstName = firstName;
     if (lastName) updates.lastName = lastName;
-    if (phone) updates.phone = phone;
-    if (address) updates.address = address;
+    // An empty phone or a null address clears the stored value
+    if (phone !== undefined) updates.phone = phone || null;
+    if (address !== undefined) {
+      updates.address = address && {
+        street: address.street || '',
+        city: address.city || '',
+        state: address.state || '',
+        zipCode: address.zipCode || '',
+        country: address.country || ''
+      };
+    }
 
     const updatedUser = db.updateUser(req.user.id, updates);
     if (!updatedUser) {
@@ -153,3 +190,218 @@ export const updateProfile = (req, res, next) => {
   }
 };
 
+// Changing the password keeps the current session and signs out every other one
+export const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = db.getUserById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+    if (!isPasswordValid) {
+      return res.status(422).json({
+        success: false,
+        message: 'Please correct the highlighted fields',
+        errors: [{ field: 'currentPassword', message: 'Current password is incorrect' }]
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+    // Reset links sent before the change must not be able to override the new password
+    const revoked = db.transaction(() => {
+      db.updateUser(user.id, {
+        password: hashedPassword,
+        passwordChangedAt: new Date().toISOString()
+      });
+      db.deletePasswordResetTokens(record => record.userId === user.id);
+      return revokeUserSessions(user.id, {
+        exceptSessionId: req.user.sid,
+        reason: 'password_changed'
+      });
+    });
+
+    sendMail({
+      to: user.email,
+      subject: 'Your Marketplace password was changed',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'Your password was just changed and you were signed out on your other devices.',
+        'If this was not you, reset your password right away and contact support.'
+      ].join('\n')
+    });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: { revokedSessions: revoked }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+
+export const refresh = (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    const { token, refreshToken: nextRefreshToken } = refreshSession(refreshToken, req);
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        refreshToken: nextRefreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Session named by a bearer access token, accepted even when the token has expired
+const getAccessTokenSessionId = (req) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return null;
+  }
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true }).sid || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Ends the session of the refresh token (or of the access token when no refresh token is sent).
+// Succeeds even when the session is already gone so clients can always sign out.
+export const logout = (req, res, next) => {
+  try {
+    const session = getSessionByRefreshToken(req.body?.refreshToken);
+    const sessionId = session?.id || getAccessTokenSessionId(req);
+
+    if (sessionId) {
+      revokeSession(sessionId, 'logout');
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getSessions = (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: listSessions(req.user.id, req.user.sid)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteSession = (req, res, next) => {
+  try {
+    const session = listSessions(req.user.id).find(s => s.id === req.params.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    revokeSession(session.id, 'revoked_by_user');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Sign out everywhere else: the session making the request stays active
+export const deleteOtherSessions = (req, res, next) => {
+  try {
+    const revoked = revokeUserSessions(req.user.id, {
+      exceptSessionId: req.user.sid,
+      reason: 'revoked_by_user'
+    });
+
+    res.json({
+      success: true,
+      message: `${revoked} other session(s) revoked`,
+      data: { revoked }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Always answers the same way so the response does not reveal whether an account exists
+export const forgotPassword = (req, res, next) => {
+  try {
+    requestPasswordReset(req.body.email);
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+    await resetPasswordWithToken(token, password);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please sign in with your new password.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Public so the emailed link works without signing in first
+export const verifyEmail = (req, res, next) => {
+  try {
+    const user = verifyEmailWithToken(req.params.token);
+    const { password: _, ...userResponse } = user;
+
+    res.json({
+      success: true,
+      message: 'Email address verified successfully',
+      data: userResponse
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const resendVerification = (req, res, next) => {
+  try {
+    resendVerificationEmail(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,20 +1,34 @@
 import db from '../config/database.js';
+import {
+  getAvailableStock,
+  reserveStock,
+  releaseReservation,
+  releaseUserReservations
+} from '../services/inventoryService.js';
+import { buildLines, calculateDiscounts, normalizeCode } from '../services/promotionService.js';
+import { parseQuantity } from '../utils/quantity.js';
+import { calculateTax } from '../services/taxService.js';
+import { getShippingQuote } from '../services/shippingService.js';
+import { DEFAULT_SHIPPING_METHOD } from '../config/shippingRates.js';
 
 export const getCart = (req, res, next) => {
   try {
-    const cartItems = db.getCartByUser(req.user.id);
+    const cartItems = db.getCartByUser(req.cartOwnerId);
     
     // Enrich cart items with product details
     const enrichedCart = cartItems.map(item => {
       const product = db.getProductById(item.productId);
+      const reservation = db.getReservation(req.cartOwnerId, item.productId);
       return {
         ...item,
+        reservationExpiresAt: reservation ? reservation.expiresAt : null,
         product: product ? {
           id: product.id,
           name: product.name,
           price: product.price,
           images: product.images,
-          stock: product.stock
+          stock: product.stock,
+          available: getAvailableStock(product, req.cartOwnerId)
         } : null
       };
     });
@@ -23,11 +37,40 @@ export const getCart = (req, res, next) => {
       return sum + (item.product ? item.product.price * item.quantity : 0);
     }, 0);
 
+    // Itemized discounts from automatic promotions and the applied coupon
+    const lines = buildLines(cartItems);
+    const couponCode = db.getCartCoupon(req.cartOwnerId)?.code || null;
+    const { discounts, discountTotal, freeShipping, couponError } = calculateDiscounts({
+      lines,
+      userId: req.cartOwnerId,
+      couponCode
+    });
+
+    // Estimate tax from the signed-in user's saved address; guests see it at checkout
+    const address = req.user ? db.getUserById(req.user.id)?.address : null;
+    const { tax = null, ...taxBreakdown } = address ? calculateTax({ lines, address, discountTotal }) : {};
+
+    // Standard shipping estimate, to the default zone when no address is known
+    const shippingQuote = lines.length > 0
+      ? getShippingQuote(DEFAULT_SHIPPING_METHOD, { lines, address, subtotal: subtotal - discountTotal })
+      : null;
+    const shipping = shippingQuote && !freeShipping ? shippingQuote.price : 0;
+
     res.json({
       success: true,
       data: {
         items: enrichedCart,
         subtotal: parseFloat(subtotal.toFixed(2)),
+        couponCode,
+        couponError,
+        discounts,
+        discountTotal,
+        freeShipping,
+        tax,
+        taxBreakdown: address ? taxBreakdown : null,
+        shipping,
+        amountToFreeShipping: freeShipping ? null : shippingQuote?.amountToFreeShipping ?? null,
+        total: parseFloat((subtotal - discountTotal + (tax || 0) + shipping).toFixed(2)),
         itemCount: enrichedCart.length
       }
     });
@@ -38,7 +81,14 @@ export const getCart = (req, res, next) => {
 
 export const addToCart = (req, res, next) => {
   try {
-    const { productId, quantity = 1 } = req.body;
+    const { productId } = req.body;
+    const quantity = parseQuantity(req.body.quantity ?? 1);
+    if (!quantity) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be a whole number of at least 1'
+      });
+    }
 
     // Check if product exists
     const product = db.getProductById(productId);
@@ -50,31 +100,36 @@ export const addToCart = (req, res, next) => {
     }
 
     // Check stock
-    const cartItems = db.getCartByUser(req.user.id);
+    const cartItems = db.getCartByUser(req.cartOwnerId);
     const existingItem = cartItems.find(item => item.productId === productId);
     const currentQuantity = existingItem ? existingItem.quantity : 0;
     
-    if (product.stock < currentQuantity + quantity) {
+    const available = getAvailableStock(product, req.cartOwnerId);
+    if (available < currentQuantity + quantity) {
       return res.status(400).json({
         success: false,
-        message: 'Insufficient stock'
+        message: 'Insufficient stock',
+        available
       });
     }
 
-    const cartItem = {
-      id: `cart-${Date.now()}`,
-      userId: req.user.id,
+    // Hold the full cart quantity for this product
+    reserveStock(req.cartOwnerId, product, currentQuantity + quantity);
+
+    const cartItem = db.addToCart({
+      userId: req.cartOwnerId,
       productId,
-      quantity: parseInt(quantity),
+      quantity,
+      price: product.price,
       addedAt: new Date().toISOString()
-    };
-
-    db.addToCart(cartItem);
+    });
 
     res.status(201).json({
       success: true,
       message: 'Item added to cart',
-      data: cartItem
+      data: cartItem,
+      // Guests keep this token and send it back as X-Cart-Token
+      ...(req.cartToken && { cartToken: req.cartToken })
     });
   } catch (error) {
     next(error);
@@ -83,8 +138,14 @@ export const addToCart = (req, res, next) => {
 
 export const updateCartItem = (req, res, next) => {
   try {
-    const { quantity } = req.body;
+    const quantity = parseQuantity(req.body.quantity);
     const { productId } = req.params;
+    if (!quantity) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be a whole number of at least 1'
+      });
+    }
 
     // Check if product exists
     const product = db.getProductById(productId);
@@ -96,14 +157,16 @@ export const updateCartItem = (req, res, next) => {
     }
 
     // Check stock
-    if (product.stock < quantity) {
+    const available = getAvailableStock(product, req.cartOwnerId);
+    if (available < quantity) {
       return res.status(400).json({
         success: false,
-        message: 'Insufficient stock'
+        message: 'Insufficient stock',
+        available
       });
     }
 
-    const updatedItem = db.updateCartItem(req.user.id, productId, parseInt(quantity));
+    const updatedItem = db.updateCartItem(req.cartOwnerId, productId, quantity);
 
     if (!updatedItem) {
       return res.status(404).json({
@@ -112,6 +175,8 @@ export const updateCartItem = (req, res, next) => {
       });
     }
 
+    reserveStock(req.cartOwnerId, product, updatedItem.quantity);
+
     res.json({
       success: true,
       message: 'Cart item updated',
@@ -126,7 +191,8 @@ export const removeFromCart = (req, res, next) => {
   try {
     const { productId } = req.params;
 
-    const removedItem = db.removeFromCart(req.user.id, productId);
+    const removedItem = db.removeFromCart(req.cartOwnerId, productId);
+    releaseReservation(req.cartOwnerId, productId);
 
     if (!removedItem) {
       return res.status(404).json({
@@ -146,7 +212,8 @@ export const removeFromCart = (req, res, next) => {
 
 export const clearCart = (req, res, next) => {
   try {
-    db.clearCart(req.user.id);
+    db.clearCart(req.cartOwnerId);
+    releaseUserReservations(req.cartOwnerId);
 
     res.json({
       success: true,
@@ -157,3 +224,64 @@ export const clearCart = (req, res, next) => {
   }
 };
 
+
+export const applyCoupon = (req, res, next) => {
+  try {
+    const code = normalizeCode(req.body.code);
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code is required'
+      });
+    }
+
+    const cartItems = db.getCartByUser(req.cartOwnerId);
+    if (cartItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    const { discounts, discountTotal, freeShipping, couponError } = calculateDiscounts({
+      lines: buildLines(cartItems),
+      userId: req.cartOwnerId,
+      couponCode: code
+    });
+
+    if (couponError) {
+      return res.status(400).json({
+        success: false,
+        message: couponError
+      });
+    }
+
+    db.setCartCoupon(req.cartOwnerId, code);
+
+    res.json({
+      success: true,
+      message: 'Coupon applied',
+      data: {
+        couponCode: code,
+        discounts,
+        discountTotal,
+        freeShipping
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const removeCoupon = (req, res, next) => {
+  try {
+    db.removeCartCoupon(req.cartOwnerId);
+
+    res.json({
+      success: true,
+      message: 'Coupon removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -46,17 +46,14 @@ export const createCategory = (req, res, next) => {
   try {
     const { name, description, image, parentId } = req.body;
 
-    const category = {
-      id: `cat-${Date.now()}`,
+    const category = db.createCategory({
       name,
       slug: name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, ''),
       description,
       image,
       parentId: parentId || null,
       createdAt: new Date().toISOString()
-    };
-
-    db.createCategory(category);
+    });
 
     res.status(201).json({
       success: true,
@@ -0,0 +1,196 @@
+import db from '../config/database.js';
+import { calculateTotals, getMissingAddressFields, placeOrder } from '../services/orderService.js';
+import { getAvailableStock, releaseUserReservations } from '../services/inventoryService.js';
+import { buildLines, calculateDiscounts } from '../services/promotionService.js';
+import { quoteShipping } from '../services/shippingService.js';
+import { shippingMethods, DEFAULT_SHIPPING_METHOD } from '../config/shippingRates.js';
+import { parseQuantity } from '../utils/quantity.js';
+
+// Re-check every cart line against the current product price and stock
+const validateCart = (userId) => {
+  const cartItems = db.getCartByUser(userId);
+  const problems = [];
+  const priceChanges = [];
+
+  const items = cartItems.map(item => {
+    const product = db.getProductById(item.productId);
+    if (!product || product.status !== 'active') {
+      problems.push({ productId: item.productId, message: 'Product is no longer available' });
+      return null;
+    }
+
+    // Carts written before quantities were validated may hold zero, negative or fractional amounts
+    if (!parseQuantity(item.quantity)) {
+      problems.push({
+        productId: product.id,
+        message: `Quantity of ${product.name} must be a whole number of at least 1`
+      });
+      return null;
+    }
+
+    const available = getAvailableStock(product, userId);
+    if (available < item.quantity) {
+      problems.push({
+        productId: product.id,
+        message: `Only ${available} of ${product.name} left in stock`,
+        available
+      });
+    }
+
+    if (item.price !== undefined && item.price !== product.price) {
+      priceChanges.push({
+        productId: product.id,
+        name: product.name,
+        oldPrice: item.price,
+        newPrice: product.price
+      });
+    }
+
+    return {
+      productId: product.id,
+      name: product.name,
+      price: product.price,
+      quantity: item.quantity,
+      images: product.images
+    };
+  }).filter(Boolean);
+
+  return { items, problems, priceChanges };
+};
+
+// Automatic promotions plus the coupon code applied to the cart
+const getCartDiscounts = (userId, items) => {
+  const couponCode = db.getCartCoupon(userId)?.code || null;
+  return {
+    couponCode,
+    ...calculateDiscounts({ lines: buildLines(items), userId, couponCode })
+  };
+};
+
+// Destination used to estimate tax: address fields from the query, else the saved address
+const getPreviewAddress = (query, user) => {
+  const { country, state, zipCode } = query;
+  if (country || state || zipCode) {
+    return { country, state, zipCode };
+  }
+  return user?.address || null;
+};
+
+export const getCheckoutPreview = (req, res, next) => {
+  try {
+    const shippingAddress = getPreviewAddress(req.query, db.getUserById(req.user.id));
+    const { items, problems, priceChanges } = validateCart(req.user.id);
+    const { couponCode, couponError, discounts, discountTotal, freeShipping } = getCartDiscounts(req.user.id, items);
+    const lines = buildLines(items);
+    const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+    // Only methods that ship to the address; fall back to the default when the requested one does not
+    const quotes = quoteShipping({ lines, address: shippingAddress, subtotal: subtotal - discountTotal });
+    const requestedMethod = req.query.shippingMethod || DEFAULT_SHIPPING_METHOD;
+    const shippingMethod = quotes.some(quote => quote.id === requestedMethod)
+      ? requestedMethod
+      : quotes[0]?.id;
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        problems,
+        priceChanges,
+        couponCode,
+        couponError,
+        shippingMethods: quotes,
+        shippingMethod,
+        ...calculateTotals(lines, shippingMethod, { discounts, freeShipping, shippingAddress })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const checkout = (req, res, next) => {
+  try {
+    const { shippingAddress, shippingMethod = DEFAULT_SHIPPING_METHOD, paymentMethod, paymentDetails } = req.body;
+
+    const { items, problems, priceChanges } = validateCart(req.user.id);
+
+    if (items.length === 0 && problems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    if (problems.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some items in your cart are no longer available',
+        problems
+      });
+    }
+
+    // Prices changed since the items were added: store the new prices and ask the buyer to review
+    if (priceChanges.length > 0) {
+      priceChanges.forEach(change => {
+        db.updateCartItemPrice(req.user.id, change.productId, change.newPrice);
+      });
+      return res.status(409).json({
+        success: false,
+        message: 'Prices changed since you added these items. Please review your order.',
+        priceChanges
+      });
+    }
+
+    // The applied coupon may have expired or run out since it was added to the cart
+    const { couponCode, couponError } = getCartDiscounts(req.user.id, items);
+    if (couponCode && couponError) {
+      return res.status(409).json({
+        success: false,
+        message: `Coupon ${couponCode} can no longer be used: ${couponError}`,
+        couponCode
+      });
+    }
+
+    if (!Object.hasOwn(shippingMethods, shippingMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid shipping method'
+      });
+    }
+
+    const address = shippingAddress || db.getUserById(req.user.id)?.address;
+    const missingFields = getMissingAddressFields(address);
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Shipping address is missing: ${missingFields.join(', ')}`
+      });
+    }
+
+    // Order creation, stock changes and clearing the cart succeed or fail together
+    const order = db.transaction(() => {
+      const created = placeOrder({
+        userId: req.user.id,
+        items: items.map(({ productId, quantity }) => ({ productId, quantity })),
+        shippingAddress: address,
+        paymentMethod,
+        paymentDetails,
+        shippingMethod,
+        couponCode
+      });
+
+      db.clearCart(req.user.id);
+      releaseUserReservations(req.user.id);
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Order placed successfully',
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,102 @@
+import db from '../config/database.js';
+import { normalizeCouponInput } from '../services/promotionService.js';
+
+// Fields managed by the server that admins cannot set directly
+const stripManagedFields = ({ id, usageCount, createdAt, updatedAt, ...fields }) => fields;
+
+export const getCoupons = (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: db.getCoupons()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getCouponById = (req, res, next) => {
+  try {
+    const coupon = db.getCouponById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const createCoupon = (req, res, next) => {
+  try {
+    const coupon = db.createCoupon({
+      ...normalizeCouponInput(stripManagedFields(req.body)),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateCoupon = (req, res, next) => {
+  try {
+    const coupon = db.getCouponById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const updatedCoupon = db.updateCoupon(req.params.id, {
+      ...normalizeCouponInput(stripManagedFields(req.body), coupon),
+      updatedAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: updatedCoupon
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteCoupon = (req, res, next) => {
+  try {
+    const coupon = db.getCouponById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    db.deleteCoupon(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,29 @@
+import { getSentMail, clearSentMail, getMailTransportName } from '../services/mailService.js';
+
+export const getMail = (req, res, next) => {
+  try {
+    const messages = getSentMail({ to: req.query.to });
+
+    res.json({
+      success: true,
+      transport: getMailTransportName(),
+      count: messages.length,
+      data: messages
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const clearMail = (req, res, next) => {
+  try {
+    clearSentMail();
+
+    res.json({
+      success: true,
+      message: 'Mail cleared successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,4 +1,66 @@
 import db from '../config/database.js';
+import { isValidStatus, canTransition, getAllowedTransitions } from '../services/orderLifecycle.js';
+import { placeOrder, canCancelOrder, cancelOrder as cancelOrderAndRestock } from '../services/orderService.js';
+import { updateFulfillments, getSellerFulfillments, toSellerView } from '../services/fulfillmentService.js';
+import { releaseUserReservations } from '../services/inventoryService.js';
+import { confirmPayment } from '../services/paymentService.js';
+import { parseOrderNumber } from '../services/orderNumberService.js';
+import { renderInvoice, renderPackingSlip } from '../services/documentService.js';
+
+// How much of an order the requester may see: all of it for the buyer and admins,
+// their own part for sellers with items in it, nothing otherwise
+const getOrderAccess = (req, order) => {
+  const user = db.getUserById(req.user.id);
+  if (order.userId === req.user.id || user.role === 'admin') {
+    return 'full';
+  }
+  return getSellerFulfillments(order, req.user.id).length > 0 ? 'seller' : null;
+};
+
+const sendForbidden = (res) => res.status(403).json({
+  success: false,
+  message: 'You do not have permission to view this order'
+});
+
+// Send an order to the requester: owners and admins get all of it, sellers their own part
+const sendOrder = (req, res, order) => {
+  const access = getOrderAccess(req, order);
+  if (!access) {
+    return sendForbidden(res);
+  }
+
+  res.json({
+    success: true,
+    data: access === 'seller' ? toSellerView(order, req.user.id) : order
+  });
+};
+
+// Handler sending an order document rendered as HTML, under the same access rules
+const sendOrderDocument = (render) => (req, res, next) => {
+  try {
+    const order = db.getOrderById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const access = getOrderAccess(req, order);
+    if (!access) {
+      return sendForbidden(res);
+    }
+
+    const html = render(order, { sellerId: access === 'seller' ? req.user.id : undefined });
+    res.type('html').send(html);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getOrderInvoice = sendOrderDocument(renderInvoice);
+export const getOrderPackingSlip = sendOrderDocument(renderPackingSlip);
 
 export const getOrderById = (req, res, next) => {
   try {
@@ -11,19 +73,33 @@ export const getOrderById = (req, res, next) => {
       });
     }
 
-    // Check if user owns the order or is admin
-    const user = db.getUserById(req.user.id);
-    if (order.userId !== req.user.id && user.role !== 'admin') {
-      return res.status(403).json({
+    sendOrder(req, res, order);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getOrderByNumber = (req, res, next) => {
+  try {
+    const orderNumber = parseOrderNumber(req.params.orderNumber);
+
+    // A failed check digit means a mistyped number rather than a missing order
+    if (!orderNumber) {
+      return res.status(400).json({
         success: false,
-        message: 'You do not have permission to view this order'
+        message: 'Invalid order number'
       });
     }
 
-    res.json({
-      success: true,
-      data: order
-    });
+    const order = db.getOrderByNumber(orderNumber);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    sendOrder(req, res, order);
   } catch (error) {
     next(error);
   }
@@ -39,8 +115,6 @@ export const getOrders = (req, res, next) => {
     } else {
       orders = db.getOrdersByUser(req.user.id);
     }
-    // get order from blog
-    db.getOrder();
     res.json({
       success: true,
       data: orders
@@ -51,97 +125,149 @@ export const getOrders = (req, res, next) => {
 };
 export const createOrder = (req, res, next) => {
   try {
-    const { items, shippingAddress, paymentMethod } = req.body;
+    const { items, shippingAddress, paymentMethod, paymentDetails, shippingMethod, couponCode } = req.body;
 
-    if (!items || items.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Order must contain at least one item'
+    const order = db.transaction(() => {
+      const created = placeOrder({
+        userId: req.user.id,
+        items,
+        shippingAddress: shippingAddress || db.getUserById(req.user.id)?.address,
+        paymentMethod,
+        paymentDetails,
+        shippingMethod,
+        couponCode
       });
-    }
 
-    // Calculate totals
-    let subtotal = 0;
-    const orderItems = [];
+      // Clear user's cart and the stock it was holding
+      db.clearCart(req.user.id);
+      releaseUserReservations(req.user.id);
+      return created;
+    });
 
-    for (const item of items) {
-      const product = db.getProductById(item.productId);
-      if (!product) {
-        return res.status(404).json({
-          success: false,
-          message: `Product ${item.productId} not found`
-        });
-      }
+    res.status(201).json({
+      success: true,
+      message: 'Order created successfully',
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-      if (product.stock < item.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient stock for ${product.name}`
-        });
-      }
+// Move fulfillments to a new status, answering 409 when any of them cannot make the move
+const applyFulfillmentStatus = (req, res, order, fulfillments, status, { note, tracking } = {}) => {
+  const blocked = fulfillments.find(f => !canTransition(f.status, status));
+  if (blocked) {
+    return res.status(409).json({
+      success: false,
+      message: `Cannot change fulfillment status from ${blocked.status} to ${status}`,
+      fulfillmentId: blocked.id,
+      allowedStatuses: getAllowedTransitions(blocked.status)
+    });
+  }
 
-      const itemTotal = product.price * item.quantity;
-      subtotal += itemTotal;
+  const updatedOrder = updateFulfillments(order, fulfillments.map(f => f.id), status, {
+    actorId: req.user.id,
+    note,
+    tracking
+  });
+  const user = db.getUserById(req.user.id);
 
-      orderItems.push({
-        productId: product.id,
-        quantity: item.quantity,
-        price: product.price,
-        name: product.name
-      });
+  res.json({
+    success: true,
+    message: 'Order status updated successfully',
+    data: user.role === 'admin' ? updatedOrder : toSellerView(updatedOrder, req.user.id)
+  });
+};
+
+// Update every fulfillment the user may manage: all of them for admins, their own for sellers
+export const updateOrderStatus = (req, res, next) => {
+  try {
+    const { status, note } = req.body;
 
-      // Update product stock
-      db.updateProduct(product.id, {
-        stock: product.stock - item.quantity
+    if (!isValidStatus(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order status'
       });
     }
 
-    const tax = subtotal * 0.08; // 8% tax
-    const shipping = 15.99; // Fixed shipping
-    const total = subtotal + tax + shipping;
-
-    const order = {
-      id: `order-${Date.now()}`,
-      userId: req.user.id,
-      items: orderItems,
-      subtotal: parseFloat(subtotal.toFixed(2)),
-      tax: parseFloat(tax.toFixed(2)),
-      shipping: parseFloat(shipping.toFixed(2)),
-      total: parseFloat(total.toFixed(2)),
-      status: 'pending',
-      shippingAddress: shippingAddress || req.user.address,
-      paymentMethod: paymentMethod || 'credit_card',
-      paymentStatus: 'pending',
-      createdAt: new Date().toISOString()
-    };
+    const order = db.getOrderById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
 
-    db.createOrder(order);
+    const user = db.getUserById(req.user.id);
+    const managed = user.role === 'admin' ? order.fulfillments : getSellerFulfillments(order, req.user.id);
+    if (managed.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update order status'
+      });
+    }
 
-    // Clear user's cart
-    db.clearCart(req.user.id);
+    // Fulfillments already there or cancelled are left alone
+    const targets = managed.filter(f => f.status !== status && f.status !== 'cancelled');
+    if (targets.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change order status from ${order.status} to ${status}`,
+        allowedStatuses: getAllowedTransitions(order.status)
+      });
+    }
 
-    res.status(201).json({
-      success: true,
-      message: 'Order created successfully',
-      data: order
-    });
+    applyFulfillmentStatus(req, res, order, targets, status, { note });
   } catch (error) {
     next(error);
   }
 };
 
-export const updateOrderStatus = (req, res, next) => {
+export const updateFulfillmentStatus = (req, res, next) => {
   try {
-    const { status } = req.body;
-    const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+    const { status, note, carrier, trackingNumber } = req.body;
 
-    if (!validStatuses.includes(status)) {
+    if (!isValidStatus(status)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid order status'
       });
     }
 
+    const order = db.getOrderById(req.params.id);
+    const fulfillment = order?.fulfillments.find(f => f.id === req.params.fulfillmentId);
+    if (!fulfillment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fulfillment not found'
+      });
+    }
+
+    // Sellers manage their own fulfillments, admins manage any
+    const user = db.getUserById(req.user.id);
+    if (fulfillment.sellerId !== req.user.id && user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this fulfillment'
+      });
+    }
+
+    const tracking = carrier || trackingNumber
+      ? { carrier: carrier || null, trackingNumber: trackingNumber || null }
+      : null;
+
+    applyFulfillmentStatus(req, res, order, [fulfillment], status, { note, tracking });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const cancelOrder = (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
     const order = db.getOrderById(req.params.id);
     if (!order) {
       return res.status(404).json({
@@ -150,29 +276,30 @@ export const updateOrderStatus = (req, res, next) => {
       });
     }
 
-    // Only admin or seller can update order status
+    // Buyers can cancel their own orders, admins can cancel any order
     const user = db.getUserById(req.user.id);
-    if (user.role !== 'admin' && user.role !== 'seller') {
+    if (order.userId !== req.user.id && user.role !== 'admin') {
       return res.status(403).json({
         success: false,
-        message: 'You do not have permission to update order status'
+        message: 'You do not have permission to cancel this order'
       });
     }
 
-    const updates = { status };
-    if (status === 'shipped') {
-      updates.shippedAt = new Date().toISOString();
-    }
-    if (status === 'delivered') {
-      updates.deliveredAt = new Date().toISOString();
-      updates.paymentStatus = 'paid';
+    // Orders can only be cancelled before any part of them ships
+    if (!canCancelOrder(order)) {
+      return res.status(409).json({
+        success: false,
+        message: order.status === 'processing'
+          ? 'Order cannot be cancelled once part of it has shipped'
+          : `Order cannot be cancelled once it is ${order.status}`
+      });
     }
 
-    const updatedOrder = db.updateOrder(req.params.id, updates);
+    const updatedOrder = cancelOrderAndRestock(order, { actorId: req.user.id, reason });
 
     res.json({
       success: true,
-      message: 'Order status updated successfully',
+      message: 'Order cancelled successfully',
       data: updatedOrder
     });
   } catch (error) {
@@ -180,3 +307,32 @@ export const updateOrderStatus = (req, res, next) => {
   }
 };
 
+export const confirmOrderPayment = (req, res, next) => {
+  try {
+    const order = db.getOrderById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Only the buyer can complete their payment
+    if (order.userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to confirm this payment'
+      });
+    }
+
+    const updatedOrder = db.updateOrder(order.id, confirmPayment(order));
+
+    res.json({
+      success: true,
+      message: 'Payment confirmed',
+      data: updatedOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
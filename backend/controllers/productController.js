@@ -1,10 +1,12 @@
 import db from '../config/database.js';
+import { withAvailability } from '../services/inventoryService.js';
+import { normalizeShippingInput } from '../services/shippingService.js';
 
 export const getProducts = (req, res, next) => {
   try {
     const { category, seller, search, featured, minPrice, maxPrice, sort, page = 1, limit = 20 } = req.query;
     
-    let products = db.getProducts();
+    let products = db.getProducts().map(product => withAvailability(product));
     // Filter by category
     if (category) {
       products = products.filter(p => p.categoryId === category);
@@ -87,7 +89,7 @@ export const getProductById = (req, res, next) => {
     res.json({
       success: true,
       data: {
-        ...product,
+        ...withAvailability(product),
         reviews
       }
     });
@@ -108,7 +110,8 @@ export const createProduct = (req, res, next) => {
       stock,
       sku,
       tags,
-      specifications
+      specifications,
+      shipping
     } = req.body;
 
     // Check if seller
@@ -120,8 +123,7 @@ export const createProduct = (req, res, next) => {
       });
     }
 
-    const product = {
-      id: `prod-${Date.now()}`,
+    const product = db.createProduct({
       name,
       slug: name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, ''),
       description,
@@ -138,11 +140,10 @@ export const createProduct = (req, res, next) => {
       reviewCount: 0,
       tags: tags || [],
       specifications: specifications || {},
+      shipping: shipping ? normalizeShippingInput(shipping) : null,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
-    };
-
-    db.createProduct(product);
+    });
 
     res.status(201).json({
       success: true,
@@ -176,6 +177,7 @@ export const updateProduct = (req, res, next) => {
 
     const updates = {
       ...req.body,
+      ...(req.body.shipping && { shipping: normalizeShippingInput(req.body.shipping) }),
       updatedAt: new Date().toISOString()
     };
 
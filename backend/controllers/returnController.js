@@ -0,0 +1,222 @@
+import db from '../config/database.js';
+import {
+  RETURN_STATUSES,
+  requestReturn,
+  transitionReturn,
+  receiveReturn as receiveAndRefund
+} from '../services/returnService.js';
+
+// Load a return and check the user's part in it; answers 404/403 itself and returns null
+const loadReturn = (req, res, roles) => {
+  const returnRequest = db.getReturnById(req.params.id);
+  if (!returnRequest) {
+    res.status(404).json({
+      success: false,
+      message: 'Return not found'
+    });
+    return null;
+  }
+
+  const user = db.getUserById(req.user.id);
+  const allowed = user.role === 'admin' ||
+    (roles.includes('buyer') && returnRequest.userId === req.user.id) ||
+    (roles.includes('seller') && returnRequest.sellerId === req.user.id);
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      message: 'You do not have permission to access this return'
+    });
+    return null;
+  }
+
+  return returnRequest;
+};
+
+export const createReturn = (req, res, next) => {
+  try {
+    const { orderId, items, reason } = req.body;
+
+    const order = db.getOrderById(orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only return items from your own orders'
+      });
+    }
+
+    const returnRequest = requestReturn(order, { userId: req.user.id, items, reason });
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested successfully',
+      data: returnRequest
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getReturns = (req, res, next) => {
+  try {
+    const { status, orderId } = req.query;
+
+    if (status && !RETURN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid return status'
+      });
+    }
+
+    const user = db.getUserById(req.user.id);
+    let returns;
+
+    // Admins see every return, sellers the returns of their items, buyers their own
+    if (user.role === 'admin') {
+      returns = db.getReturns();
+    } else if (user.role === 'seller') {
+      returns = db.getReturns().filter(r => r.sellerId === req.user.id || r.userId === req.user.id);
+    } else {
+      returns = db.getReturnsByUser(req.user.id);
+    }
+
+    if (status) {
+      returns = returns.filter(r => r.status === status);
+    }
+
+    if (orderId) {
+      returns = returns.filter(r => r.orderId === orderId);
+    }
+
+    res.json({
+      success: true,
+      data: returns
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getReturnById = (req, res, next) => {
+  try {
+    const returnRequest = loadReturn(req, res, ['buyer', 'seller']);
+    if (!returnRequest) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const approveReturn = (req, res, next) => {
+  try {
+    const returnRequest = loadReturn(req, res, ['seller']);
+    if (!returnRequest) {
+      return;
+    }
+
+    const updated = db.updateReturn(returnRequest.id, transitionReturn(returnRequest, 'approved', {
+      actorId: req.user.id,
+      note: req.body.note
+    }));
+
+    res.json({
+      success: true,
+      message: 'Return approved',
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const rejectReturn = (req, res, next) => {
+  try {
+    const returnRequest = loadReturn(req, res, ['seller']);
+    if (!returnRequest) {
+      return;
+    }
+
+    if (!req.body.reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reject a return'
+      });
+    }
+
+    const updated = db.updateReturn(returnRequest.id, transitionReturn(returnRequest, 'rejected', {
+      actorId: req.user.id,
+      note: req.body.reason
+    }));
+
+    res.json({
+      success: true,
+      message: 'Return rejected',
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const shipReturn = (req, res, next) => {
+  try {
+    const returnRequest = loadReturn(req, res, ['buyer']);
+    if (!returnRequest) {
+      return;
+    }
+
+    const { carrier, trackingNumber } = req.body;
+    if (!carrier || !trackingNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'carrier and trackingNumber are required'
+      });
+    }
+
+    const updated = db.updateReturn(returnRequest.id, transitionReturn(returnRequest, 'shipped_back', {
+      actorId: req.user.id,
+      context: { tracking: { carrier, trackingNumber } }
+    }));
+
+    res.json({
+      success: true,
+      message: 'Return marked as shipped',
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const receiveReturn = (req, res, next) => {
+  try {
+    const returnRequest = loadReturn(req, res, ['seller']);
+    if (!returnRequest) {
+      return;
+    }
+
+    const updated = receiveAndRefund(returnRequest, { actorId: req.user.id, note: req.body.note });
+
+    res.json({
+      success: true,
+      message: updated.refundedAmount > 0
+        ? 'Return received, items restocked and refund recorded'
+        : 'Return received and items restocked, but nothing could be refunded',
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,4 @@
 import db from '../config/database.js';
-import axios from 'axios';
 export const getReviews = (req, res, next) => {
   try {
     const { productId, userId } = req.query;
@@ -73,8 +72,7 @@ export const createReview = (req, res, next) => {
       order.status === 'delivered'
     );
 
-    const review = {
-      id: `review-${Date.now()}`,
+    const review = db.createReview({
       productId,
       userId: req.user.id,
       rating: parseInt(rating),
@@ -82,9 +80,7 @@ export const createReview = (req, res, next) => {
       comment,
       verifiedPurchase: hasPurchased,
       createdAt: new Date().toISOString()
-    };
-
-    db.createReview(review);
+    });
 
     // Update product rating
     const productReviews = db.getReviewsByProduct(productId);
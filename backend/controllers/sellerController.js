@@ -0,0 +1,190 @@
+import db from '../config/database.js';
+import { isValidStatus } from '../services/orderLifecycle.js';
+import { getSellerFulfillments, toSellerView, shipFulfillmentItem } from '../services/fulfillmentService.js';
+import { toCsv } from '../utils/csv.js';
+
+const CSV_COLUMNS = [
+  'orderId',
+  'orderNumber',
+  'orderedAt',
+  'fulfillmentId',
+  'fulfillmentStatus',
+  'productId',
+  'productName',
+  'quantity',
+  'price',
+  'lineTotal',
+  'shippedAt',
+  'carrier',
+  'trackingNumber',
+  'shipToCity',
+  'shipToState',
+  'shipToZipCode',
+  'shipToCountry'
+];
+
+// Admins may look at any seller's orders with ?sellerId=, sellers only at their own
+const getSellerId = (req, user) => {
+  return user.role === 'admin' && req.query.sellerId ? req.query.sellerId : req.user.id;
+};
+
+// Page and limit query values that are missing, non-numeric or below 1 fall back or clamp to a usable value
+const parsePageParam = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : Math.max(1, number);
+};
+
+// One CSV row per line item
+const toCsvRows = (view) => {
+  return view.fulfillments.flatMap(fulfillment => fulfillment.items.map(fulfillmentItem => {
+    const item = view.items.find(i => i.productId === fulfillmentItem.productId) || {};
+    const tracking = fulfillmentItem.tracking || fulfillment.tracking || {};
+    return {
+      orderId: view.id,
+      orderNumber: view.orderNumber,
+      orderedAt: view.createdAt,
+      fulfillmentId: fulfillment.id,
+      fulfillmentStatus: fulfillment.status,
+      productId: fulfillmentItem.productId,
+      productName: item.name,
+      quantity: fulfillmentItem.quantity,
+      price: item.price,
+      lineTotal: item.price !== undefined ? (item.price * fulfillmentItem.quantity).toFixed(2) : '',
+      shippedAt: fulfillmentItem.shippedAt || fulfillment.shippedAt,
+      carrier: tracking.carrier,
+      trackingNumber: tracking.trackingNumber,
+      shipToCity: view.shippingAddress?.city,
+      shipToState: view.shippingAddress?.state,
+      shipToZipCode: view.shippingAddress?.zipCode,
+      shipToCountry: view.shippingAddress?.country
+    };
+  }));
+};
+
+export const getSellerOrders = (req, res, next) => {
+  try {
+    const { status, productId, from, to, format } = req.query;
+    const page = parsePageParam(req.query.page, 1);
+    const limit = parsePageParam(req.query.limit, 20);
+
+    if (status && !isValidStatus(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order status'
+      });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+    // A bare date as the upper bound includes that whole day
+    if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      toDate.setUTCHours(23, 59, 59, 999);
+    }
+
+    const user = db.getUserById(req.user.id);
+    const sellerId = getSellerId(req, user);
+
+    let orders = db.getOrders()
+      .filter(order => getSellerFulfillments(order, sellerId).length > 0)
+      .map(order => toSellerView(order, sellerId));
+
+    // Status filters on the seller's fulfillments, not on the whole order
+    if (status) {
+      orders = orders.filter(order => order.fulfillments.some(f => f.status === status));
+    }
+
+    if (productId) {
+      orders = orders.filter(order => order.items.some(item => item.productId === productId));
+    }
+
+    if (fromDate) {
+      orders = orders.filter(order => new Date(order.createdAt) >= fromDate);
+    }
+
+    if (toDate) {
+      orders = orders.filter(order => new Date(order.createdAt) <= toDate);
+    }
+
+    // Newest first
+    orders.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    // CSV export includes every matching order
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="seller-orders.csv"');
+      return res.send(toCsv(CSV_COLUMNS, orders.flatMap(toCsvRows)));
+    }
+
+    // Pagination
+    const startIndex = (page - 1) * limit;
+    const endIndex = startIndex + limit;
+    const paginatedOrders = orders.slice(startIndex, endIndex);
+
+    res.json({
+      success: true,
+      data: {
+        orders: paginatedOrders,
+        pagination: {
+          page,
+          limit,
+          total: orders.length,
+          pages: Math.ceil(orders.length / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const shipOrderItem = (req, res, next) => {
+  try {
+    const { carrier, trackingNumber } = req.body;
+
+    if (!carrier || !trackingNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'carrier and trackingNumber are required'
+      });
+    }
+
+    const order = db.getOrderById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Admins can ship any seller's items; sellers only their own
+    const user = db.getUserById(req.user.id);
+    const fulfillment = order.fulfillments.find(f =>
+      f.items.some(item => item.productId === req.params.productId)
+    );
+    if (!fulfillment || (fulfillment.sellerId !== req.user.id && user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in your orders'
+      });
+    }
+
+    const updatedOrder = shipFulfillmentItem(order, fulfillment, req.params.productId, {
+      actorId: req.user.id,
+      tracking: { carrier, trackingNumber }
+    });
+
+    res.json({
+      success: true,
+      message: 'Item marked as shipped',
+      data: toSellerView(updatedOrder, fulfillment.sellerId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,49 @@
+import db from '../config/database.js';
+import { buildLines, calculateDiscounts } from '../services/promotionService.js';
+import { quoteShipping, getShipmentWeight, resolveZone } from '../services/shippingService.js';
+
+// Destination from the query, else the signed-in user's saved address
+const getQuoteAddress = (req) => {
+  const { country, state, zipCode } = req.query;
+  if (country || state || zipCode) {
+    return { country, state, zipCode };
+  }
+  return req.user ? db.getUserById(req.user.id)?.address || null : null;
+};
+
+export const getQuote = (req, res, next) => {
+  try {
+    const cartItems = db.getCartByUser(req.cartOwnerId);
+    if (cartItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    const lines = buildLines(cartItems);
+    const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    const couponCode = db.getCartCoupon(req.cartOwnerId)?.code || null;
+    const { discountTotal, freeShipping } = calculateDiscounts({
+      lines,
+      userId: req.cartOwnerId,
+      couponCode
+    });
+
+    const address = getQuoteAddress(req);
+    const quotes = quoteShipping({ lines, address, subtotal: subtotal - discountTotal });
+
+    res.json({
+      success: true,
+      data: {
+        zone: resolveZone(address).id,
+        weight: getShipmentWeight(lines),
+        freeShipping,
+        // A free-shipping coupon waives the charge for every method
+        methods: freeShipping ? quotes.map(quote => ({ ...quote, price: 0 })) : quotes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
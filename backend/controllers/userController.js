@@ -0,0 +1,27 @@
+import { listSellerApplications, reviewSellerApplication } from '../services/sellerApplicationService.js';
+
+export const getSellerApplications = (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: listSellerApplications(req.query.status)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateSellerApplication = (req, res, next) => {
+  try {
+    const { status, note } = req.body;
+    const user = reviewSellerApplication(req.params.id, { status, note, reviewerId: req.user.id });
+
+    res.json({
+      success: true,
+      message: `Seller application ${status}`,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -197,6 +197,10 @@ const generateProducts = () => {
         screen: '6.1 inch Super Retina XDR',
         processor: 'A17 Pro'
       },
+      shipping: {
+        weight: 0.8,
+        dimensions: { length: 7, width: 4, height: 2 }
+      },
       createdAt: new Date('2024-01-25').toISOString(),
       updatedAt: new Date('2024-01-25').toISOString()
     },
@@ -226,6 +230,10 @@ const generateProducts = () => {
         processor: 'M3 Max',
         display: '16.2 inch Liquid Retina XDR'
       },
+      shipping: {
+        weight: 6.5,
+        dimensions: { length: 18, width: 12, height: 3 }
+      },
       createdAt: new Date('2024-01-26').toISOString(),
       updatedAt: new Date('2024-01-26').toISOString()
     },
@@ -253,6 +261,10 @@ const generateProducts = () => {
         color: 'White/Black',
         material: 'Leather and Mesh'
       },
+      shipping: {
+        weight: 2.8,
+        dimensions: { length: 14, width: 10, height: 5 }
+      },
       createdAt: new Date('2024-02-05').toISOString(),
       updatedAt: new Date('2024-02-05').toISOString()
     },
@@ -282,6 +294,10 @@ const generateProducts = () => {
         screen: '6.8 inch Dynamic AMOLED',
         processor: 'Snapdragon 8 Gen 3'
       },
+      shipping: {
+        weight: 0.9,
+        dimensions: { length: 7, width: 4, height: 2 }
+      },
       createdAt: new Date('2024-02-08').toISOString(),
       updatedAt: new Date('2024-02-08').toISOString()
     },
@@ -310,6 +326,10 @@ const generateProducts = () => {
         language: 'English',
         publisher: 'Scribner'
       },
+      shipping: {
+        weight: 0.6,
+        dimensions: { length: 8, width: 5, height: 1 }
+      },
       createdAt: new Date('2024-02-12').toISOString(),
       updatedAt: new Date('2024-02-12').toISOString()
     },
@@ -338,6 +358,10 @@ const generateProducts = () => {
         weight: '2.5 lbs',
         color: 'Purple'
       },
+      shipping: {
+        weight: 2.5,
+        dimensions: { length: 24, width: 6, height: 6 }
+      },
       createdAt: new Date('2024-02-15').toISOString(),
       updatedAt: new Date('2024-02-15').toISOString()
     },
@@ -366,6 +390,10 @@ const generateProducts = () => {
         material: 'Stainless Steel',
         features: 'Programmable, Auto Shut-off'
       },
+      shipping: {
+        weight: 9,
+        dimensions: { length: 14, width: 10, height: 16 }
+      },
       createdAt: new Date('2024-02-18').toISOString(),
       updatedAt: new Date('2024-02-18').toISOString()
     },
@@ -395,6 +423,10 @@ const generateProducts = () => {
         connectivity: 'Bluetooth 5.0',
         color: 'Black'
       },
+      shipping: {
+        weight: 1.2,
+        dimensions: { length: 9, width: 8, height: 4 }
+      },
       createdAt: new Date('2024-02-20').toISOString(),
       updatedAt: new Date('2024-02-20').toISOString()
     }
@@ -558,11 +590,115 @@ const generateReviews = () => {
   ];
 };
 
+// Generate mock coupons and promotions
+const generateCoupons = () => {
+  return [
+    {
+      id: 'coupon-1',
+      code: 'WELCOME10',
+      name: 'Welcome discount',
+      description: '10% off orders over $50',
+      type: 'percentage',
+      value: 10,
+      minSpend: 50,
+      usageLimit: null,
+      usageLimitPerUser: 1,
+      usageCount: 0,
+      startsAt: null,
+      endsAt: null,
+      autoApply: false,
+      active: true,
+      scope: { categoryIds: [], sellerIds: [] },
+      createdAt: new Date('2024-01-01').toISOString(),
+      updatedAt: new Date('2024-01-01').toISOString()
+    },
+    {
+      id: 'coupon-2',
+      code: 'SAVE50',
+      name: 'Save $50 on electronics',
+      description: '$50 off electronics over $500',
+      type: 'fixed',
+      value: 50,
+      minSpend: 500,
+      usageLimit: 100,
+      usageLimitPerUser: null,
+      usageCount: 0,
+      startsAt: null,
+      endsAt: null,
+      autoApply: false,
+      active: true,
+      scope: { categoryIds: ['cat-1', 'cat-6', 'cat-7'], sellerIds: [] },
+      createdAt: new Date('2024-01-01').toISOString(),
+      updatedAt: new Date('2024-01-01').toISOString()
+    },
+    {
+      id: 'coupon-3',
+      code: 'FREESHIP',
+      name: 'Free shipping',
+      description: 'Free shipping on orders over $75',
+      type: 'free_shipping',
+      value: null,
+      minSpend: 75,
+      usageLimit: null,
+      usageLimitPerUser: null,
+      usageCount: 0,
+      startsAt: null,
+      endsAt: null,
+      autoApply: false,
+      active: true,
+      scope: { categoryIds: [], sellerIds: [] },
+      createdAt: new Date('2024-01-01').toISOString(),
+      updatedAt: new Date('2024-01-01').toISOString()
+    },
+    {
+      id: 'coupon-4',
+      code: null,
+      name: 'Books: buy 2 get 1 free',
+      description: 'Buy 2 books, get the cheapest 1 free',
+      type: 'buy_x_get_y',
+      value: null,
+      buyQuantity: 2,
+      getQuantity: 1,
+      minSpend: null,
+      usageLimit: null,
+      usageLimitPerUser: null,
+      usageCount: 0,
+      startsAt: null,
+      endsAt: null,
+      autoApply: true,
+      active: true,
+      scope: { categoryIds: ['cat-4'], sellerIds: [] },
+      createdAt: new Date('2024-01-01').toISOString(),
+      updatedAt: new Date('2024-01-01').toISOString()
+    },
+    {
+      id: 'coupon-5',
+      code: 'JANE15',
+      name: 'Jane\'s shop sale',
+      description: '15% off products sold by Jane Smith',
+      type: 'percentage',
+      value: 15,
+      minSpend: null,
+      usageLimit: null,
+      usageLimitPerUser: null,
+      usageCount: 0,
+      startsAt: new Date('2024-01-01').toISOString(),
+      endsAt: new Date('2030-12-31').toISOString(),
+      autoApply: false,
+      active: true,
+      scope: { categoryIds: [], sellerIds: ['user-2'] },
+      createdAt: new Date('2024-01-01').toISOString(),
+      updatedAt: new Date('2024-01-01').toISOString()
+    }
+  ];
+};
+
 export const mockData = {
   users: generateUsers(),
   categories: generateCategories(),
   products: generateProducts(),
   orders: generateOrders(),
-  reviews: generateReviews()
+  reviews: generateReviews(),
+  coupons: generateCoupons()
 };
 
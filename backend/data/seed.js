@@ -0,0 +1,24 @@
+// Database seeding: mock data for an empty store, then backfills for records stored
+// before newer fields existed. Used by server.js on startup and by the tests.
+import db from '../config/database.js';
+import { mockData } from './mockData.js';
+import { backfillFulfillments } from '../services/fulfillmentService.js';
+import { backfillOrderNumbers } from '../services/orderNumberService.js';
+
+export const seedDatabase = () => {
+  // Durable storage keeps its data between restarts, so only seed an empty store
+  if (db.isEmpty()) {
+    mockData.users.forEach(user => db.createUser(user));
+    mockData.categories.forEach(category => db.createCategory(category));
+    mockData.products.forEach(product => db.createProduct(product));
+    mockData.orders.forEach(order => db.createOrder(order));
+    mockData.reviews.forEach(review => db.createReview(review));
+    mockData.coupons.forEach(coupon => db.createCoupon(coupon));
+  }
+
+  // Mock orders and orders stored before seller fulfillments existed get split per seller
+  backfillFulfillments();
+
+  // Orders stored before order numbers existed get numbered oldest first
+  backfillOrderNumbers();
+};
@@ -1,4 +1,6 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import { isSessionActive } from '../services/sessionService.js';
 
 export const authenticate = (req, res, next) => {
   try {
@@ -12,6 +14,15 @@ export const authenticate = (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens die with their session (logout, revocation or refresh token reuse)
+    if (!isSessionActive(decoded.sid)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended. Please sign in again.'
+      });
+    }
+
     req.user = decoded;
     next();
   } catch (error) {
@@ -42,3 +53,33 @@ export const authorize = (...roles) => {
   };
 };
 
+
+const GUEST_CART_TOKEN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const getGuestCartOwnerId = (cartToken) => {
+  return cartToken && GUEST_CART_TOKEN.test(cartToken) ? `guest-${cartToken}` : null;
+};
+
+// Resolve who owns the cart: the authenticated user, or a guest identified by the
+// X-Cart-Token header. Guests without a token get one issued when they first add an item.
+export const identifyCartOwner = ({ issueToken = false } = {}) => {
+  return (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+
+    if (token) {
+      return authenticate(req, res, () => {
+        req.cartOwnerId = req.user.id;
+        next();
+      });
+    }
+
+    let cartToken = req.headers['x-cart-token'];
+    if (!getGuestCartOwnerId(cartToken)) {
+      cartToken = issueToken ? crypto.randomUUID() : null;
+    }
+
+    req.cartToken = cartToken;
+    req.cartOwnerId = getGuestCartOwnerId(cartToken);
+    next();
+  };
+};
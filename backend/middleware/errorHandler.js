@@ -1,5 +1,8 @@
 export const errorHandler = (err, req, res, next) => {
-  console.error('Error:', err);
+  // Expected client errors (HttpError with a 4xx status) are not logged
+  if (!err.status || err.status >= 500) {
+    console.error('Error:', err);
+  }
 
   // Validation errors
   if (err.name === 'ValidationError') {
@@ -22,6 +25,7 @@ export const errorHandler = (err, req, res, next) => {
   res.status(err.status || 500).json({
     success: false,
     message: err.message || 'Internal server error',
+    ...(err.details && { ...err.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
@@ -0,0 +1,117 @@
+// Idempotency-Key support for mutating routes
+// The first request with a key runs normally and its response is stored for
+// IDEMPOTENCY_KEY_TTL_HOURS (default 24). Retries with the same key and body get the
+// stored response back instead of running again; the same key with a different body
+// is rejected. Keys are scoped to the caller and the route, and server errors are not
+// stored so the request can be retried. Callers without an identity (a guest's first cart
+// request, before they have a cart token) are not covered: they share no namespace that
+// would keep one guest from replaying another's response.
+import crypto from 'crypto';
+import db from '../config/database.js';
+
+const DEFAULT_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+export const getIdempotencyTtlMs = () => {
+  const hours = parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS);
+  return (hours > 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+};
+
+// Serialize with sorted object keys so the same body always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const hashRequest = (req) => {
+  return crypto.createHash('sha256').update(stableStringify(req.body || {})).digest('hex');
+};
+
+// Signed-in user or guest cart owner; null for a guest who has no cart token yet
+const getCaller = (req) => req.user?.id || (req.headers['x-cart-token'] && req.cartOwnerId) || null;
+
+// Drop stored responses past their retention window
+export const purgeExpiredIdempotencyKeys = () => {
+  const now = Date.now();
+  return db.deleteIdempotencyKeys(k => new Date(k.expiresAt).getTime() <= now);
+};
+
+/**
+ * Honor the Idempotency-Key header. Must run after the caller is identified
+ * (authenticate or identifyCartOwner).
+ */
+export const idempotent = () => {
+  return (req, res, next) => {
+    const key = req.headers['idempotency-key'];
+    const caller = getCaller(req);
+    if (!key || !caller) {
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    const id = `${caller}:${req.method}:${req.baseUrl}${req.path}:${key}`;
+    const requestHash = hashRequest(req);
+    const existing = db.getIdempotencyKey(id);
+
+    if (existing && new Date(existing.expiresAt).getTime() > Date.now()) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'This Idempotency-Key was already used with a different request'
+        });
+      }
+
+      if (existing.status === 'in_progress') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response.statusCode).json(existing.response.body);
+    }
+
+    // An expired record is replaced by this request
+    if (existing) {
+      db.deleteIdempotencyKeys(k => k.id === id);
+    }
+
+    const now = Date.now();
+    db.createIdempotencyKey({
+      id,
+      key,
+      requestHash,
+      status: 'in_progress',
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + getIdempotencyTtlMs()).toISOString()
+    });
+
+    // Store the response when the handler (or the error handler) sends it
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 500) {
+        db.deleteIdempotencyKeys(k => k.id === id);
+      } else {
+        db.updateIdempotencyKey(id, {
+          status: 'completed',
+          response: { statusCode: res.statusCode, body }
+        });
+      }
+      return sendJson(body);
+    };
+
+    next();
+  };
+};
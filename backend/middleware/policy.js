@@ -0,0 +1,67 @@
+import db from '../config/database.js';
+
+// Account requirements an action can depend on, beyond the caller's role.
+// Each check reads the stored user, so a change (e.g. verifying an email) applies
+// immediately instead of waiting for a new access token.
+const REQUIREMENTS = {
+  verifiedEmail: {
+    // REQUIRE_EMAIL_VERIFICATION=false lets unverified accounts through, e.g. for demos
+    enabled: () => process.env.REQUIRE_EMAIL_VERIFICATION !== 'false',
+    isMet: (user) => user.isVerified === true,
+    code: 'email_not_verified',
+    message: (action) => `Please verify your email address before you ${action}.`
+  }
+};
+
+// Actions gated by policy: what they require and how they are described in errors
+export const POLICIES = {
+  placeOrder: { requires: ['verifiedEmail'], action: 'place orders' },
+  createProduct: { requires: ['verifiedEmail'], action: 'list products' },
+  postReview: { requires: ['verifiedEmail'], action: 'post reviews' }
+};
+
+/**
+ * Find the first requirement of a policy that a user does not meet
+ * @param {string} name - Policy name from POLICIES
+ * @param {Object} user - Stored user record
+ * @returns {Object|null} { code, message } or null when the user may perform the action
+ */
+export const getPolicyViolation = (name, user) => {
+  const policy = POLICIES[name];
+  if (!policy) {
+    throw new Error(`Unknown policy: ${name}`);
+  }
+
+  for (const requirementName of policy.requires) {
+    const requirement = REQUIREMENTS[requirementName];
+    if (requirement.enabled() && !requirement.isMet(user)) {
+      return { code: requirement.code, message: requirement.message(policy.action) };
+    }
+  }
+  return null;
+};
+
+// Block the request with 403 unless the authenticated user meets the policy.
+// Use after authenticate.
+export const enforcePolicy = (name) => {
+  return (req, res, next) => {
+    const user = req.user && db.getUserById(req.user.id);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required.'
+      });
+    }
+
+    const violation = getPolicyViolation(name, user);
+    if (violation) {
+      return res.status(403).json({
+        success: false,
+        message: violation.message,
+        code: violation.code
+      });
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,35 @@
+import { checkSchema, validationResult } from 'express-validator';
+
+// Run an express-validator schema against the request. Invalid requests are answered with
+// 422 and one error per field, e.g. { field: 'email', message: 'Enter a valid email address' },
+// so forms can show each message next to its input. Sanitizers in the schema (trim, toLowerCase)
+// rewrite req.body before the controller runs. Fields are read from the body unless the
+// schema says otherwise with `in`.
+export const validate = (schema) => {
+  const validations = checkSchema(schema, ['body']);
+  const fieldOrder = Object.keys(schema);
+
+  return async (req, res, next) => {
+    try {
+      await Promise.all(validations.map(validation => validation.run(req)));
+    } catch (error) {
+      return next(error);
+    }
+
+    const result = validationResult(req);
+    if (result.isEmpty()) {
+      return next();
+    }
+
+    res.status(422).json({
+      success: false,
+      message: 'Please correct the highlighted fields',
+      errors: result.array({ onlyFirstError: true })
+        .sort((a, b) => fieldOrder.indexOf(a.path) - fieldOrder.indexOf(b.path))
+        .map(error => ({
+          field: error.path,
+          message: error.msg
+        }))
+    });
+  };
+};
@@ -1,13 +1,48 @@
 import express from 'express';
-import { register, login, getProfile, updateProfile } from '../controllers/authController.js';
+import {
+  register,
+  login,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getProfile,
+  updateProfile,
+  changePassword,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions
+} from '../controllers/authController.js';
 import { authenticate } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  registerSchema,
+  loginSchema,
+  refreshSchema,
+  logoutSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  updateProfileSchema,
+  changePasswordSchema
+} from '../validators/authValidators.js';
 
 const router = express.Router();
 
-router.post('/register', register);
-router.post('/login', login);
+router.post('/register', validate(registerSchema), register);
+router.post('/login', validate(loginSchema), login);
+router.post('/refresh', validate(refreshSchema), refresh);
+router.post('/logout', validate(logoutSchema), logout);
+router.post('/forgot-password', validate(forgotPasswordSchema), forgotPassword);
+router.post('/reset-password', validate(resetPasswordSchema), resetPassword);
+router.get('/verify/:token', verifyEmail);
+router.post('/verify/resend', authenticate, resendVerification);
 router.get('/profile', authenticate, getProfile);
-router.put('/profile', authenticate, updateProfile);
+router.put('/profile', authenticate, validate(updateProfileSchema), updateProfile);
+router.put('/password', authenticate, validate(changePasswordSchema), changePassword);
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions', authenticate, deleteOtherSessions);
+router.delete('/sessions/:id', authenticate, deleteSession);
 
 export default router;
-
@@ -4,17 +4,24 @@ import {
   addToCart,
   updateCartItem,
   removeFromCart,
-  clearCart
+  clearCart,
+  applyCoupon,
+  removeCoupon
 } from '../controllers/cartController.js';
-import { authenticate } from '../middleware/auth.js';
+import { identifyCartOwner } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
-router.get('/', authenticate, getCart);
-router.post('/', authenticate, addToCart);
-router.put('/:productId', authenticate, updateCartItem);
-router.delete('/:productId', authenticate, removeFromCart);
-router.delete('/', authenticate, clearCart);
+// Cart routes work for signed-in users and for guests holding an X-Cart-Token
+// Mutations honor an Idempotency-Key header so retried requests are not applied twice
+router.get('/', identifyCartOwner(), getCart);
+router.post('/', identifyCartOwner({ issueToken: true }), idempotent(), addToCart);
+router.post('/coupon', identifyCartOwner(), idempotent(), applyCoupon);
+router.delete('/coupon', identifyCartOwner(), idempotent(), removeCoupon);
+router.put('/:productId', identifyCartOwner(), idempotent(), updateCartItem);
+router.delete('/:productId', identifyCartOwner(), idempotent(), removeFromCart);
+router.delete('/', identifyCartOwner(), idempotent(), clearCart);
 
 export default router;
 
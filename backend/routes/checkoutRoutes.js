@@ -0,0 +1,12 @@
+import express from 'express';
+import { getCheckoutPreview, checkout } from '../controllers/checkoutController.js';
+import { authenticate } from '../middleware/auth.js';
+import { enforcePolicy } from '../middleware/policy.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = express.Router();
+
+router.get('/', authenticate, getCheckoutPreview);
+router.post('/', authenticate, enforcePolicy('placeOrder'), idempotent(), checkout);
+
+export default router;
@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} from '../controllers/couponController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/', authenticate, authorize('admin'), getCoupons);
+router.get('/:id', authenticate, authorize('admin'), getCouponById);
+router.post('/', authenticate, authorize('admin'), createCoupon);
+router.put('/:id', authenticate, authorize('admin'), updateCoupon);
+router.delete('/:id', authenticate, authorize('admin'), deleteCoupon);
+
+export default router;
@@ -0,0 +1,11 @@
+import express from 'express';
+import { getMail, clearMail } from '../controllers/devController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Development helpers; only mounted outside production
+router.get('/mail', authenticate, authorize('admin'), getMail);
+router.delete('/mail', authenticate, authorize('admin'), clearMail);
+
+export default router;
@@ -2,17 +2,31 @@ import express from 'express';
 import {
   getOrders,
   getOrderById,
+  getOrderByNumber,
+  getOrderInvoice,
+  getOrderPackingSlip,
   createOrder,
-  updateOrderStatus
+  updateOrderStatus,
+  updateFulfillmentStatus,
+  cancelOrder,
+  confirmOrderPayment
 } from '../controllers/orderController.js';
 import { authenticate } from '../middleware/auth.js';
+import { enforcePolicy } from '../middleware/policy.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
 router.get('/', authenticate, getOrders);
+router.get('/by-number/:orderNumber', authenticate, getOrderByNumber);
 router.get('/:id', authenticate, getOrderById);
-router.post('/', authenticate, createOrder);
-router.put('/:id/status', authenticate, updateOrderStatus);
+router.get('/:id/invoice', authenticate, getOrderInvoice);
+router.get('/:id/packing-slip', authenticate, getOrderPackingSlip);
+router.post('/', authenticate, enforcePolicy('placeOrder'), idempotent(), createOrder);
+router.put('/:id/status', authenticate, idempotent(), updateOrderStatus);
+router.put('/:id/fulfillments/:fulfillmentId/status', authenticate, idempotent(), updateFulfillmentStatus);
+router.post('/:id/cancel', authenticate, idempotent(), cancelOrder);
+router.post('/:id/payment/confirm', authenticate, idempotent(), confirmOrderPayment);
 
 export default router;
 
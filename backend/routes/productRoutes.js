@@ -7,12 +7,13 @@ import {
   deleteProduct
 } from '../controllers/productController.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import { enforcePolicy } from '../middleware/policy.js';
 
 const router = express.Router();
 
 router.get('/', getProducts);
 router.get('/:id', getProductById);
-router.post('/', authenticate, authorize('seller', 'admin'), createProduct);
+router.post('/', authenticate, authorize('seller', 'admin'), enforcePolicy('createProduct'), createProduct);
 router.put('/:id', authenticate, updateProduct);
 router.delete('/:id', authenticate, deleteProduct);
 
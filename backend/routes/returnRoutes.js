@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  getReturns,
+  getReturnById,
+  createReturn,
+  approveReturn,
+  rejectReturn,
+  shipReturn,
+  receiveReturn
+} from '../controllers/returnController.js';
+import { authenticate } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = express.Router();
+
+router.get('/', authenticate, getReturns);
+router.get('/:id', authenticate, getReturnById);
+router.post('/', authenticate, idempotent(), createReturn);
+router.put('/:id/approve', authenticate, idempotent(), approveReturn);
+router.put('/:id/reject', authenticate, idempotent(), rejectReturn);
+router.put('/:id/ship', authenticate, idempotent(), shipReturn);
+router.put('/:id/receive', authenticate, idempotent(), receiveReturn);
+
+export default router;
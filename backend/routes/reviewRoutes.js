@@ -7,12 +7,13 @@ import {
   deleteReview
 } from '../controllers/reviewController.js';
 import { authenticate } from '../middleware/auth.js';
+import { enforcePolicy } from '../middleware/policy.js';
 
 const router = express.Router();
 
 router.get('/', getReviews);
 router.get('/:id', getReviewById);
-router.post('/', authenticate, createReview);
+router.post('/', authenticate, enforcePolicy('postReview'), createReview);
 router.put('/:id', authenticate, updateReview);
 router.delete('/:id', authenticate, deleteReview);
 
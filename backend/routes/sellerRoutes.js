@@ -0,0 +1,11 @@
+import express from 'express';
+import { getSellerOrders, shipOrderItem } from '../controllers/sellerController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = express.Router();
+
+router.get('/orders', authenticate, authorize('seller', 'admin'), getSellerOrders);
+router.put('/orders/:id/items/:productId/ship', authenticate, authorize('seller', 'admin'), idempotent(), shipOrderItem);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from 'express';
+import { getQuote } from '../controllers/shippingController.js';
+import { identifyCartOwner } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Quotes the current cart, so guests with an X-Cart-Token can use it too
+router.get('/quote', identifyCartOwner(), getQuote);
+
+export default router;
@@ -0,0 +1,12 @@
+import express from 'express';
+import { getSellerApplications, updateSellerApplication } from '../controllers/userController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { reviewSellerApplicationSchema } from '../validators/userValidators.js';
+
+const router = express.Router();
+
+router.get('/seller-applications', authenticate, authorize('admin'), getSellerApplications);
+router.put('/:id/seller-application', authenticate, authorize('admin'), validate(reviewSellerApplicationSchema), updateSellerApplication);
+
+export default router;
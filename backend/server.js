@@ -1,17 +1,14 @@
-import express from 'express';
-import cors from 'cors';
 import dotenv from 'dotenv';
-import { createRequire } from 'module';
 import db from './config/database.js';
-import { mockData } from './data/mockData.js';
-import { errorHandler, notFound } from './middleware/errorHandler.js';
-// Import routes
-import authRoutes from './routes/authRoutes.js';
-import productRoutes from './routes/productRoutes.js';
-import categoryRoutes from './routes/categoryRoutes.js';
-import orderRoutes from './routes/orderRoutes.js';
-import reviewRoutes from './routes/reviewRoutes.js';
-import cartRoutes from './routes/cartRoutes.js';
+import { installNetworkGuard, getAllowList } from './config/networkGuard.js';
+import { seedDatabase } from './data/seed.js';
+import { purgeExpiredReservations } from './services/inventoryService.js';
+import { purgeExpiredIdempotencyKeys } from './middleware/idempotency.js';
+import { purgeExpiredSessions } from './services/sessionService.js';
+import { purgeExpiredPasswordResetTokens } from './services/passwordResetService.js';
+import { purgeExpiredEmailVerificationTokens } from './services/emailVerificationService.js';
+import { getMailTransportName } from './services/mailService.js';
+import { createApp } from './app.js';
 
 // Load environment variables
 dotenv.config();
@@ -22,81 +19,37 @@ if (!process.env.JWT_SECRET) {
   console.warn('⚠️  WARNING: JWT_SECRET not set, using default. This should be changed in production!');
 }
 
-// Provide CommonJS require for ESM files
-if (!global.require) {
-  global.require = createRequire(import.meta.url);
+// Refuse outbound HTTP unless the target host is explicitly allow-listed
+installNetworkGuard();
+if (getAllowList().length > 0) {
+  console.warn(`⚠️  WARNING: Outbound HTTP allowed to: ${getAllowList().join(', ')}`);
 }
 
-const app = express();
+const app = createApp();
 const PORT = process.env.PORT || 3000;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Seed an empty store with mock data and backfill fields added since records were stored
+seedDatabase();
 
-// Initialize mock data
-const initializeMockData = () => {
-  // Clear existing data
-  db.getUsers().length = 0;
-  db.getProducts().length = 0;
-  db.getCategories().length = 0;
-  db.getOrders().length = 0;
-  db.getReviews().length = 0;
-  // Note: Cart is cleared automatically on server restart (in-memory)
+// Periodically drop expired cart reservations
+setInterval(purgeExpiredReservations, 60 * 1000).unref();
 
-  // Populate with mock data
-  mockData.users.forEach(user => db.createUser(user));
-  mockData.categories.forEach(category => db.createCategory(category));
-  mockData.products.forEach(product => db.createProduct(product));
-  mockData.orders.forEach(order => db.createOrder(order));
-  mockData.reviews.forEach(review => db.createReview(review));
-};
+// Periodically drop stored responses past the Idempotency-Key retention window
+setInterval(purgeExpiredIdempotencyKeys, 60 * 60 * 1000).unref();
 
-// Initialize database with mock data
-initializeMockData();
+// Periodically drop sessions whose refresh token has expired
+setInterval(purgeExpiredSessions, 60 * 60 * 1000).unref();
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Marketplace API is running',
-    timestamp: new Date().toISOString()
-  });
-});
-
-// API Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/products', productRoutes);
-app.use('/api/categories', categoryRoutes);
-app.use('/api/orders', orderRoutes);
-app.use('/api/reviews', reviewRoutes);
-app.use('/api/cart', cartRoutes);
-
-// Root endpoint
-app.get('/', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Welcome to Marketplace API',
-    version: '1.0.0',
-    endpoints: {
-      auth: '/api/auth',
-      products: '/api/products',
-      categories: '/api/categories',
-      orders: '/api/orders',
-      reviews: '/api/reviews',
-      cart: '/api/cart'
-    },
-    documentation: 'See README.md for API documentation'
-  });
-});
+// Periodically drop used and expired password reset tokens
+setInterval(purgeExpiredPasswordResetTokens, 60 * 60 * 1000).unref();
 
-// Error handling middleware
-app.use(notFound);
-app.use(errorHandler);
+// Periodically drop expired email verification tokens
+setInterval(purgeExpiredEmailVerificationTokens, 60 * 60 * 1000).unref();
 
 // Start server
 app.listen(PORT, () => {
   console.log(`🌐 Server URL: http://localhost:${PORT}`);
+  console.log(`💾 Storage adapter: ${db.getAdapterName()}`);
+  console.log(`📧 Mail transport: ${getMailTransportName()}`);
 });
 
@@ -0,0 +1,82 @@
+// Cart service
+// Merges a guest cart into a user's cart when the guest logs in or registers.
+import db from '../config/database.js';
+import { getAvailableStock, reserveStock, releaseUserReservations } from './inventoryService.js';
+
+/**
+ * Move every item of a guest cart into a user's cart, re-checking stock.
+ * Quantities that no longer fit in available stock are reduced (or dropped) and
+ * reported as conflicts.
+ * @param {string} guestOwnerId - Cart owner ID of the guest cart
+ * @param {string} userId - User receiving the items
+ * @returns {Object} { mergedItems, conflicts }
+ */
+export const mergeGuestCart = (guestOwnerId, userId) => db.transaction(() => {
+  const guestItems = db.getCartByUser(guestOwnerId);
+  const mergedItems = [];
+  const conflicts = [];
+
+  // The guest's holds move to the user, so release them before re-checking stock
+  releaseUserReservations(guestOwnerId);
+
+  for (const guestItem of guestItems) {
+    const product = db.getProductById(guestItem.productId);
+    if (!product || product.status !== 'active') {
+      conflicts.push({
+        productId: guestItem.productId,
+        requested: guestItem.quantity,
+        added: 0,
+        message: 'Product is no longer available'
+      });
+      continue;
+    }
+
+    const existing = db.getCartByUser(userId).find(item => item.productId === product.id);
+    const currentQuantity = existing ? existing.quantity : 0;
+    const available = getAvailableStock(product, userId);
+    const wanted = currentQuantity + guestItem.quantity;
+    const total = Math.min(wanted, available);
+    const added = Math.max(0, total - currentQuantity);
+
+    if (added < guestItem.quantity) {
+      conflicts.push({
+        productId: product.id,
+        name: product.name,
+        requested: guestItem.quantity,
+        added,
+        message: added === 0
+          ? `${product.name} is out of stock and was not added to your cart`
+          : `Only ${added} of ${guestItem.quantity} ${product.name} could be added to your cart`
+      });
+    }
+
+    if (added === 0) {
+      continue;
+    }
+
+    if (existing) {
+      db.updateCartItem(userId, product.id, total);
+    } else {
+      // A new cart item (with its own ID) for the user
+      db.addToCart({
+        userId,
+        productId: product.id,
+        quantity: added,
+        price: guestItem.price,
+        addedAt: guestItem.addedAt
+      });
+    }
+    reserveStock(userId, product, total);
+    mergedItems.push({ productId: product.id, name: product.name, quantity: added });
+  }
+
+  // Carry over the guest's coupon unless the user already applied one
+  const guestCoupon = db.getCartCoupon(guestOwnerId);
+  if (guestCoupon && !db.getCartCoupon(userId)) {
+    db.setCartCoupon(userId, guestCoupon.code);
+  }
+
+  db.clearCart(guestOwnerId);
+
+  return { mergedItems, conflicts };
+});
@@ -0,0 +1,251 @@
+// Order documents
+// Renders printable HTML invoices and packing slips from a stored order. Buyers and
+// admins get documents for the whole order; a seller gets them for their own
+// fulfillments only, with their share of discounts, shipping and tax.
+import db from '../config/database.js';
+import { escapeHtml } from '../utils/html.js';
+import { getSellerFulfillments } from './fulfillmentService.js';
+
+const STORE_NAME = 'Marketplace';
+
+const round = (value) => parseFloat(value.toFixed(2));
+const sum = (values) => values.reduce((total, value) => total + (value || 0), 0);
+const money = (value) => `$${(value || 0).toFixed(2)}`;
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+const getPersonName = (userId) => {
+  const user = db.getUserById(userId);
+  return user ? `${user.firstName} ${user.lastName}` : 'Unknown';
+};
+
+const renderAddress = (address) => {
+  if (!address) {
+    return '<p>No address on file</p>';
+  }
+  const lines = [
+    address.street,
+    [address.city, address.state, address.zipCode].filter(Boolean).join(', '),
+    address.country
+  ].filter(Boolean);
+  return `<p>${lines.map(escapeHtml).join('<br>')}</p>`;
+};
+
+// Fulfillments the document covers (all of them, or one seller's)
+const getDocumentFulfillments = (order, sellerId) => {
+  return sellerId ? getSellerFulfillments(order, sellerId) : order.fulfillments || [];
+};
+
+const getOrderItem = (order, productId) => order.items.find(item => item.productId === productId) || {};
+
+// Totals for the whole order, or a seller's share of them
+const getTotals = (order, fulfillments, sellerId) => {
+  if (!sellerId) {
+    return {
+      subtotal: order.subtotal,
+      discounts: order.discounts || [],
+      discount: order.discount || 0,
+      shipping: order.shipping,
+      tax: order.tax,
+      total: order.total,
+      refunded: order.payment?.refundedAmount || 0
+    };
+  }
+
+  const productIds = new Set(fulfillments.flatMap(f => f.items.map(item => item.productId)));
+  const subtotal = sum(order.items
+    .filter(item => productIds.has(item.productId))
+    .map(item => item.price * item.quantity));
+  const taxLines = (order.taxBreakdown?.lines || []).filter(line => productIds.has(line.productId));
+
+  // Tax lines carry each item's amount after discounts; older orders only have a total
+  const discount = taxLines.length > 0 ? subtotal - sum(taxLines.map(line => line.taxableAmount)) : 0;
+  const tax = taxLines.length > 0
+    ? sum(taxLines.map(line => line.tax))
+    : (order.subtotal ? order.tax * subtotal / order.subtotal : 0);
+  const shipping = sum(fulfillments.map(f => f.shipping));
+
+  return {
+    subtotal: round(subtotal),
+    discounts: [],
+    discount: round(discount),
+    shipping: round(shipping),
+    tax: round(tax),
+    total: round(subtotal - discount + shipping + tax),
+    refunded: 0
+  };
+};
+
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; margin: 0; padding: 32px; }
+  .document { max-width: 800px; margin: 0 auto; }
+  header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 2px solid #333; padding-bottom: 16px; margin-bottom: 24px; }
+  h1 { margin: 0; font-size: 28px; }
+  h2 { font-size: 14px; text-transform: uppercase; letter-spacing: 0.05em; color: #666; margin: 0 0 8px 0; }
+  h3 { font-size: 16px; margin: 24px 0 8px 0; }
+  p { margin: 0; line-height: 1.5; }
+  .meta { text-align: right; }
+  .parties { display: flex; gap: 32px; margin-bottom: 24px; }
+  .parties section { flex: 1; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 8px; border-bottom: 1px solid #ddd; }
+  th { font-size: 13px; color: #666; }
+  .number { text-align: right; }
+  .totals { width: 320px; margin: 16px 0 0 auto; }
+  .totals td { border: none; padding: 4px 8px; }
+  .totals .total td { font-weight: 700; font-size: 18px; border-top: 2px solid #333; }
+  .muted { color: #999; }
+  .check { width: 24px; height: 24px; border: 1px solid #333; display: inline-block; }
+  footer { margin-top: 32px; font-size: 13px; color: #666; }
+  @media print { body { padding: 0; } }
+</style>
+</head>
+<body>
+<div class="document">
+${body}
+</div>
+</body>
+</html>
+`;
+
+const renderHeader = (title, order) => `<header>
+  <div>
+    <h1>${escapeHtml(title)}</h1>
+    <p>${STORE_NAME}</p>
+  </div>
+  <div class="meta">
+    <p><strong>Order ${escapeHtml(order.orderNumber || order.id)}</strong></p>
+    <p>Placed ${escapeHtml(formatDate(order.createdAt))}</p>
+  </div>
+</header>`;
+
+/**
+ * Render an order invoice
+ * @param {Object} order - Stored order
+ * @param {Object} options - { sellerId } to limit the invoice to one seller's items
+ * @returns {string} HTML document
+ */
+export const renderInvoice = (order, { sellerId } = {}) => {
+  const fulfillments = getDocumentFulfillments(order, sellerId);
+  const totals = getTotals(order, fulfillments, sellerId);
+  // Sellers see the buyer's name and address but not their email or payment details
+  const buyer = sellerId ? null : db.getUserById(order.userId);
+
+  const itemRows = fulfillments.flatMap(fulfillment => fulfillment.items.map(fulfillmentItem => {
+    const item = getOrderItem(order, fulfillmentItem.productId);
+    const cancelled = fulfillment.status === 'cancelled' ? ' <span class="muted">(cancelled)</span>' : '';
+    return `<tr>
+      <td>${escapeHtml(item.name || fulfillmentItem.productId)}${cancelled}</td>
+      <td>${escapeHtml(getPersonName(fulfillment.sellerId))}</td>
+      <td class="number">${fulfillmentItem.quantity}</td>
+      <td class="number">${money(item.price)}</td>
+      <td class="number">${money(item.price * fulfillmentItem.quantity)}</td>
+    </tr>`;
+  }));
+
+  const discountRows = totals.discounts.length > 0
+    ? totals.discounts
+      .filter(discount => discount.amount > 0)
+      .map(discount => `<tr><td>${escapeHtml(discount.description || discount.code)}</td><td class="number">-${money(discount.amount)}</td></tr>`)
+    : (totals.discount > 0 ? [`<tr><td>Discounts</td><td class="number">-${money(totals.discount)}</td></tr>`] : []);
+
+  const taxLabel = order.taxBreakdown?.jurisdiction ? `Tax (${escapeHtml(order.taxBreakdown.jurisdiction)})` : 'Tax';
+  const card = order.payment?.card;
+  const paymentLine = card
+    ? `${escapeHtml(card.brand)} ending in ${escapeHtml(card.last4)}`
+    : escapeHtml(order.paymentMethod || 'Not recorded');
+  const sellers = [...new Set(fulfillments.map(f => f.sellerId))];
+
+  return renderPage(`Invoice ${order.orderNumber || order.id}`, `${renderHeader('Invoice', order)}
+<div class="parties">
+  <section>
+    <h2>Bill to</h2>
+    <p>${escapeHtml(getPersonName(order.userId))}</p>
+    ${buyer ? `<p>${escapeHtml(buyer.email)}</p>` : ''}
+  </section>
+  <section>
+    <h2>Ship to</h2>
+    ${renderAddress(order.shippingAddress)}
+  </section>
+  <section>
+    <h2>Sold by</h2>
+    ${sellers.map(id => `<p>${escapeHtml(getPersonName(id))}</p>`).join('\n    ')}
+  </section>
+</div>
+<table>
+  <thead>
+    <tr><th>Item</th><th>Seller</th><th class="number">Qty</th><th class="number">Unit price</th><th class="number">Amount</th></tr>
+  </thead>
+  <tbody>
+    ${itemRows.join('\n    ')}
+  </tbody>
+</table>
+<table class="totals">
+  <tr><td>Subtotal</td><td class="number">${money(totals.subtotal)}</td></tr>
+  ${discountRows.join('\n  ')}
+  <tr><td>Shipping${order.shippingDetails?.name ? ` (${escapeHtml(order.shippingDetails.name)})` : ''}</td><td class="number">${money(totals.shipping)}</td></tr>
+  <tr><td>${taxLabel}</td><td class="number">${money(totals.tax)}</td></tr>
+  <tr class="total"><td>Total</td><td class="number">${money(totals.total)}</td></tr>
+  ${totals.refunded > 0 ? `<tr><td>Refunded</td><td class="number">-${money(totals.refunded)}</td></tr>` : ''}
+</table>
+${sellerId ? '' : `<footer>
+  <p>Payment: ${paymentLine}${order.paymentStatus ? ` (${escapeHtml(order.paymentStatus)})` : ''}</p>
+</footer>`}`);
+};
+
+/**
+ * Render an order packing slip: what goes in each parcel, without prices.
+ * Cancelled fulfillments are left out.
+ * @param {Object} order - Stored order
+ * @param {Object} options - { sellerId } to limit the slip to one seller's parcels
+ * @returns {string} HTML document
+ */
+export const renderPackingSlip = (order, { sellerId } = {}) => {
+  const fulfillments = getDocumentFulfillments(order, sellerId)
+    .filter(fulfillment => fulfillment.status !== 'cancelled');
+
+  const parcels = fulfillments.map((fulfillment, index) => {
+    const tracking = fulfillment.tracking;
+    const rows = fulfillment.items.map(fulfillmentItem => {
+      const item = getOrderItem(order, fulfillmentItem.productId);
+      return `<tr>
+        <td><span class="check"></span></td>
+        <td>${escapeHtml(item.name || fulfillmentItem.productId)}</td>
+        <td>${escapeHtml(fulfillmentItem.productId)}</td>
+        <td class="number">${fulfillmentItem.quantity}</td>
+      </tr>`;
+    });
+    return `<h3>Parcel ${index + 1} of ${fulfillments.length} &middot; shipped by ${escapeHtml(getPersonName(fulfillment.sellerId))}</h3>
+${tracking ? `<p>Tracking: ${escapeHtml(tracking.carrier)} ${escapeHtml(tracking.trackingNumber)}</p>` : ''}
+<table>
+  <thead>
+    <tr><th></th><th>Item</th><th>Product ID</th><th class="number">Qty</th></tr>
+  </thead>
+  <tbody>
+    ${rows.join('\n    ')}
+  </tbody>
+</table>`;
+  });
+
+  return renderPage(`Packing slip ${order.orderNumber || order.id}`, `${renderHeader('Packing Slip', order)}
+<div class="parties">
+  <section>
+    <h2>Ship to</h2>
+    <p>${escapeHtml(getPersonName(order.userId))}</p>
+    ${renderAddress(order.shippingAddress)}
+  </section>
+  <section>
+    <h2>Shipping method</h2>
+    <p>${escapeHtml(order.shippingDetails?.name || order.shippingMethod || 'Standard')}</p>
+  </section>
+</div>
+${parcels.length > 0 ? parcels.join('\n') : '<p class="muted">Nothing left to ship for this order.</p>'}`);
+};
@@ -0,0 +1,111 @@
+// Email verification service
+// New accounts start unverified and are emailed a link that proves they own the address.
+// The link carries a random token that expires after EMAIL_VERIFICATION_TTL_HOURS (default 24);
+// only its SHA-256 hash is stored. Sending a new link invalidates older ones, and links can be
+// resent at most once a minute.
+import crypto from 'crypto';
+import db from '../config/database.js';
+import { HttpError } from '../utils/httpError.js';
+import { sendMail, appLink } from './mailService.js';
+
+const DEFAULT_TTL_HOURS = 24;
+const RESEND_COOLDOWN_SECONDS = 60;
+
+export const getEmailVerificationTtlMs = () => {
+  const hours = parseFloat(process.env.EMAIL_VERIFICATION_TTL_HOURS);
+  return (hours > 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Email a fresh verification link to a user, replacing any earlier link
+ * @param {Object} user - User record
+ */
+export const sendVerificationEmail = (user) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  db.transaction(() => {
+    db.deleteEmailVerificationTokens(record => record.userId === user.id);
+    db.createEmailVerificationToken({
+      userId: user.id,
+      email: user.email,
+      tokenHash: hashToken(token),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + getEmailVerificationTtlMs()).toISOString()
+    });
+  });
+
+  const hours = Math.round(getEmailVerificationTtlMs() / (60 * 60 * 1000));
+  sendMail({
+    to: user.email,
+    subject: 'Verify your Marketplace email address',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Please confirm this is your email address so you can place orders, list products and post reviews:',
+      appLink('/verify-email', { token }),
+      '',
+      `The link expires in ${hours} hours.`,
+      'If you did not create a Marketplace account, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Send another verification link to an unverified user
+ * @param {string} userId - User ID
+ * @throws {HttpError} 404 for an unknown user, 409 when already verified, 429 when asked again too soon
+ */
+export const resendVerificationEmail = (userId) => {
+  const user = db.getUserById(userId);
+  if (!user) {
+    throw new HttpError(404, 'User not found');
+  }
+  if (user.isVerified) {
+    throw new HttpError(409, 'Your email address is already verified');
+  }
+
+  const latest = db.getEmailVerificationTokensByUser(user.id)
+    .reduce((newest, record) => Math.max(newest, new Date(record.createdAt).getTime()), 0);
+  const waitSeconds = Math.ceil((latest + RESEND_COOLDOWN_SECONDS * 1000 - Date.now()) / 1000);
+  if (waitSeconds > 0) {
+    throw new HttpError(429, `Please wait ${waitSeconds} seconds before requesting another email`, {
+      retryAfter: waitSeconds
+    });
+  }
+
+  sendVerificationEmail(user);
+};
+
+/**
+ * Mark the owner of a verification token as verified
+ * @param {string} token - Token from the verification link
+ * @returns {Object} Updated user
+ * @throws {HttpError} 400 when the token is invalid or expired, or the account email has changed since
+ */
+export const verifyEmail = (token) => {
+  const record = token && db.getEmailVerificationTokenByHash(hashToken(token));
+  if (!record || new Date(record.expiresAt).getTime() <= Date.now()) {
+    throw new HttpError(400, 'This verification link is invalid or has expired');
+  }
+
+  const user = db.getUserById(record.userId);
+  if (!user || user.email !== record.email) {
+    throw new HttpError(400, 'This verification link is invalid or has expired');
+  }
+
+  return db.transaction(() => {
+    db.deleteEmailVerificationTokens(t => t.userId === user.id);
+    if (user.isVerified) {
+      return user;
+    }
+    return db.updateUser(user.id, { isVerified: true, verifiedAt: new Date().toISOString() });
+  });
+};
+
+// Drop verification tokens that have expired
+export const purgeExpiredEmailVerificationTokens = () => {
+  const now = Date.now();
+  return db.deleteEmailVerificationTokens(record => new Date(record.expiresAt).getTime() <= now);
+};
@@ -0,0 +1,245 @@
+// Fulfillment service
+// Splits an order into one fulfillment per seller. Each fulfillment has its own status,
+// tracking and share of the shipping charge and moves through the order lifecycle on
+// its own; the parent order's status is derived from its fulfillments:
+//   every fulfillment cancelled                 -> cancelled
+//   every active fulfillment delivered          -> delivered
+//   every active fulfillment shipped/delivered  -> shipped
+//   every active fulfillment pending            -> pending
+//   otherwise                                   -> processing
+import db from '../config/database.js';
+import { HttpError } from '../utils/httpError.js';
+import {
+  initialOrderState,
+  canTransition,
+  transitionFulfillment,
+  applyDerivedStatus,
+  OrderTransitionError
+} from './orderLifecycle.js';
+import { restockItems } from './inventoryService.js';
+import { getBillableWeight } from './shippingService.js';
+import { settlePayment } from './paymentService.js';
+import { releaseRedemptions } from './promotionService.js';
+import { generateId } from './idService.js';
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+const getSellerId = (item) => item.sellerId ?? db.getProductById(item.productId)?.sellerId ?? null;
+
+// Split a shipping charge between fulfillments in proportion to their billable weight
+const allocateShipping = (shipping, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  let remaining = shipping;
+
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) {
+      return round(remaining);
+    }
+    const share = totalWeight > 0 ? round(shipping * weight / totalWeight) : round(shipping / weights.length);
+    remaining -= share;
+    return share;
+  });
+};
+
+/**
+ * Group an order's items into one fulfillment per seller
+ * @param {Object} order - Order with items, shipping, shippingMethod and createdAt
+ * @param {Object} options - { actorId, status, statusHistory } (status defaults to a new pending fulfillment)
+ * @returns {Object[]} Fulfillments
+ */
+export const buildFulfillments = (order, { actorId, status, statusHistory } = {}) => {
+  const groups = new Map();
+  for (const item of order.items) {
+    const sellerId = getSellerId(item);
+    if (!groups.has(sellerId)) {
+      groups.set(sellerId, []);
+    }
+    groups.get(sellerId).push({ productId: item.productId, quantity: item.quantity });
+  }
+
+  const sellers = [...groups.keys()];
+  const weights = sellers.map(sellerId => groups.get(sellerId).reduce((sum, item) => {
+    const product = db.getProductById(item.productId);
+    return sum + getBillableWeight({ ...product?.shipping }) * item.quantity;
+  }, 0));
+  const shippingShares = allocateShipping(order.shipping || 0, weights);
+  const state = status ? { status, statusHistory: statusHistory || [] } : initialOrderState(actorId);
+
+  return sellers.map((sellerId, index) => ({
+    id: generateId('fulfillment'),
+    sellerId,
+    items: groups.get(sellerId),
+    ...state,
+    shippingMethod: order.shippingMethod || null,
+    shipping: shippingShares[index],
+    tracking: null,
+    createdAt: order.createdAt
+  }));
+};
+
+/**
+ * Work out an order's status from its fulfillments
+ * @param {Object[]} fulfillments - The order's fulfillments
+ * @returns {string} Derived order status
+ */
+export const deriveOrderStatus = (fulfillments) => {
+  const active = fulfillments.filter(f => f.status !== 'cancelled');
+  if (active.length === 0) {
+    return 'cancelled';
+  }
+  if (active.every(f => f.status === 'delivered')) {
+    return 'delivered';
+  }
+  if (active.every(f => f.status === 'shipped' || f.status === 'delivered')) {
+    return 'shipped';
+  }
+  if (active.every(f => f.status === 'pending')) {
+    return 'pending';
+  }
+  return 'processing';
+};
+
+/**
+ * Move some of an order's fulfillments to a new status and update the parent order.
+ * Cancelled fulfillments return their items to stock. Runs in a transaction.
+ * @param {Object} order - The order
+ * @param {string[]} fulfillmentIds - Fulfillments to update
+ * @param {string} to - Target status
+ * @param {Object} options - { actorId, note, tracking }
+ * @returns {Object} The updated order
+ * @throws {OrderTransitionError} When a fulfillment cannot make the transition
+ */
+export const updateFulfillments = (order, fulfillmentIds, to, { actorId, note, tracking } = {}) => db.transaction(() => {
+  const fulfillments = order.fulfillments.map(fulfillment => {
+    if (!fulfillmentIds.includes(fulfillment.id)) {
+      return fulfillment;
+    }
+
+    const updates = transitionFulfillment(fulfillment, to, {
+      actorId,
+      note,
+      context: { tracking, reason: note }
+    });
+    if (to === 'cancelled') {
+      restockItems(fulfillment.items);
+    }
+    return { ...fulfillment, ...updates };
+  });
+
+  return saveFulfillments(order, fulfillments, { actorId, note });
+});
+
+// Store updated fulfillments, move the order to the status they now imply and settle
+// the payment (capture on first shipment, void or refund on cancellation). An order that
+// becomes cancelled also gives back its coupon redemptions.
+const saveFulfillments = (order, fulfillments, { actorId, note }) => {
+  const status = deriveOrderStatus(fulfillments);
+  const orderUpdates = status === order.status
+    ? {}
+    : applyDerivedStatus(order, status, { actorId, note, context: { reason: note } });
+
+  if (status === 'cancelled' && order.status !== 'cancelled') {
+    releaseRedemptions(order.discounts || []);
+  }
+
+  return db.updateOrder(order.id, {
+    ...orderUpdates,
+    ...settlePayment(order, fulfillments),
+    fulfillments
+  });
+};
+
+/**
+ * Mark one line item of a fulfillment as shipped.
+ * The first shipped item moves a pending fulfillment to processing; once every item has
+ * shipped the fulfillment itself becomes shipped with the last item's tracking.
+ * @param {Object} order - The order
+ * @param {Object} fulfillment - Fulfillment holding the item
+ * @param {string} productId - Product of the line item
+ * @param {Object} options - { actorId, tracking: { carrier, trackingNumber } }
+ * @returns {Object} The updated order
+ * @throws {HttpError} When the item is not part of the fulfillment or has already shipped
+ * @throws {OrderTransitionError} When the fulfillment can no longer ship
+ */
+export const shipFulfillmentItem = (order, fulfillment, productId, { actorId, tracking }) => db.transaction(() => {
+  const item = fulfillment.items.find(i => i.productId === productId);
+  if (!item) {
+    throw new HttpError(404, 'Item not found in this order');
+  }
+  if (item.shippedAt) {
+    throw new HttpError(409, 'Item has already shipped');
+  }
+  if (!canTransition(fulfillment.status, 'shipped') && !canTransition(fulfillment.status, 'processing')) {
+    throw new OrderTransitionError(fulfillment.status, 'shipped');
+  }
+
+  const at = new Date().toISOString();
+  let updated = {
+    ...fulfillment,
+    items: fulfillment.items.map(i => (i === item ? { ...i, shippedAt: at, tracking } : i))
+  };
+
+  const note = `Shipped ${productId} via ${tracking.carrier} (${tracking.trackingNumber})`;
+  if (updated.status === 'pending') {
+    updated = { ...updated, ...transitionFulfillment(updated, 'processing', { actorId, note }) };
+  }
+  if (updated.items.every(i => i.shippedAt)) {
+    updated = {
+      ...updated,
+      ...transitionFulfillment(updated, 'shipped', { actorId, note, context: { tracking } })
+    };
+  }
+
+  const fulfillments = order.fulfillments.map(f => (f.id === fulfillment.id ? updated : f));
+  return saveFulfillments(order, fulfillments, { actorId, note });
+});
+
+/**
+ * Fulfillments of an order that belong to a seller
+ * @param {Object} order - The order
+ * @param {string} sellerId - Seller user ID
+ * @returns {Object[]} The seller's fulfillments
+ */
+export const getSellerFulfillments = (order, sellerId) => {
+  return (order.fulfillments || []).filter(f => f.sellerId === sellerId);
+};
+
+/**
+ * The part of an order a seller may see: their own items and fulfillments plus what
+ * they need to ship them. Buyer payment details and other sellers' items are left out.
+ * @param {Object} order - The order
+ * @param {string} sellerId - Seller user ID
+ * @returns {Object} Seller view of the order
+ */
+export const toSellerView = (order, sellerId) => {
+  return {
+    id: order.id,
+    orderNumber: order.orderNumber,
+    userId: order.userId,
+    status: order.status,
+    items: order.items.filter(item => getSellerId(item) === sellerId),
+    fulfillments: getSellerFulfillments(order, sellerId),
+    shippingAddress: order.shippingAddress,
+    shippingMethod: order.shippingMethod,
+    createdAt: order.createdAt
+  };
+};
+
+/**
+ * Split stored orders that predate fulfillments. Their single status and history are
+ * copied to every fulfillment.
+ */
+export const backfillFulfillments = () => {
+  db.transaction(() => {
+    db.getOrders()
+      .filter(order => !order.fulfillments)
+      .forEach(order => {
+        db.updateOrder(order.id, {
+          fulfillments: buildFulfillments(order, {
+            status: order.status,
+            statusHistory: order.statusHistory
+          })
+        });
+      });
+  });
+};
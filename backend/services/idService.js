@@ -0,0 +1,42 @@
+// ID service
+// Mints record IDs such as prod-m2x4k9q1f0000-3f9a1c7e2b4d: a type prefix, the creation
+// time in base 36, a counter for IDs minted in the same millisecond and random bits from
+// a v4 UUID. IDs of one type sort by creation time, and IDs minted at the same moment,
+// even by separate server processes, still differ.
+import { v4 as uuidv4 } from 'uuid';
+
+// Fixed widths keep string order equal to creation order
+const TIME_LENGTH = 9;
+const COUNTER_LENGTH = 4;
+const MAX_COUNTER = 36 ** COUNTER_LENGTH - 1;
+const RANDOM_LENGTH = 12;
+
+let lastTime = 0;
+let counter = 0;
+
+/**
+ * Generate a new unique, sortable ID
+ * @param {string} prefix - Record type, e.g. 'order'
+ * @returns {string} ID starting with `${prefix}-`
+ */
+export const generateId = (prefix) => {
+  let time = Date.now();
+
+  // Same millisecond, or the clock moved back: keep counting from the last time used
+  if (time <= lastTime) {
+    time = lastTime;
+    counter++;
+    if (counter > MAX_COUNTER) {
+      time++;
+      counter = 0;
+    }
+  } else {
+    counter = 0;
+  }
+  lastTime = time;
+
+  const timePart = time.toString(36).padStart(TIME_LENGTH, '0');
+  const counterPart = counter.toString(36).padStart(COUNTER_LENGTH, '0');
+  const randomPart = uuidv4().replace(/-/g, '').slice(0, RANDOM_LENGTH);
+  return `${prefix}-${timePart}${counterPart}-${randomPart}`;
+};
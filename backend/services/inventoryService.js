@@ -0,0 +1,108 @@
+// Inventory service
+// Cart items hold a time-limited reservation on product stock. A product's available
+// quantity is its stock minus the unexpired reservations held by shoppers.
+import db from '../config/database.js';
+import { HttpError } from '../utils/httpError.js';
+
+const DEFAULT_RESERVATION_TTL_MINUTES = 15;
+
+export const getReservationTtlMs = () => {
+  const minutes = parseFloat(process.env.RESERVATION_TTL_MINUTES);
+  return (minutes > 0 ? minutes : DEFAULT_RESERVATION_TTL_MINUTES) * 60 * 1000;
+};
+
+const isActive = (reservation, now = Date.now()) => new Date(reservation.expiresAt).getTime() > now;
+
+/**
+ * Quantity of a product held by unexpired reservations
+ * @param {string} productId - Product ID
+ * @param {string} excludeUserId - Ignore this user's own reservation
+ * @returns {number} Reserved quantity
+ */
+export const getReservedQuantity = (productId, excludeUserId = null) => {
+  const now = Date.now();
+  return db.getReservationsByProduct(productId)
+    .filter(r => r.userId !== excludeUserId && isActive(r, now))
+    // A malformed hold must never make more stock look available
+    .reduce((sum, r) => sum + (Number.isFinite(r.quantity) && r.quantity > 0 ? r.quantity : 0), 0);
+};
+
+/**
+ * Stock that can still be added to a cart or ordered
+ * @param {Object} product - Product record
+ * @param {string} forUserId - Count this user's own reservation as available to them
+ * @returns {number} Available quantity (never negative)
+ */
+export const getAvailableStock = (product, forUserId = null) => {
+  return Math.max(0, product.stock - getReservedQuantity(product.id, forUserId));
+};
+
+export const withAvailability = (product, forUserId = null) => ({
+  ...product,
+  available: getAvailableStock(product, forUserId)
+});
+
+/**
+ * Hold a quantity of a product for a user, replacing any existing hold and
+ * restarting its expiry
+ * @param {string} userId - User ID
+ * @param {Object} product - Product record
+ * @param {number} quantity - Total quantity to hold
+ * @returns {Object} The reservation
+ * @throws {HttpError} When the quantity is not a positive whole number or not enough stock is available
+ */
+export const reserveStock = (userId, product, quantity) => {
+  if (!Number.isSafeInteger(quantity) || quantity < 1) {
+    throw new HttpError(400, 'Quantity must be a whole number of at least 1');
+  }
+
+  if (getAvailableStock(product, userId) < quantity) {
+    throw new HttpError(400, 'Insufficient stock', {
+      available: getAvailableStock(product, userId)
+    });
+  }
+
+  const expiresAt = new Date(Date.now() + getReservationTtlMs()).toISOString();
+  const existing = db.getReservation(userId, product.id);
+  if (existing) {
+    return db.updateReservation(existing.id, { quantity, expiresAt });
+  }
+
+  return db.createReservation({
+    userId,
+    productId: product.id,
+    quantity,
+    expiresAt,
+    createdAt: new Date().toISOString()
+  });
+};
+
+export const releaseReservation = (userId, productId) => {
+  return db.deleteReservations(r => r.userId === userId && r.productId === productId);
+};
+
+export const releaseUserReservations = (userId) => {
+  return db.deleteReservations(r => r.userId === userId);
+};
+
+// Drop expired holds. Expired holds never count against stock, so this is housekeeping only.
+export const purgeExpiredReservations = () => {
+  const now = Date.now();
+  return db.deleteReservations(r => !isActive(r, now));
+};
+
+/**
+ * Return order items to product stock
+ * @param {Object[]} items - { productId, quantity } items
+ */
+export const restockItems = (items) => {
+  for (const item of items) {
+    const product = db.getProductById(item.productId);
+    // Deleted products have nothing to restock
+    if (product) {
+      db.updateProduct(product.id, {
+        stock: product.stock + item.quantity
+      });
+    }
+  }
+};
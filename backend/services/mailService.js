@@ -0,0 +1,83 @@
+// Mail service
+// Sends email through the transport selected with MAIL_TRANSPORT. No transport talks to a
+// mail server; messages are kept where developers can read them:
+//   memory (default) - in process memory, listed by GET /api/dev/mail
+//   outbox           - JSON files in MAIL_OUTBOX_DIR (default: data/outbox)
+// Links in messages point at the frontend (APP_URL, default http://localhost:5173).
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateId } from './idService.js';
+import { createMemoryTransport } from './mailTransports/memoryTransport.js';
+import { createOutboxTransport } from './mailTransports/outboxTransport.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_FROM = 'Marketplace <no-reply@marketplace.local>';
+const DEFAULT_APP_URL = 'http://localhost:5173';
+
+const createTransport = (type = 'memory') => {
+  switch (type) {
+    case 'memory':
+      return createMemoryTransport();
+    case 'outbox':
+      return createOutboxTransport(
+        path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../data/outbox'))
+      );
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${type}". Expected "memory" or "outbox".`);
+  }
+};
+
+// Created on first use so environment variables loaded by dotenv in server.js apply
+let transport = null;
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport(process.env.MAIL_TRANSPORT);
+  }
+  return transport;
+};
+
+/**
+ * Build a link to a frontend page
+ * @param {string} pathname - Page path, e.g. '/reset-password'
+ * @param {Object} params - Query parameters
+ * @returns {string} Absolute URL
+ */
+export const appLink = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.APP_URL || DEFAULT_APP_URL);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text }
+ * @returns {Object} The stored message
+ */
+export const sendMail = ({ to, subject, text }) => {
+  const message = {
+    id: generateId('mail'),
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    sentAt: new Date().toISOString()
+  };
+  getTransport().send(message);
+  return message;
+};
+
+/**
+ * Messages sent so far, newest first
+ * @param {Object} filters - { to } to only list mail for one address
+ * @returns {Object[]} Messages
+ */
+export const getSentMail = ({ to } = {}) => {
+  return getTransport().list()
+    .filter(message => !to || message.to.toLowerCase() === to.toLowerCase())
+    .reverse();
+};
+
+export const clearSentMail = () => getTransport().clear();
+
+export const getMailTransportName = () => getTransport().name;
@@ -0,0 +1,22 @@
+// In-memory mail transport
+// Keeps sent messages in process memory (newest last, capped) so development and tests
+// can read them back through the dev mail endpoint. Lost on restart.
+const MAX_MESSAGES = 200;
+
+export const createMemoryTransport = () => {
+  let messages = [];
+
+  return {
+    name: 'memory',
+    send: (message) => {
+      messages.push(message);
+      if (messages.length > MAX_MESSAGES) {
+        messages = messages.slice(-MAX_MESSAGES);
+      }
+    },
+    list: () => [...messages],
+    clear: () => {
+      messages = [];
+    }
+  };
+};
@@ -0,0 +1,33 @@
+// Outbox mail transport
+// Writes every message as a JSON file into an outbox directory instead of sending it,
+// so mail survives restarts and can be opened with any editor.
+import fs from 'fs';
+import path from 'path';
+
+export const createOutboxTransport = (directory) => {
+  const readMessages = () => {
+    if (!fs.existsSync(directory)) {
+      return [];
+    }
+    return fs.readdirSync(directory)
+      .filter(file => file.endsWith('.json'))
+      .map(file => JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')))
+      .sort((a, b) => new Date(a.sentAt) - new Date(b.sentAt));
+  };
+
+  return {
+    name: 'outbox',
+    send: (message) => {
+      fs.mkdirSync(directory, { recursive: true });
+      fs.writeFileSync(path.join(directory, `${message.id}.json`), JSON.stringify(message, null, 2));
+    },
+    list: readMessages,
+    clear: () => {
+      if (fs.existsSync(directory)) {
+        fs.readdirSync(directory)
+          .filter(file => file.endsWith('.json'))
+          .forEach(file => fs.unlinkSync(path.join(directory, file)));
+      }
+    }
+  };
+};
@@ -0,0 +1,130 @@
+// Order lifecycle
+// Defines the allowed order status transitions, the side-effects applied when an order
+// or one of its seller fulfillments enters a status, and the statusHistory entries
+// recorded for every change. Fulfillments follow the transitions below; the parent
+// order's status is derived from them (see fulfillmentService).
+import { HttpError } from '../utils/httpError.js';
+
+export const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+// Allowed next statuses for each status. Terminal statuses map to an empty list.
+export const ORDER_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Extra fields applied to the order when it enters a status.
+// Payment changes (capture, void, refund) are handled by paymentService.
+const transitionHooks = {
+  shipped: ({ at }) => ({ shippedAt: at }),
+  delivered: ({ at }) => ({ deliveredAt: at }),
+  cancelled: ({ at, actorId, reason }) => ({
+    cancelledAt: at,
+    cancelledBy: actorId,
+    cancellationReason: reason || null
+  })
+};
+
+// Extra fields applied to a seller fulfillment when it enters a status
+const fulfillmentHooks = {
+  shipped: ({ at, tracking }) => ({ shippedAt: at, ...(tracking && { tracking }) }),
+  delivered: ({ at }) => ({ deliveredAt: at }),
+  cancelled: ({ at, actorId, reason }) => ({
+    cancelledAt: at,
+    cancelledBy: actorId,
+    cancellationReason: reason || null
+  })
+};
+
+export class OrderTransitionError extends HttpError {
+  constructor(from, to) {
+    super(409, `Cannot change order status from ${from} to ${to}`);
+    this.name = 'OrderTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+export const isValidStatus = (status) => ORDER_STATUSES.includes(status);
+
+export const getAllowedTransitions = (status) => ORDER_TRANSITIONS[status] || [];
+
+export const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+const createHistoryEntry = (from, to, actorId, note, at) => ({
+  from,
+  to,
+  changedBy: actorId,
+  changedAt: at,
+  ...(note && { note })
+});
+
+/**
+ * Build the fields for a newly created order
+ * @param {string} actorId - User creating the order
+ * @returns {Object} Initial status and statusHistory
+ */
+export const initialOrderState = (actorId) => ({
+  status: 'pending',
+  statusHistory: [createHistoryEntry(null, 'pending', actorId, null, new Date().toISOString())]
+});
+
+const buildTransition = (record, to, hooks, { actorId, note, context = {} }) => {
+  const at = new Date().toISOString();
+  const hook = hooks[to];
+
+  return {
+    ...(hook ? hook({ order: record, at, actorId, ...context }) : {}),
+    status: to,
+    statusHistory: [
+      ...(record.statusHistory || []),
+      createHistoryEntry(record.status, to, actorId, note, at)
+    ]
+  };
+};
+
+/**
+ * Build the updates that move an order to a new status
+ * @param {Object} order - Current order
+ * @param {string} to - Target status
+ * @param {Object} options - { actorId, note, context } where context is passed to the hook
+ * @returns {Object} Updates to pass to db.updateOrder
+ * @throws {OrderTransitionError} When the transition is not allowed
+ */
+export const transitionOrder = (order, to, options = {}) => {
+  if (!canTransition(order.status, to)) {
+    throw new OrderTransitionError(order.status, to);
+  }
+  return buildTransition(order, to, transitionHooks, options);
+};
+
+/**
+ * Build the updates that move a seller fulfillment to a new status
+ * @param {Object} fulfillment - Current fulfillment
+ * @param {string} to - Target status
+ * @param {Object} options - { actorId, note, context } where context may carry tracking or reason
+ * @returns {Object} Fields to merge into the fulfillment
+ * @throws {OrderTransitionError} When the transition is not allowed
+ */
+export const transitionFulfillment = (fulfillment, to, options = {}) => {
+  if (!canTransition(fulfillment.status, to)) {
+    throw new OrderTransitionError(fulfillment.status, to);
+  }
+  return buildTransition(fulfillment, to, fulfillmentHooks, options);
+};
+
+/**
+ * Build the updates that move an order to a status derived from its fulfillments.
+ * Not checked against ORDER_TRANSITIONS: a derived status can skip steps, e.g. when the
+ * last unshipped fulfillment is cancelled and the others are already delivered.
+ * @param {Object} order - Current order
+ * @param {string} to - Derived status
+ * @param {Object} options - { actorId, note, context }
+ * @returns {Object} Updates to pass to db.updateOrder
+ */
+export const applyDerivedStatus = (order, to, options = {}) => {
+  return buildTransition(order, to, transitionHooks, options);
+};
@@ -0,0 +1,76 @@
+// Order number service
+// Gives every order a customer-facing number like MKT-0000018: a prefix
+// (ORDER_NUMBER_PREFIX, default MKT), a zero-padded sequence and a Luhn check digit
+// that catches mistyped numbers before they are looked up. The sequence is kept in
+// storage, so numbers stay unique across restarts with durable storage.
+import db from '../config/database.js';
+
+const DEFAULT_PREFIX = 'MKT';
+const SEQUENCE_NAME = 'orderNumber';
+const SEQUENCE_DIGITS = 6;
+const ORDER_NUMBER_PATTERN = /^([A-Z0-9]+)-(\d{2,})$/;
+
+export const getOrderNumberPrefix = () => {
+  const prefix = (process.env.ORDER_NUMBER_PREFIX || '').trim().toUpperCase();
+  return /^[A-Z0-9]+$/.test(prefix) ? prefix : DEFAULT_PREFIX;
+};
+
+// Luhn check digit for a string of digits
+const checkDigit = (digits) => {
+  const sum = digits.split('').reverse().reduce((total, char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    return total + digit;
+  }, 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Normalize an order number typed by a person and verify its check digit
+ * @param {string} input - Order number, any case, surrounding whitespace allowed
+ * @returns {string|null} The normalized order number, or null when it is malformed
+ */
+export const parseOrderNumber = (input) => {
+  const value = String(input || '').trim().toUpperCase();
+  const match = value.match(ORDER_NUMBER_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const digits = match[2];
+  return checkDigit(digits.slice(0, -1)) === digits.slice(-1) ? value : null;
+};
+
+/**
+ * Take the next order number. Must be called inside the transaction creating the order
+ * so a rolled-back order also gives its number back.
+ * @returns {string} Unused order number
+ */
+export const generateOrderNumber = () => {
+  const prefix = getOrderNumberPrefix();
+  let orderNumber;
+  // Skip numbers already taken, e.g. by orders stored before the sequence existed
+  do {
+    const sequence = String(db.nextSequence(SEQUENCE_NAME)).padStart(SEQUENCE_DIGITS, '0');
+    orderNumber = `${prefix}-${sequence}${checkDigit(sequence)}`;
+  } while (db.getOrderByNumber(orderNumber));
+  return orderNumber;
+};
+
+/**
+ * Number stored orders that predate order numbers, oldest first
+ */
+export const backfillOrderNumbers = () => {
+  db.transaction(() => {
+    db.getOrders()
+      .filter(order => !order.orderNumber)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .forEach(order => {
+        db.updateOrder(order.id, { orderNumber: generateOrderNumber() });
+      });
+  });
+};
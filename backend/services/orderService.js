@@ -0,0 +1,174 @@
+// Order service
+// Prices order items, calculates totals and places orders. Shared by POST /api/orders
+// and POST /api/checkout.
+import db from '../config/database.js';
+import { HttpError } from '../utils/httpError.js';
+import { parseQuantity } from '../utils/quantity.js';
+import { initialOrderState, canTransition } from './orderLifecycle.js';
+import { getAvailableStock } from './inventoryService.js';
+import { buildFulfillments, updateFulfillments } from './fulfillmentService.js';
+import { buildLines, calculateDiscounts, recordRedemptions } from './promotionService.js';
+import { calculateTax } from './taxService.js';
+import { getShippingQuote } from './shippingService.js';
+import { generateOrderNumber } from './orderNumberService.js';
+import { authorizePayment } from './paymentService.js';
+import { DEFAULT_SHIPPING_METHOD } from '../config/shippingRates.js';
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * Check an address has every field needed to ship an order
+ * @param {Object} address - { street, city, state, zipCode, country }
+ * @returns {string[]} Names of the missing fields
+ */
+export const getMissingAddressFields = (address) => {
+  return ['street', 'city', 'state', 'zipCode', 'country'].filter(field => !address?.[field]);
+};
+
+/**
+ * Calculate discount, tax, shipping and total for a set of order lines.
+ * Tax and shipping depend on the destination address (see taxService and shippingService);
+ * tax is charged on the discounted lines and free-shipping thresholds are compared with the
+ * discounted subtotal. Free-shipping discount lines are given the waived shipping charge as
+ * their amount, but that amount is not part of the discount total.
+ * @param {Object[]} lines - Lines from buildLines
+ * @param {string} shippingMethod - Shipping method ID
+ * @param {Object} options - { discounts, freeShipping } from calculateDiscounts, plus shippingAddress
+ * @returns {Object} { subtotal, discounts, discount, tax, taxBreakdown, shipping, shippingDetails, total }
+ * @throws {HttpError} When the shipping method does not exist or does not ship to the address
+ */
+export const calculateTotals = (lines, shippingMethod = DEFAULT_SHIPPING_METHOD, { discounts = [], freeShipping = false, shippingAddress } = {}) => {
+  const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  const discount = discounts.reduce((sum, line) => sum + line.amount, 0);
+  const quote = getShippingQuote(shippingMethod, { lines, address: shippingAddress, subtotal: subtotal - discount });
+  const { tax, ...taxBreakdown } = calculateTax({ lines, address: shippingAddress, discountTotal: discount });
+  const shipping = freeShipping ? 0 : quote.price;
+
+  return {
+    subtotal: round(subtotal),
+    discounts: discounts.map(line => (
+      line.type === 'free_shipping' ? { ...line, amount: quote.price } : line
+    )),
+    discount: round(discount),
+    tax,
+    taxBreakdown,
+    shipping: round(shipping),
+    shippingDetails: {
+      method: quote.id,
+      name: quote.name,
+      zone: quote.zone,
+      estimatedDays: quote.estimatedDays,
+      weight: quote.weight
+    },
+    total: round(subtotal - discount + tax + shipping)
+  };
+};
+
+/**
+ * Create an order from requested items, decrementing product stock.
+ * Runs in a transaction: if any item fails, no stock is changed and no order is created.
+ * @param {Object} params - { userId, items, shippingAddress, paymentMethod, paymentDetails, shippingMethod, couponCode }
+ * @returns {Object} The created order, with its payment authorized
+ * @throws {HttpError} When an item is missing or out of stock, the coupon cannot be used,
+ *   or the payment is invalid (400) or declined (402)
+ */
+export const placeOrder = (params) => db.transaction(() => createOrderRecord(params));
+
+const createOrderRecord = ({
+  userId,
+  items,
+  shippingAddress,
+  paymentMethod = 'credit_card',
+  paymentDetails,
+  shippingMethod = DEFAULT_SHIPPING_METHOD,
+  couponCode
+}) => {
+  if (!items || items.length === 0) {
+    throw new HttpError(400, 'Order must contain at least one item');
+  }
+
+  const orderItems = [];
+
+  for (const item of items) {
+    const quantity = parseQuantity(item.quantity);
+    if (!quantity) {
+      throw new HttpError(400, `Quantity for ${item.productId} must be a whole number of at least 1`);
+    }
+
+    const product = db.getProductById(item.productId);
+    if (!product) {
+      throw new HttpError(404, `Product ${item.productId} not found`);
+    }
+
+    // Stock held in other shoppers' carts is not available to this order
+    if (getAvailableStock(product, userId) < quantity) {
+      throw new HttpError(400, `Insufficient stock for ${product.name}`);
+    }
+
+    orderItems.push({
+      productId: product.id,
+      quantity,
+      price: product.price,
+      name: product.name,
+      sellerId: product.sellerId
+    });
+
+    // Update product stock
+    db.updateProduct(product.id, {
+      stock: product.stock - quantity
+    });
+  }
+
+  const lines = buildLines(orderItems);
+  const { discounts, freeShipping, couponError } = calculateDiscounts({
+    lines,
+    userId,
+    couponCode
+  });
+  if (couponCode && couponError) {
+    throw new HttpError(400, couponError);
+  }
+
+  const order = {
+    orderNumber: generateOrderNumber(),
+    userId,
+    items: orderItems,
+    ...calculateTotals(lines, shippingMethod, { discounts, freeShipping, shippingAddress }),
+    shippingMethod,
+    ...initialOrderState(userId),
+    shippingAddress,
+    paymentMethod,
+    createdAt: new Date().toISOString()
+  };
+
+  // A declined payment throws and rolls back the stock changes
+  Object.assign(order, authorizePayment({ amount: order.total, paymentMethod, paymentDetails }));
+
+  order.fulfillments = buildFulfillments(order, { actorId: userId });
+
+  recordRedemptions(discounts);
+
+  return db.createOrder(order);
+};
+
+/**
+ * Check whether every open fulfillment of an order can still be cancelled
+ * @param {Object} order - The order
+ * @returns {boolean} True when the order can be cancelled
+ */
+export const canCancelOrder = (order) => {
+  const open = order.fulfillments.filter(f => f.status !== 'cancelled');
+  return open.length > 0 && open.every(f => canTransition(f.status, 'cancelled'));
+};
+
+/**
+ * Cancel every open fulfillment of an order and return the items to stock
+ * @param {Object} order - Order to cancel
+ * @param {Object} params - { actorId, reason }
+ * @returns {Object} The updated order
+ * @throws {OrderTransitionError} When a fulfillment can no longer be cancelled
+ */
+export const cancelOrder = (order, { actorId, reason }) => {
+  const openIds = order.fulfillments.filter(f => f.status !== 'cancelled').map(f => f.id);
+  return updateFulfillments(order, openIds, 'cancelled', { actorId, note: reason });
+};
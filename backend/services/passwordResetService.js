@@ -0,0 +1,114 @@
+// Password reset service
+// Forgotten passwords are reset through a link emailed to the account address. The link
+// carries a random token that expires after PASSWORD_RESET_TTL_MINUTES (default 60) and
+// works once; only its SHA-256 hash is stored. Requesting a new link invalidates older ones,
+// and a successful reset signs the user out of every session.
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import db from '../config/database.js';
+import { HttpError } from '../utils/httpError.js';
+import { sendMail, appLink } from './mailService.js';
+import { revokeUserSessions } from './sessionService.js';
+
+const DEFAULT_TTL_MINUTES = 60;
+export const MIN_PASSWORD_LENGTH = 8;
+
+export const getPasswordResetTtlMs = () => {
+  const minutes = parseFloat(process.env.PASSWORD_RESET_TTL_MINUTES);
+  return (minutes > 0 ? minutes : DEFAULT_TTL_MINUTES) * 60 * 1000;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Email a password reset link if an account exists for the address. Callers should
+ * answer the same way either way so accounts cannot be discovered.
+ * @param {string} email - Account email
+ */
+export const requestPasswordReset = (email) => {
+  const user = email && db.getUserByEmail(String(email).trim());
+  if (!user) {
+    return;
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  db.transaction(() => {
+    db.deletePasswordResetTokens(record => record.userId === user.id);
+    db.createPasswordResetToken({
+      userId: user.id,
+      tokenHash: hashToken(token),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + getPasswordResetTtlMs()).toISOString(),
+      usedAt: null
+    });
+  });
+
+  const minutes = Math.round(getPasswordResetTtlMs() / 60000);
+  sendMail({
+    to: user.email,
+    subject: 'Reset your Marketplace password',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'We received a request to reset your password. Choose a new one here:',
+      appLink('/reset-password', { token }),
+      '',
+      `The link expires in ${minutes} minutes and can be used once.`,
+      'If you did not ask for this, you can ignore this email; your password stays the same.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Set a new password using a reset token
+ * @param {string} token - Token from the reset link
+ * @param {string} password - New password
+ * @returns {Object} Updated user
+ * @throws {HttpError} 400 when the token is invalid, expired or used, or the password too short
+ */
+export const resetPassword = async (token, password) => {
+  if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+    throw new HttpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const record = token && db.getPasswordResetTokenByHash(hashToken(token));
+  if (!record || record.usedAt || new Date(record.expiresAt).getTime() <= Date.now()) {
+    throw new HttpError(400, 'This password reset link is invalid or has expired');
+  }
+
+  const hashedPassword = await bcrypt.hash(String(password), 10);
+
+  // Re-check after hashing: the token may have been used while we were waiting
+  const user = db.transaction(() => {
+    const current = db.getPasswordResetTokenByHash(record.tokenHash);
+    if (!current || current.usedAt) {
+      throw new HttpError(400, 'This password reset link is invalid or has expired');
+    }
+    db.updatePasswordResetToken(current.id, { usedAt: new Date().toISOString() });
+    revokeUserSessions(current.userId, { reason: 'password_reset' });
+    return db.updateUser(current.userId, {
+      password: hashedPassword,
+      passwordChangedAt: new Date().toISOString()
+    });
+  });
+
+  sendMail({
+    to: user.email,
+    subject: 'Your Marketplace password was changed',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Your password was just reset and you were signed out on every device.',
+      'If this was not you, reset your password again right away and contact support.'
+    ].join('\n')
+  });
+
+  return user;
+};
+
+// Drop reset tokens that can no longer be used
+export const purgeExpiredPasswordResetTokens = () => {
+  const now = Date.now();
+  return db.deletePasswordResetTokens(record => record.usedAt || new Date(record.expiresAt).getTime() <= now);
+};
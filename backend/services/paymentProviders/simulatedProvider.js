@@ -0,0 +1,80 @@
+// Simulated payment provider
+// Behaves like a card gateway without any network access. Outcomes depend only on the
+// card number, so every flow can be reproduced locally:
+//   4242 4242 4242 4242 - authorizes
+//   4000 0025 0000 3155 - requires buyer confirmation (e.g. 3-D Secure), then authorizes
+//   4000 0000 0000 0002 - declined (card_declined)
+//   4000 0000 0000 9995 - declined (insufficient_funds)
+// Any other number that passes the Luhn check authorizes; expired cards are declined.
+export const TEST_CARDS = {
+  success: '4242424242424242',
+  requiresAction: '4000002500003155',
+  declined: '4000000000000002',
+  insufficientFunds: '4000000000009995'
+};
+
+const DECLINES = {
+  [TEST_CARDS.declined]: { code: 'card_declined', message: 'Your card was declined' },
+  [TEST_CARDS.insufficientFunds]: { code: 'insufficient_funds', message: 'Your card has insufficient funds' }
+};
+
+export const createSimulatedProvider = () => {
+  // Authorizations by transaction ID; lost on restart like any other in-memory state
+  const authorizations = new Map();
+  let sequence = 0;
+
+  const nextId = (prefix) => `sim_${prefix}_${Date.now()}_${++sequence}`;
+
+  const isExpired = ({ expMonth, expYear }) => {
+    const now = new Date();
+    return expYear < now.getFullYear() || (expYear === now.getFullYear() && expMonth < now.getMonth() + 1);
+  };
+
+  return {
+    name: 'simulated',
+
+    authorize: ({ amount, card }) => {
+      const decline = DECLINES[card.number] ||
+        (isExpired(card) && { code: 'expired_card', message: 'Your card has expired' });
+      if (decline) {
+        return { status: 'declined', transactionId: nextId('auth'), ...decline };
+      }
+
+      const transactionId = nextId('auth');
+      const requiresAction = card.number === TEST_CARDS.requiresAction;
+      authorizations.set(transactionId, { amount, confirmed: !requiresAction });
+
+      return requiresAction
+        ? {
+          status: 'requires_action',
+          transactionId,
+          code: 'authentication_required',
+          message: 'The card issuer requires the buyer to confirm this payment'
+        }
+        : { status: 'authorized', transactionId };
+    },
+
+    confirm: ({ transactionId }) => {
+      const authorization = authorizations.get(transactionId);
+      if (authorization) {
+        authorization.confirmed = true;
+      }
+      return { status: 'authorized', transactionId };
+    },
+
+    capture: ({ transactionId, amount }) => {
+      const authorization = authorizations.get(transactionId);
+      if (authorization && amount > authorization.amount) {
+        return { status: 'failed', transactionId, code: 'amount_too_large', message: 'Capture exceeds the authorized amount' };
+      }
+      return { status: 'succeeded', transactionId: nextId('capture') };
+    },
+
+    void: ({ transactionId }) => {
+      authorizations.delete(transactionId);
+      return { status: 'succeeded', transactionId: nextId('void') };
+    },
+
+    refund: () => ({ status: 'succeeded', transactionId: nextId('refund') })
+  };
+};
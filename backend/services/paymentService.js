@@ -0,0 +1,283 @@
+// Payment service
+// Moves money through the provider selected with PAYMENT_PROVIDER (default: simulated)
+// and keeps each order's payment record (`payment`), `paymentStatus` and a log of every
+// provider call (`paymentAttempts`):
+//   order created        -> authorize (may need the buyer to confirm)
+//   first item ships     -> capture the order total, less cancelled fulfillments
+//   cancelled            -> void before capture, refund after
+//   return received      -> refund the returned items
+// Provider calls are synchronous, like the storage layer, so they can run inside db.transaction.
+import { HttpError } from '../utils/httpError.js';
+import { createSimulatedProvider } from './paymentProviders/simulatedProvider.js';
+
+const createProvider = (type = 'simulated') => {
+  switch (type) {
+    case 'simulated':
+      return createSimulatedProvider();
+    default:
+      throw new Error(`Unknown PAYMENT_PROVIDER "${type}". Expected "simulated".`);
+  }
+};
+
+// Created on first use so environment variables loaded by dotenv in server.js apply
+let provider = null;
+const getProvider = () => {
+  if (!provider) {
+    provider = createProvider(process.env.PAYMENT_PROVIDER);
+  }
+  return provider;
+};
+
+export const SUPPORTED_PAYMENT_METHODS = ['credit_card'];
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+const passesLuhn = (number) => {
+  let sum = 0;
+  for (let i = 0; i < number.length; i++) {
+    let digit = parseInt(number[number.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+const getCardBrand = (number) => {
+  if (/^4/.test(number)) return 'visa';
+  if (/^5[1-5]/.test(number)) return 'mastercard';
+  if (/^3[47]/.test(number)) return 'amex';
+  return 'unknown';
+};
+
+/**
+ * Validate card details sent with an order
+ * @param {Object} details - { cardNumber, expMonth, expYear, cvc }
+ * @returns {Object} { number, expMonth, expYear, cvc }
+ * @throws {HttpError} 400 listing the invalid fields
+ */
+export const normalizeCard = (details = {}) => {
+  const number = String(details.cardNumber || '').replace(/[\s-]/g, '');
+  const expMonth = parseInt(details.expMonth);
+  const expYear = parseInt(details.expYear);
+  const cvc = String(details.cvc || '');
+  const errors = [];
+
+  if (!/^\d{13,19}$/.test(number) || !passesLuhn(number)) {
+    errors.push('cardNumber is not a valid card number');
+  }
+  if (!(expMonth >= 1 && expMonth <= 12)) {
+    errors.push('expMonth must be between 1 and 12');
+  }
+  if (!(expYear >= 2000)) {
+    errors.push('expYear must be a four-digit year');
+  }
+  if (!/^\d{3,4}$/.test(cvc)) {
+    errors.push('cvc must be 3 or 4 digits');
+  }
+
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Invalid payment details', { errors });
+  }
+
+  return { number, expMonth, expYear, cvc };
+};
+
+// paymentStatus shown on the order for each payment record status
+const PAYMENT_STATUS = {
+  requires_action: 'requires_action',
+  authorized: 'authorized',
+  captured: 'paid',
+  voided: 'voided',
+  partially_refunded: 'partially_refunded',
+  refunded: 'refunded'
+};
+
+const createAttempt = (type, amount, result) => ({
+  type,
+  amount: round(amount),
+  status: result.status,
+  transactionId: result.transactionId,
+  ...(result.code && { code: result.code }),
+  ...(result.message && { message: result.message }),
+  at: new Date().toISOString()
+});
+
+// Order updates for a provider call: the attempt is always logged, the payment record
+// only changes when the call went through
+const buildUpdates = (order, attempt, changes) => {
+  const payment = changes ? { ...order.payment, ...changes } : order.payment;
+  return {
+    payment,
+    paymentStatus: PAYMENT_STATUS[payment.status],
+    paymentAttempts: [...(order.paymentAttempts || []), attempt]
+  };
+};
+
+/**
+ * Amount the buyer paid for some of an order's items: their price after order-level
+ * discounts plus the tax charged on them. Shipping is not included.
+ * @param {Object} order - The order
+ * @param {Object[]} items - { productId, quantity } items
+ * @returns {number} Amount
+ */
+export const getItemsAmount = (order, items) => {
+  const discountRatio = order.subtotal > 0 ? (order.discount || 0) / order.subtotal : 0;
+
+  const amount = items.reduce((sum, item) => {
+    const orderItem = order.items.find(i => i.productId === item.productId);
+    const lineTotal = orderItem.price * orderItem.quantity;
+    const taxLine = order.taxBreakdown?.lines?.find(line => line.productId === item.productId);
+    // Orders without a per-line breakdown spread their tax over the items by value
+    const lineTax = taxLine ? taxLine.tax : (order.tax || 0) * (order.subtotal > 0 ? lineTotal / order.subtotal : 0);
+    const unitAmount = (orderItem.price * (1 - discountRatio)) + lineTax / orderItem.quantity;
+    return sum + unitAmount * item.quantity;
+  }, 0);
+
+  return round(amount);
+};
+
+// Amount a fulfillment accounts for: its items plus its share of shipping
+const getFulfillmentAmount = (order, fulfillment) => {
+  return round(getItemsAmount(order, fulfillment.items) + (fulfillment.shipping || 0));
+};
+
+/**
+ * Authorize payment for a new order
+ * @param {Object} params - { amount, paymentMethod, paymentDetails }
+ * @returns {Object} Order fields: payment, paymentStatus, paymentAttempts
+ * @throws {HttpError} 400 for unsupported methods or invalid card details, 402 when declined
+ */
+export const authorizePayment = ({ amount, paymentMethod = 'credit_card', paymentDetails }) => {
+  if (!SUPPORTED_PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new HttpError(400, `Unsupported payment method ${paymentMethod}`);
+  }
+
+  const card = normalizeCard(paymentDetails);
+  const result = getProvider().authorize({ amount, card });
+  const attempt = createAttempt('authorize', amount, result);
+
+  if (result.status === 'declined') {
+    throw new HttpError(402, `Payment declined: ${result.message}`, { paymentError: { code: result.code } });
+  }
+
+  return buildUpdates({}, attempt, {
+    provider: getProvider().name,
+    transactionId: result.transactionId,
+    status: result.status,
+    amount: round(amount),
+    capturedAmount: 0,
+    refundedAmount: 0,
+    card: {
+      brand: getCardBrand(card.number),
+      last4: card.number.slice(-4),
+      expMonth: card.expMonth,
+      expYear: card.expYear
+    }
+  });
+};
+
+/**
+ * Complete an authorization that needed the buyer's confirmation
+ * @param {Object} order - Order whose payment requires action
+ * @returns {Object} Order updates
+ * @throws {HttpError} 409 when the payment is not waiting for confirmation
+ */
+export const confirmPayment = (order) => {
+  if (order.payment?.status !== 'requires_action') {
+    throw new HttpError(409, 'This payment does not need confirmation');
+  }
+
+  const result = getProvider().confirm({ transactionId: order.payment.transactionId });
+  return buildUpdates(order, createAttempt('confirm', order.payment.amount, result), {
+    status: result.status
+  });
+};
+
+/**
+ * Refund part of a captured payment, never more than the captured amount not yet refunded
+ * @param {Object} order - The order
+ * @param {number} requested - Amount to refund
+ * @returns {Object} Order updates (empty for orders without a payment record or nothing left to refund)
+ */
+export const refundPayment = (order, requested) => {
+  // Only captured money can be refunded; orders placed before payments were tracked have none
+  if (!['captured', 'partially_refunded'].includes(order.payment?.status)) {
+    return {};
+  }
+
+  const remaining = round(order.payment.capturedAmount - order.payment.refundedAmount);
+  const amount = round(Math.min(requested, remaining));
+  if (!(amount > 0)) {
+    return {};
+  }
+
+  const result = getProvider().refund({ transactionId: order.payment.transactionId, amount });
+  const attempt = createAttempt('refund', amount, result);
+  if (result.status !== 'succeeded') {
+    return buildUpdates(order, attempt);
+  }
+
+  const refundedAmount = round(order.payment.refundedAmount + amount);
+  return buildUpdates(order, attempt, {
+    refundedAmount,
+    status: refundedAmount >= order.payment.capturedAmount ? 'refunded' : 'partially_refunded'
+  });
+};
+
+/**
+ * Settle the payment after fulfillments changed: capture when the first fulfillment ships,
+ * void when everything is cancelled before capture, refund fulfillments cancelled after it.
+ * @param {Object} order - Order before the change
+ * @param {Object[]} fulfillments - Fulfillments after the change
+ * @returns {Object} Order updates (empty when nothing needs to happen)
+ * @throws {HttpError} 409 when an order ships before its payment is confirmed
+ */
+export const settlePayment = (order, fulfillments) => {
+  const { payment } = order;
+  // Orders placed before payments were tracked have nothing to settle with the provider,
+  // but a fully cancelled one still records whether its money was refunded or never taken
+  if (!payment) {
+    if (!fulfillments.every(f => f.status === 'cancelled')) {
+      return {};
+    }
+    return { paymentStatus: order.paymentStatus === 'paid' ? 'refunded' : 'voided' };
+  }
+
+  const shipped = fulfillments.some(f => f.status === 'shipped' || f.status === 'delivered');
+  const cancelled = fulfillments.filter(f => f.status === 'cancelled');
+  const newlyCancelled = cancelled.filter(f =>
+    order.fulfillments.find(previous => previous.id === f.id)?.status !== 'cancelled'
+  );
+
+  if (payment.status === 'requires_action' || payment.status === 'authorized') {
+    if (cancelled.length === fulfillments.length) {
+      const result = getProvider().void({ transactionId: payment.transactionId });
+      return buildUpdates(order, createAttempt('void', payment.amount, result), { status: 'voided' });
+    }
+
+    if (shipped) {
+      if (payment.status === 'requires_action') {
+        throw new HttpError(409, 'The buyer has not confirmed the payment for this order yet');
+      }
+
+      const amount = round(payment.amount - cancelled.reduce((sum, f) => sum + getFulfillmentAmount(order, f), 0));
+      const result = getProvider().capture({ transactionId: payment.transactionId, amount });
+      const attempt = createAttempt('capture', amount, result);
+      if (result.status !== 'succeeded') {
+        throw new HttpError(402, `Payment capture failed: ${result.message}`, { paymentError: { code: result.code } });
+      }
+      return buildUpdates(order, attempt, { status: 'captured', capturedAmount: amount });
+    }
+
+    return {};
+  }
+
+  // Already captured: refund what was cancelled since
+  const amount = newlyCancelled.reduce((sum, f) => sum + getFulfillmentAmount(order, f), 0);
+  return refundPayment(order, round(amount));
+};
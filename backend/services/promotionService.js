@@ -0,0 +1,277 @@
+// Promotion service
+// Evaluates admin-managed coupons (entered by code) and promotions (applied automatically)
+// against a set of order lines and turns them into itemized discount lines.
+//
+// Coupon types:
+//   percentage    - value% off the eligible lines
+//   fixed         - value off the eligible lines (never more than their subtotal)
+//   free_shipping - waives the shipping charge
+//   buy_x_get_y   - for every buyQuantity + getQuantity eligible units, the getQuantity cheapest are free
+//
+// Each coupon can be scoped to categoryIds and/or sellerIds and limited by minSpend,
+// usageLimit, usageLimitPerUser and a startsAt/endsAt window.
+import db from '../config/database.js';
+import { HttpError } from '../utils/httpError.js';
+import { parseQuantity } from '../utils/quantity.js';
+
+export const COUPON_TYPES = ['percentage', 'fixed', 'free_shipping', 'buy_x_get_y'];
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+export const normalizeCode = (code) => (code ? String(code).trim().toUpperCase() : null);
+
+/**
+ * Build the order lines the engine works on from { productId, quantity } items
+ * @param {Object[]} items - Cart or order items
+ * @returns {Object[]} Lines with price, category, seller and shipping weight/dimensions
+ */
+export const buildLines = (items) => {
+  return items.map(item => {
+    const product = db.getProductById(item.productId);
+    if (!product) {
+      return null;
+    }
+    return {
+      productId: product.id,
+      categoryId: product.categoryId,
+      sellerId: product.sellerId,
+      price: product.price,
+      quantity: item.quantity,
+      weight: product.shipping?.weight,
+      dimensions: product.shipping?.dimensions
+    };
+  }).filter(Boolean);
+};
+
+const isInScope = (coupon, line) => {
+  const { categoryIds = [], sellerIds = [] } = coupon.scope || {};
+  if (categoryIds.length > 0 && !categoryIds.includes(line.categoryId)) {
+    return false;
+  }
+  if (sellerIds.length > 0 && !sellerIds.includes(line.sellerId)) {
+    return false;
+  }
+  return true;
+};
+
+const countUserRedemptions = (coupon, userId) => {
+  return db.getOrdersByUser(userId).filter(order =>
+    order.status !== 'cancelled' &&
+    (order.discounts || []).some(discount => discount.couponId === coupon.id)
+  ).length;
+};
+
+/**
+ * Check whether a coupon can be applied
+ * @param {Object} coupon - Coupon record
+ * @param {Object} params - { lines, userId, now }
+ * @returns {string|null} Why the coupon does not apply, or null when it does
+ */
+export const getIneligibilityReason = (coupon, { lines, userId, now = new Date() }) => {
+  if (!coupon.active) {
+    return 'This coupon is not active';
+  }
+  if (coupon.startsAt && new Date(coupon.startsAt) > now) {
+    return 'This coupon is not valid yet';
+  }
+  if (coupon.endsAt && new Date(coupon.endsAt) < now) {
+    return 'This coupon has expired';
+  }
+  if (coupon.usageLimit && (coupon.usageCount || 0) >= coupon.usageLimit) {
+    return 'This coupon has reached its usage limit';
+  }
+  if (coupon.usageLimitPerUser && userId && countUserRedemptions(coupon, userId) >= coupon.usageLimitPerUser) {
+    return 'You have already used this coupon';
+  }
+
+  const eligibleLines = lines.filter(line => isInScope(coupon, line));
+  if (eligibleLines.length === 0) {
+    return 'No items in your cart qualify for this coupon';
+  }
+
+  const eligibleSubtotal = eligibleLines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  if (coupon.minSpend && eligibleSubtotal < coupon.minSpend) {
+    return `Spend at least $${coupon.minSpend.toFixed(2)} on qualifying items to use this coupon`;
+  }
+
+  return null;
+};
+
+// Amount a coupon takes off the eligible lines (free shipping is handled separately)
+const calculateAmount = (coupon, lines) => {
+  const eligibleLines = lines.filter(line => isInScope(coupon, line));
+  const eligibleSubtotal = eligibleLines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+  switch (coupon.type) {
+    case 'percentage':
+      return eligibleSubtotal * coupon.value / 100;
+    case 'fixed':
+      return Math.min(coupon.value, eligibleSubtotal);
+    case 'buy_x_get_y': {
+      const groupSize = coupon.buyQuantity + coupon.getQuantity;
+      const unitPrices = eligibleLines
+        .flatMap(line => Array(line.quantity).fill(line.price))
+        .sort((a, b) => a - b);
+      const freeUnits = Math.floor(unitPrices.length / groupSize) * coupon.getQuantity;
+      return unitPrices.slice(0, freeUnits).reduce((sum, price) => sum + price, 0);
+    }
+    default:
+      return 0;
+  }
+};
+
+const toDiscountLine = (coupon, amount) => ({
+  couponId: coupon.id,
+  code: coupon.code || null,
+  type: coupon.type,
+  description: coupon.description || coupon.name,
+  amount: round(amount)
+});
+
+/**
+ * Work out every discount for a set of lines: automatic promotions plus an optional coupon code
+ * @param {Object} params - { lines, userId, couponCode }
+ * @returns {Object} { discounts, discountTotal, freeShipping, couponError }
+ */
+export const calculateDiscounts = ({ lines, userId, couponCode }) => {
+  const now = new Date();
+  const code = normalizeCode(couponCode);
+  const candidates = db.getCoupons().filter(coupon => coupon.autoApply);
+  let couponError = null;
+
+  if (code) {
+    const coupon = db.getCouponByCode(code);
+    if (!coupon) {
+      couponError = 'Invalid coupon code';
+    } else if (!candidates.includes(coupon)) {
+      candidates.push(coupon);
+    }
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  const discounts = [];
+  let freeShipping = false;
+  let remaining = subtotal;
+
+  for (const coupon of candidates) {
+    const reason = getIneligibilityReason(coupon, { lines, userId, now });
+    if (reason) {
+      if (code && coupon.code === code) {
+        couponError = reason;
+      }
+      continue;
+    }
+
+    if (coupon.type === 'free_shipping') {
+      freeShipping = true;
+      discounts.push(toDiscountLine(coupon, 0));
+      continue;
+    }
+
+    // Discounts together never exceed the subtotal
+    const amount = Math.min(calculateAmount(coupon, lines), remaining);
+    if (amount > 0) {
+      remaining -= amount;
+      discounts.push(toDiscountLine(coupon, amount));
+    }
+  }
+
+  return {
+    discounts,
+    discountTotal: round(subtotal - remaining),
+    freeShipping,
+    couponError
+  };
+};
+
+/**
+ * Count a redemption of every coupon used by an order
+ * @param {Object[]} discounts - Discount lines of the order
+ */
+export const recordRedemptions = (discounts) => {
+  discounts.forEach(discount => {
+    const coupon = db.getCouponById(discount.couponId);
+    if (coupon) {
+      db.updateCoupon(coupon.id, { usageCount: (coupon.usageCount || 0) + 1 });
+    }
+  });
+};
+
+/**
+ * Give back the redemptions of a cancelled order, so its coupons count toward usageLimit again
+ * @param {Object[]} discounts - Discount lines of the order
+ */
+export const releaseRedemptions = (discounts) => {
+  discounts.forEach(discount => {
+    const coupon = db.getCouponById(discount.couponId);
+    if (coupon) {
+      db.updateCoupon(coupon.id, { usageCount: Math.max(0, (coupon.usageCount || 0) - 1) });
+    }
+  });
+};
+
+/**
+ * Validate and normalize coupon fields sent by an admin
+ * @param {Object} input - Request body
+ * @param {Object} existing - Coupon being updated, if any
+ * @returns {Object} Normalized coupon fields
+ * @throws {HttpError} When the input is invalid
+ */
+export const normalizeCouponInput = (input, existing = {}) => {
+  const coupon = { ...existing, ...input };
+  const errors = [];
+
+  coupon.code = normalizeCode(coupon.code);
+  coupon.autoApply = Boolean(coupon.autoApply);
+  coupon.active = coupon.active !== false;
+
+  if (!coupon.name) {
+    errors.push('name is required');
+  }
+  if (!coupon.code && !coupon.autoApply) {
+    errors.push('code is required unless autoApply is set');
+  }
+  if (coupon.code) {
+    const clash = db.getCouponByCode(coupon.code);
+    if (clash && clash.id !== existing.id) {
+      errors.push(`code ${coupon.code} is already in use`);
+    }
+  }
+  if (!COUPON_TYPES.includes(coupon.type)) {
+    errors.push(`type must be one of ${COUPON_TYPES.join(', ')}`);
+  }
+  if (coupon.type === 'percentage' && !(coupon.value > 0 && coupon.value <= 100)) {
+    errors.push('value must be between 0 and 100 for percentage coupons');
+  }
+  if (coupon.type === 'fixed' && !(coupon.value > 0)) {
+    errors.push('value must be greater than 0 for fixed coupons');
+  }
+  // Parsed here so "2" and "1" from a form make a group of 3 units, not "21"
+  const buyQuantity = parseQuantity(coupon.buyQuantity);
+  const getQuantity = parseQuantity(coupon.getQuantity);
+  if (coupon.type === 'buy_x_get_y' && !(buyQuantity && getQuantity)) {
+    errors.push('buyQuantity and getQuantity must be whole numbers of at least 1 for buy_x_get_y coupons');
+  }
+  if (coupon.startsAt && coupon.endsAt && new Date(coupon.startsAt) > new Date(coupon.endsAt)) {
+    errors.push('startsAt must be before endsAt');
+  }
+
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Invalid coupon', { errors });
+  }
+
+  return {
+    ...coupon,
+    value: coupon.value !== undefined ? parseFloat(coupon.value) : null,
+    minSpend: coupon.minSpend ? parseFloat(coupon.minSpend) : null,
+    usageLimit: coupon.usageLimit ? parseInt(coupon.usageLimit) : null,
+    usageLimitPerUser: coupon.usageLimitPerUser ? parseInt(coupon.usageLimitPerUser) : null,
+    usageCount: coupon.usageCount || 0,
+    buyQuantity: coupon.type === 'buy_x_get_y' ? buyQuantity : null,
+    getQuantity: coupon.type === 'buy_x_get_y' ? getQuantity : null,
+    scope: {
+      categoryIds: coupon.scope?.categoryIds || [],
+      sellerIds: coupon.scope?.sellerIds || []
+    }
+  };
+};
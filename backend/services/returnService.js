@@ -0,0 +1,210 @@
+// Return service
+// Buyers request returns (RMAs) for delivered line items within a return window. Each
+// return covers the items of one seller and moves through its own lifecycle:
+//
+//   requested -> approved -> shipped_back -> received
+//       |
+//       +------> rejected
+//
+// When the seller receives the items they go back into stock and their price is refunded
+// through the payment service.
+import db from '../config/database.js';
+import { HttpError } from '../utils/httpError.js';
+import { parseQuantity } from '../utils/quantity.js';
+import { restockItems } from './inventoryService.js';
+import { getItemsAmount, refundPayment } from './paymentService.js';
+
+const DEFAULT_RETURN_WINDOW_DAYS = 30;
+
+export const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'shipped_back', 'received'];
+
+export const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['shipped_back'],
+  shipped_back: ['received'],
+  rejected: [],
+  received: []
+};
+
+// Extra fields applied to the return when it enters a status
+const transitionHooks = {
+  approved: ({ at }) => ({ approvedAt: at }),
+  rejected: ({ at, note }) => ({ rejectedAt: at, rejectionReason: note || null }),
+  shipped_back: ({ at, tracking }) => ({ shippedBackAt: at, tracking }),
+  received: ({ at }) => ({ receivedAt: at })
+};
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+export const getReturnWindowDays = () => {
+  const days = parseInt(process.env.RETURN_WINDOW_DAYS);
+  return days >= 0 ? days : DEFAULT_RETURN_WINDOW_DAYS;
+};
+
+/**
+ * Build the updates that move a return to a new status
+ * @param {Object} returnRequest - Current return
+ * @param {string} to - Target status
+ * @param {Object} options - { actorId, note, context }
+ * @returns {Object} Updates to pass to db.updateReturn
+ * @throws {HttpError} 409 when the transition is not allowed
+ */
+export const transitionReturn = (returnRequest, to, { actorId, note, context = {} } = {}) => {
+  const allowed = RETURN_TRANSITIONS[returnRequest.status] || [];
+  if (!allowed.includes(to)) {
+    throw new HttpError(409, `Cannot change return status from ${returnRequest.status} to ${to}`, {
+      allowedStatuses: allowed
+    });
+  }
+
+  const at = new Date().toISOString();
+  const hook = transitionHooks[to];
+
+  return {
+    ...(hook ? hook({ at, note, ...context }) : {}),
+    status: to,
+    statusHistory: [
+      ...(returnRequest.statusHistory || []),
+      { from: returnRequest.status, to, changedBy: actorId, changedAt: at, ...(note && { note }) }
+    ],
+    updatedAt: at
+  };
+};
+
+// Units of a product already covered by open or completed returns of the order
+const getReturnedQuantity = (orderId, productId) => {
+  return db.getReturnsByOrder(orderId)
+    .filter(r => r.status !== 'rejected')
+    .flatMap(r => r.items)
+    .filter(item => item.productId === productId)
+    .reduce((sum, item) => sum + item.quantity, 0);
+};
+
+/**
+ * Amount refunded for returned items: what the buyer paid for them after order discounts,
+ * plus the tax charged on them. Shipping is not refunded.
+ * @param {Object} order - The order
+ * @param {Object[]} items - Returned { productId, quantity } items
+ * @returns {number} Refund amount
+ */
+export const calculateRefund = (order, items) => getItemsAmount(order, items);
+
+/**
+ * Open a return for delivered items of an order
+ * @param {Object} order - The order
+ * @param {Object} params - { userId, items: [{ productId, quantity }], reason }
+ * @returns {Object} The created return
+ * @throws {HttpError} When the items cannot be returned
+ */
+export const requestReturn = (order, { userId, items, reason }) => db.transaction(() => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new HttpError(400, 'Select at least one item to return');
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new HttpError(400, 'A reason is required');
+  }
+
+  if (!items.every(item => item && typeof item === 'object' && !Array.isArray(item) && typeof item.productId === 'string')) {
+    throw new HttpError(400, 'Each item must be an object with a productId and quantity');
+  }
+
+  // One line per product, so each line's quantity can be checked against what is left to return
+  const productIds = items.map(item => item.productId);
+  if (new Set(productIds).size !== productIds.length) {
+    throw new HttpError(400, 'Each product can only appear once in a return');
+  }
+
+  const fulfillments = new Set();
+  const returnItems = items.map(({ productId, quantity }) => {
+    const orderItem = order.items.find(i => i.productId === productId);
+    const fulfillment = order.fulfillments.find(f => f.items.some(i => i.productId === productId));
+    if (!orderItem || !fulfillment) {
+      throw new HttpError(400, `Product ${productId} is not part of this order`);
+    }
+
+    if (fulfillment.status !== 'delivered') {
+      throw new HttpError(409, `${orderItem.name} has not been delivered yet`);
+    }
+
+    // The window runs from delivery of the item's fulfillment
+    const deliveredAt = new Date(fulfillment.deliveredAt || order.deliveredAt || order.updatedAt || order.createdAt);
+    const windowEnds = deliveredAt.getTime() + getReturnWindowDays() * 24 * 60 * 60 * 1000;
+    if (Date.now() > windowEnds) {
+      throw new HttpError(409, `The ${getReturnWindowDays()}-day return window for ${orderItem.name} has closed`);
+    }
+
+    const qty = parseQuantity(quantity);
+    const returnable = orderItem.quantity - getReturnedQuantity(order.id, productId);
+    if (!qty || qty > returnable) {
+      throw new HttpError(400, `Only ${returnable} of ${orderItem.name} can be returned`, { returnable });
+    }
+
+    fulfillments.add(fulfillment);
+    return { productId, name: orderItem.name, price: orderItem.price, quantity: qty };
+  });
+
+  // Each seller handles their own returns
+  if (fulfillments.size > 1) {
+    throw new HttpError(400, 'Items from different sellers must be returned separately');
+  }
+  const [fulfillment] = fulfillments;
+
+  const now = new Date().toISOString();
+  return db.createReturn({
+    orderId: order.id,
+    orderNumber: order.orderNumber,
+    userId,
+    sellerId: fulfillment.sellerId,
+    fulfillmentId: fulfillment.id,
+    items: returnItems,
+    reason: String(reason).trim(),
+    status: 'requested',
+    statusHistory: [{ from: null, to: 'requested', changedBy: userId, changedAt: now }],
+    refundAmount: calculateRefund(order, returnItems),
+    tracking: null,
+    createdAt: now,
+    updatedAt: now
+  });
+});
+
+/**
+ * Mark returned items as received: restock them, refund the buyer and record the refund on the order.
+ * Only what the provider actually refunded is recorded, which is less than the return's
+ * refundAmount (or nothing) when part of the capture was already refunded, the payment was
+ * never captured or the refund failed.
+ * @param {Object} returnRequest - Return in shipped_back status
+ * @param {Object} options - { actorId, note }
+ * @returns {Object} The updated return
+ * @throws {HttpError} When the return is not on its way back
+ */
+export const receiveReturn = (returnRequest, { actorId, note }) => db.transaction(() => {
+  const updates = transitionReturn(returnRequest, 'received', { actorId, note });
+
+  restockItems(returnRequest.items);
+
+  const order = db.getOrderById(returnRequest.orderId);
+
+  // Orders placed before payments were tracked only record the refund
+  const paymentUpdates = order.payment ? refundPayment(order, returnRequest.refundAmount) : {};
+  const refundedAmount = order.payment
+    ? round((paymentUpdates.payment?.refundedAmount ?? order.payment.refundedAmount) - order.payment.refundedAmount)
+    : returnRequest.refundAmount;
+
+  const refunds = refundedAmount > 0
+    ? [...(order.refunds || []), { returnId: returnRequest.id, amount: refundedAmount, refundedAt: updates.receivedAt }]
+    : order.refunds || [];
+  const refundedTotal = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+  db.updateOrder(order.id, {
+    refunds,
+    refundedTotal: round(refundedTotal),
+    ...(order.payment
+      ? paymentUpdates
+      : { paymentStatus: refundedTotal >= order.total ? 'refunded' : 'partially_refunded' })
+  });
+
+  return db.updateReturn(returnRequest.id, {
+    ...updates,
+    refundedAmount,
+    ...(refundedAmount > 0 && { refundedAt: updates.receivedAt })
+  });
+});
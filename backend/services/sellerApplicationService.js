@@ -0,0 +1,66 @@
+// Seller applications
+// Self-registration always creates a buyer. Users who ask to sell get a pending
+// sellerApplication on their account; an admin approves it (the user becomes a seller)
+// or rejects it (the user stays a buyer). Either way the user is told by email.
+// Access tokens carry the role, so an approval takes effect on the next token refresh.
+import db from '../config/database.js';
+import { HttpError } from '../utils/httpError.js';
+import { sendMail } from './mailService.js';
+
+/**
+ * List users with a seller application
+ * @param {string} [status] - Only applications with this status (pending, approved, rejected)
+ * @returns {Object[]} Users without passwords, oldest application first
+ */
+export const listSellerApplications = (status) => {
+  return db.getUsers()
+    .filter(user => user.sellerApplication && (!status || user.sellerApplication.status === status))
+    .sort((a, b) => new Date(a.sellerApplication.requestedAt) - new Date(b.sellerApplication.requestedAt))
+    .map(({ password: _, ...user }) => user);
+};
+
+/**
+ * Approve or reject a pending seller application
+ * @param {string} userId - Applicant
+ * @param {Object} decision - { status: 'approved' | 'rejected', note, reviewerId }
+ * @returns {Object} Updated user
+ * @throws {HttpError} 404 when the user has no application, 409 when it was already reviewed
+ */
+export const reviewSellerApplication = (userId, { status, note, reviewerId }) => {
+  const user = db.getUserById(userId);
+  if (!user?.sellerApplication) {
+    throw new HttpError(404, 'Seller application not found');
+  }
+  if (user.sellerApplication.status !== 'pending') {
+    throw new HttpError(409, `Seller application has already been ${user.sellerApplication.status}`);
+  }
+
+  const updated = db.updateUser(user.id, {
+    ...(status === 'approved' && { role: 'seller' }),
+    sellerApplication: {
+      ...user.sellerApplication,
+      status,
+      note: note || null,
+      reviewedAt: new Date().toISOString(),
+      reviewedBy: reviewerId
+    }
+  });
+
+  sendMail({
+    to: user.email,
+    subject: status === 'approved'
+      ? 'Your Marketplace seller account is approved'
+      : 'Your Marketplace seller application',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      status === 'approved'
+        ? 'Your seller application was approved. Sign in again to start listing products.'
+        : 'We could not approve your seller application. You can keep shopping as a buyer.',
+      ...(note ? ['', note] : [])
+    ].join('\n')
+  });
+
+  const { password: _, ...userResponse } = updated;
+  return userResponse;
+};
@@ -0,0 +1,193 @@
+// Session service
+// A sign-in creates a session holding a refresh token. Access tokens are short-lived
+// JWTs (JWT_EXPIRES_IN, default 15m) naming their session, and stop working as soon as
+// the session is revoked. Refresh tokens last REFRESH_TOKEN_TTL_DAYS (default 30) and
+// rotate on every use: presenting a refresh token that was already rotated means it
+// was copied, so the whole session is revoked.
+//
+// Only SHA-256 hashes of refresh tokens are stored.
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import db from '../config/database.js';
+import { HttpError } from '../utils/httpError.js';
+
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+// Rotated token hashes remembered per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 100;
+
+export const getRefreshTokenTtlMs = () => {
+  const days = parseFloat(process.env.REFRESH_TOKEN_TTL_DAYS);
+  return (days > 0 ? days : DEFAULT_REFRESH_TOKEN_TTL_DAYS) * 24 * 60 * 60 * 1000;
+};
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const isActive = (session) => {
+  return session && !session.revokedAt && new Date(session.expiresAt).getTime() > Date.now();
+};
+
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user.id, email: user.email, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || DEFAULT_ACCESS_TOKEN_TTL }
+  );
+};
+
+// Refresh tokens are "<session id>.<random secret>" so the session can be found without scanning
+const newRefreshSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  return sessionId && secret ? { sessionId, secret } : null;
+};
+
+// Device details shown in the session list
+const describeClient = (req) => ({
+  userAgent: req.headers['user-agent'] || null,
+  ip: req.ip || null
+});
+
+/**
+ * Start a session for a user who just signed in
+ * @param {Object} user - User record
+ * @param {Object} req - Express request (for device details)
+ * @returns {Object} { token, refreshToken, session }
+ */
+export const createSession = (user, req) => {
+  const secret = newRefreshSecret();
+  const now = new Date();
+  const session = db.createSession({
+    userId: user.id,
+    refreshTokenHash: hashToken(secret),
+    previousTokenHashes: [],
+    ...describeClient(req),
+    createdAt: now.toISOString(),
+    lastUsedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + getRefreshTokenTtlMs()).toISOString(),
+    revokedAt: null,
+    revokedReason: null
+  });
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken: `${session.id}.${secret}`,
+    session
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token
+ * @param {string} refreshToken - Refresh token from sign-in or the previous refresh
+ * @param {Object} req - Express request (for device details)
+ * @returns {Object} { token, refreshToken, session }
+ * @throws {HttpError} 401 when the token is invalid, expired, revoked or reused
+ */
+// Not a transaction: revoking a session on reuse must stick even though an error is thrown
+export const refreshSession = (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  const session = parsed && db.getSessionById(parsed.sessionId);
+  if (!session) {
+    throw new HttpError(401, 'Invalid refresh token');
+  }
+
+  const tokenHash = hashToken(parsed.secret);
+  if (tokenHash !== session.refreshTokenHash) {
+    // An already rotated token came back: someone else holds a copy, so end the session
+    if (session.previousTokenHashes.includes(tokenHash)) {
+      revokeSession(session.id, 'refresh_token_reused');
+      throw new HttpError(401, 'Refresh token was already used. Please sign in again.');
+    }
+    throw new HttpError(401, 'Invalid refresh token');
+  }
+
+  const user = db.getUserById(session.userId);
+  if (!isActive(session) || !user) {
+    throw new HttpError(401, 'Session has ended. Please sign in again.');
+  }
+
+  const secret = newRefreshSecret();
+  const updated = db.updateSession(session.id, {
+    refreshTokenHash: hashToken(secret),
+    previousTokenHashes: [...session.previousTokenHashes, tokenHash].slice(-MAX_PREVIOUS_TOKENS),
+    ...describeClient(req),
+    lastUsedAt: new Date().toISOString()
+  });
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken: `${session.id}.${secret}`,
+    session: updated
+  };
+};
+
+/**
+ * Find the session a refresh token belongs to, if the token is current
+ * @param {string} refreshToken - Refresh token
+ * @returns {Object|null} Session record
+ */
+export const getSessionByRefreshToken = (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  const session = parsed && db.getSessionById(parsed.sessionId);
+  return session && session.refreshTokenHash === hashToken(parsed.secret) ? session : null;
+};
+
+/**
+ * Check whether an access token's session may still be used
+ * @param {string} sessionId - Session ID from the access token
+ * @returns {boolean} True when the session exists and is not revoked or expired
+ */
+export const isSessionActive = (sessionId) => isActive(db.getSessionById(sessionId));
+
+/**
+ * Revoke a session: its refresh token and access tokens stop working
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Why, e.g. 'logout'
+ * @returns {Object|null} Updated session
+ */
+export const revokeSession = (sessionId, reason) => {
+  const session = db.getSessionById(sessionId);
+  if (!session || session.revokedAt) {
+    return session || null;
+  }
+  return db.updateSession(sessionId, {
+    revokedAt: new Date().toISOString(),
+    revokedReason: reason
+  });
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {Object} options - { exceptSessionId } to keep one session (e.g. the current one), { reason }
+ * @returns {number} Number of sessions revoked
+ */
+export const revokeUserSessions = (userId, { exceptSessionId, reason }) => db.transaction(() => {
+  const sessions = db.getSessionsByUser(userId)
+    .filter(session => isActive(session) && session.id !== exceptSessionId);
+  sessions.forEach(session => revokeSession(session.id, reason));
+  return sessions.length;
+});
+
+/**
+ * A user's active sessions, most recently used first, without token hashes
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Session of the request, flagged as current
+ * @returns {Object[]} Sessions
+ */
+export const listSessions = (userId, currentSessionId) => {
+  return db.getSessionsByUser(userId)
+    .filter(isActive)
+    .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt))
+    .map(({ refreshTokenHash, previousTokenHashes, revokedAt, revokedReason, ...session }) => ({
+      ...session,
+      current: session.id === currentSessionId
+    }));
+};
+
+// Drop sessions that can no longer be refreshed
+export const purgeExpiredSessions = () => {
+  const now = Date.now();
+  return db.deleteSessions(session => new Date(session.expiresAt).getTime() <= now);
+};
@@ -0,0 +1,157 @@
+// Shipping service
+// Quotes shipping methods for a set of order lines and a destination using the zone and
+// weight rate tables in config/shippingRates.js. Like the tax service it only works on
+// the lines and address it is given, so quotes can be checked against fixture data.
+import {
+  shippingZones,
+  shippingMethods,
+  DEFAULT_SHIPPING_ZONE,
+  DIMENSIONAL_WEIGHT_DIVISOR,
+  DEFAULT_ITEM_WEIGHT
+} from '../config/shippingRates.js';
+import { HttpError } from '../utils/httpError.js';
+import { normalizeCountry } from './taxService.js';
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * Billable weight of one unit: the greater of its actual and dimensional weight
+ * @param {Object} line - Order line with weight and dimensions
+ * @returns {number} Weight in pounds
+ */
+export const getBillableWeight = (line) => {
+  const weight = line.weight ?? DEFAULT_ITEM_WEIGHT;
+  const { length, width, height } = line.dimensions || {};
+  const dimensionalWeight = length && width && height
+    ? (length * width * height) / DIMENSIONAL_WEIGHT_DIVISOR
+    : 0;
+  return Math.max(weight, dimensionalWeight);
+};
+
+/**
+ * Total billable weight of a set of lines
+ * @param {Object[]} lines - Lines from buildLines
+ * @returns {number} Weight in pounds, rounded to 2 decimals
+ */
+export const getShipmentWeight = (lines) => {
+  return round(lines.reduce((sum, line) => sum + getBillableWeight(line) * line.quantity, 0));
+};
+
+/**
+ * Find the shipping zone for an address
+ * @param {Object} address - { country, state }
+ * @param {Object[]} zones - Zone table (defaults to config/shippingRates.js)
+ * @returns {Object} The zone
+ */
+export const resolveZone = (address, zones = shippingZones) => {
+  const country = normalizeCountry(address?.country);
+  if (!country) {
+    return zones.find(zone => zone.id === DEFAULT_SHIPPING_ZONE);
+  }
+
+  const state = address.state ? String(address.state).trim().toUpperCase() : '';
+  return zones.find(zone =>
+    (!zone.country || zone.country === country) &&
+    (!zone.states || zone.states.includes(state))
+  );
+};
+
+const priceForWeight = (zoneRates, weight) => {
+  const bracket = zoneRates.rates.find(rate => weight <= rate.upTo);
+  if (bracket) {
+    return bracket.price;
+  }
+  const last = zoneRates.rates[zoneRates.rates.length - 1];
+  return last.price + Math.ceil(weight - last.upTo) * zoneRates.extraPerLb;
+};
+
+const quoteMethod = (method, zone, weight, subtotal) => {
+  const zoneRates = method.zones[zone.id];
+  if (!zoneRates) {
+    return null;
+  }
+
+  const rate = priceForWeight(zoneRates, weight);
+  const threshold = method.freeShippingThreshold;
+  const qualifiesForFree = threshold !== null && subtotal >= threshold;
+
+  return {
+    id: method.id,
+    name: method.name,
+    zone: zone.id,
+    estimatedDays: zoneRates.estimatedDays,
+    weight,
+    rate: round(rate),
+    price: qualifiesForFree ? 0 : round(rate),
+    freeShippingThreshold: threshold,
+    amountToFreeShipping: threshold === null || qualifiesForFree ? null : round(threshold - subtotal)
+  };
+};
+
+/**
+ * Quote every shipping method available for a destination
+ * @param {Object} params - { lines, address, subtotal, methods }
+ *   subtotal: discounted items subtotal, compared with free-shipping thresholds
+ * @returns {Object[]} Quotes: { id, name, zone, estimatedDays, weight, rate, price, freeShippingThreshold, amountToFreeShipping }
+ */
+export const quoteShipping = ({ lines, address, subtotal = 0, methods = shippingMethods }) => {
+  const zone = resolveZone(address);
+  const weight = getShipmentWeight(lines);
+
+  return Object.values(methods)
+    .map(method => quoteMethod(method, zone, weight, subtotal))
+    .filter(Boolean);
+};
+
+/**
+ * Quote one shipping method
+ * @param {string} methodId - Key of shippingMethods
+ * @param {Object} params - { lines, address, subtotal, methods }
+ * @returns {Object} The quote
+ * @throws {HttpError} When the method does not exist or does not ship to the address
+ */
+export const getShippingQuote = (methodId, { lines, address, subtotal = 0, methods = shippingMethods }) => {
+  // Own keys only, so names like "constructor" are unknown methods rather than inherited properties
+  const method = Object.hasOwn(methods, methodId) ? methods[methodId] : null;
+  if (!method) {
+    throw new HttpError(400, `Unknown shipping method ${methodId}`);
+  }
+
+  const zone = resolveZone(address);
+  const quote = quoteMethod(method, zone, getShipmentWeight(lines), subtotal);
+  if (!quote) {
+    throw new HttpError(400, `${method.name} is not available for this address`);
+  }
+  return quote;
+};
+
+/**
+ * Validate the shipping data sent for a product
+ * @param {Object} input - { weight, dimensions: { length, width, height } }
+ * @returns {Object} Normalized { weight, dimensions }
+ * @throws {HttpError} When a value is not a positive number
+ */
+export const normalizeShippingInput = (input) => {
+  const errors = [];
+  const weight = parseFloat(input.weight);
+  if (!(weight > 0)) {
+    errors.push('shipping.weight must be a positive number (pounds)');
+  }
+
+  let dimensions = null;
+  if (input.dimensions) {
+    dimensions = {};
+    for (const side of ['length', 'width', 'height']) {
+      dimensions[side] = parseFloat(input.dimensions[side]);
+      if (!(dimensions[side] > 0)) {
+        errors.push(`shipping.dimensions.${side} must be a positive number (inches)`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Invalid shipping data', { errors });
+  }
+
+  return { weight, dimensions };
+};
@@ -0,0 +1,84 @@
+// Tax service
+// Resolves the tax rule for a destination address and calculates tax per order line.
+// Pure functions: the rate table can be passed in, so they are easy to exercise with
+// fixture addresses.
+import { taxRates, DEFAULT_TAX_RATE, countryAliases } from '../config/taxRates.js';
+
+// Round to cents, half up. Products such as 90 * 0.0725 land just below the half cent in
+// binary floating point (6.52499...), so trim that noise before rounding.
+const round = (value) => Math.round(parseFloat((value * 100).toPrecision(12))) / 100;
+
+const normalize = (value) => (value ? String(value).trim().toUpperCase() : '');
+
+export const normalizeCountry = (country) => {
+  const value = normalize(country);
+  return countryAliases[value] || value;
+};
+
+/**
+ * Find the most specific tax rule for an address
+ * @param {Object} address - { country, state, zipCode }
+ * @param {Object[]} rates - Rate table (defaults to config/taxRates.js)
+ * @returns {Object} Matching rule, or a default rule when nothing matches
+ */
+export const resolveTaxRule = (address, rates = taxRates) => {
+  const country = normalizeCountry(address?.country);
+  const state = normalize(address?.state);
+  const postalCode = normalize(address?.zipCode || address?.postalCode).replace(/\s+/g, '');
+
+  const specificity = (rule) => (rule.postalPrefix ? 100 + rule.postalPrefix.length : 0) + (rule.state ? 10 : 0);
+
+  const match = rates
+    .filter(rule =>
+      rule.country === country &&
+      (!rule.state || rule.state === state) &&
+      (!rule.postalPrefix || postalCode.startsWith(rule.postalPrefix))
+    )
+    .sort((a, b) => specificity(b) - specificity(a))[0];
+
+  return match || { country: country || null, rate: DEFAULT_TAX_RATE, isDefault: true };
+};
+
+const describeRule = (rule) => {
+  if (rule.isDefault) {
+    return 'Default';
+  }
+  return rule.name || [rule.state, rule.country].filter(Boolean).join(', ');
+};
+
+/**
+ * Calculate tax for order lines shipped to an address.
+ * Order-level discounts are spread over the lines in proportion to their value, so tax
+ * is charged on what the buyer actually pays.
+ * @param {Object} params - { lines, address, discountTotal, rates }
+ *   lines: [{ productId, categoryId, price, quantity }]
+ * @returns {Object} { tax, rate, jurisdiction, lines: [{ productId, taxableAmount, rate, tax, exempt }] }
+ */
+export const calculateTax = ({ lines, address, discountTotal = 0, rates = taxRates }) => {
+  const rule = resolveTaxRule(address, rates);
+  const exemptCategoryIds = rule.exemptCategoryIds || [];
+  const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+  const taxLines = lines.map(line => {
+    const lineTotal = line.price * line.quantity;
+    const lineDiscount = subtotal > 0 ? discountTotal * (lineTotal / subtotal) : 0;
+    const taxableAmount = Math.max(0, lineTotal - lineDiscount);
+    const exempt = exemptCategoryIds.includes(line.categoryId);
+    const rate = exempt ? 0 : rule.rate;
+
+    return {
+      productId: line.productId,
+      taxableAmount: round(taxableAmount),
+      rate,
+      tax: round(taxableAmount * rate),
+      exempt
+    };
+  });
+
+  return {
+    tax: round(taxLines.reduce((sum, line) => sum + line.tax, 0)),
+    rate: rule.rate,
+    jurisdiction: describeRule(rule),
+    lines: taxLines
+  };
+};
@@ -0,0 +1,34 @@
+// Request schemas for the auth routes, run through the validate middleware.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate } from '../middleware/validate.js';
+import { updateProfileSchema, registerSchema } from '../validators/authValidators.js';
+
+// Run a schema against a body: resolves to null when the request may continue,
+// or to the 422 field errors
+const run = (schema, body) => new Promise((resolve, reject) => {
+  const res = {
+    status: () => res,
+    json: (payload) => resolve(payload.errors)
+  };
+  validate(schema)({ body }, res, (error) => (error ? reject(error) : resolve(null)));
+});
+
+test('an address with a blank ZIP code is accepted', async () => {
+  const errors = await run(updateProfileSchema, {
+    address: { street: '1 Main St', city: 'Austin', state: '', zipCode: '', country: '' }
+  });
+  assert.equal(errors, null);
+});
+
+test('a ZIP code that was filled in must be valid', async () => {
+  const errors = await run(updateProfileSchema, {
+    address: { street: '1 Main St', city: 'Austin', zipCode: '!!' }
+  });
+  assert.deepEqual(errors, [{ field: 'address.zipCode', message: 'Enter a valid ZIP code' }]);
+});
+
+test('registration reports each invalid field once, in schema order', async () => {
+  const errors = await run(registerSchema, { email: 'nope', password: 'short', firstName: 'Ann' });
+  assert.deepEqual(errors.map(error => error.field), ['email', 'password', 'lastName']);
+});
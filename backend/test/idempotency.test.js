@@ -0,0 +1,137 @@
+// Idempotency-Key: a retry with the same key and body replays the stored response instead
+// of running again, the same key with a different body is rejected, and keys are scoped
+// to the caller.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_ADAPTER = 'memory';
+process.env.MAIL_TRANSPORT = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+
+const { default: db } = await import('../config/database.js');
+const { createApp } = await import('../app.js');
+const { seedDatabase } = await import('../data/seed.js');
+
+const CARD = { cardNumber: '4242424242424242', expMonth: 12, expYear: 2099, cvc: '123' };
+const ADDRESS = { street: '1 Main St', city: 'Austin', state: 'TX', zipCode: '73301', country: 'US' };
+
+let server;
+let baseUrl;
+
+const request = async (method, path, { token, body, headers = {} } = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(body && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers
+    },
+    body: body && JSON.stringify(body)
+  });
+  return {
+    status: response.status,
+    replayed: response.headers.get('idempotent-replayed') === 'true',
+    data: await response.json()
+  };
+};
+
+const login = async (email) => {
+  const { data } = await request('POST', '/api/auth/login', { body: { email, password: 'password123' } });
+  return data.data.token;
+};
+
+const orderBody = (quantity) => ({
+  items: [{ productId: 'prod-5', quantity }],
+  shippingAddress: ADDRESS,
+  paymentMethod: 'credit_card',
+  paymentDetails: CARD
+});
+
+let buyer;
+let otherBuyer;
+
+before(async () => {
+  seedDatabase();
+  server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  buyer = await login('john.doe@example.com');
+  otherBuyer = await login('admin@marketplace.com');
+});
+
+after(() => {
+  server.close();
+});
+
+test('a retried order is replayed instead of placed and charged twice', async () => {
+  const orders = db.getOrders().length;
+  const stock = db.getProductById('prod-5').stock;
+  const headers = { 'Idempotency-Key': 'order-retry-1' };
+
+  const first = await request('POST', '/api/orders', { token: buyer, body: orderBody(2), headers });
+  const retry = await request('POST', '/api/orders', { token: buyer, body: orderBody(2), headers });
+
+  assert.equal(first.status, 201);
+  assert.equal(first.replayed, false);
+  assert.equal(retry.status, 201);
+  assert.equal(retry.replayed, true);
+  assert.deepEqual(retry.data, first.data);
+  assert.equal(db.getOrders().length, orders + 1);
+  assert.equal(db.getProductById('prod-5').stock, stock - 2);
+  assert.equal(db.getOrderById(first.data.data.id).paymentAttempts.length, 1);
+});
+
+test('the same key with a different body is rejected', async () => {
+  const orders = db.getOrders().length;
+  const headers = { 'Idempotency-Key': 'order-retry-2' };
+
+  await request('POST', '/api/orders', { token: buyer, body: orderBody(1), headers });
+  const changed = await request('POST', '/api/orders', { token: buyer, body: orderBody(3), headers });
+
+  assert.equal(changed.status, 422);
+  assert.equal(changed.data.message, 'This Idempotency-Key was already used with a different request');
+  assert.equal(db.getOrders().length, orders + 1);
+});
+
+test('keys are scoped to the caller', async () => {
+  const headers = { 'Idempotency-Key': 'shared-key' };
+
+  const mine = await request('POST', '/api/cart', { token: buyer, body: { productId: 'prod-3', quantity: 1 }, headers });
+  const theirs = await request('POST', '/api/cart', { token: otherBuyer, body: { productId: 'prod-3', quantity: 1 }, headers });
+
+  assert.equal(mine.replayed, false);
+  assert.equal(theirs.replayed, false);
+  assert.equal(db.getCartByUser('user-5').find(item => item.productId === 'prod-3').quantity, 1);
+});
+
+test('a retried cancellation replays its success instead of failing on the cancelled order', async () => {
+  const placed = await request('POST', '/api/orders', { token: buyer, body: orderBody(1) });
+  const path = `/api/orders/${placed.data.data.id}/cancel`;
+  const headers = { 'Idempotency-Key': 'cancel-retry-1' };
+
+  const first = await request('POST', path, { token: buyer, body: { reason: 'Duplicate' }, headers });
+  const retry = await request('POST', path, { token: buyer, body: { reason: 'Duplicate' }, headers });
+  const withoutKey = await request('POST', path, { token: buyer, body: { reason: 'Duplicate' } });
+
+  assert.equal(first.status, 200);
+  assert.equal(retry.status, 200);
+  assert.equal(retry.replayed, true);
+  assert.notEqual(withoutKey.status, 200);
+});
+
+test('guests are only covered once they have a cart token', async () => {
+  const headers = { 'Idempotency-Key': 'guest-key' };
+  const body = { productId: 'prod-3', quantity: 1 };
+
+  const first = await request('POST', '/api/cart', { body, headers });
+  const second = await request('POST', '/api/cart', { body, headers });
+  assert.equal(second.replayed, false);
+  assert.notEqual(second.data.cartToken, first.data.cartToken);
+
+  const withToken = { ...headers, 'X-Cart-Token': first.data.cartToken };
+  const added = await request('POST', '/api/cart', { body, headers: withToken });
+  const retried = await request('POST', '/api/cart', { body, headers: withToken });
+  assert.equal(added.replayed, false);
+  assert.equal(retried.replayed, true);
+  assert.deepEqual(retried.data, added.data);
+});
@@ -0,0 +1,165 @@
+// Runs requests against every controller with the outbound network guard installed and
+// fails if any of them tries to reach the network. The test talks to the app through the
+// fetch captured before the guard is installed, so only the server's own traffic is checked.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_ADAPTER = 'memory';
+process.env.MAIL_TRANSPORT = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+delete process.env.OUTBOUND_HTTP_ALLOWLIST;
+
+const unguardedFetch = globalThis.fetch;
+
+const { installNetworkGuard, getBlockedHosts, clearBlockedHosts, OutboundRequestBlockedError } =
+  await import('../config/networkGuard.js');
+installNetworkGuard();
+
+const { createApp } = await import('../app.js');
+const { seedDatabase } = await import('../data/seed.js');
+
+const PASSWORD = 'password123';
+const CARD = { cardNumber: '4242424242424242', expMonth: 12, expYear: 2099, cvc: '123' };
+const ADDRESS = { street: '1 Main St', city: 'Austin', state: 'TX', zipCode: '73301', country: 'US' };
+
+let server;
+let baseUrl;
+
+const request = async (method, path, { token, body, headers = {} } = {}) => {
+  const response = await unguardedFetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(body && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers
+    },
+    body: body && JSON.stringify(body)
+  });
+  const text = await response.text();
+  let data = text;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // CSV exports and packing slips are not JSON
+  }
+  return { status: response.status, data };
+};
+
+const login = async (email) => {
+  const { status, data } = await request('POST', '/api/auth/login', { body: { email, password: PASSWORD } });
+  assert.equal(status, 200, `login as ${email} failed`);
+  return data.data.token;
+};
+
+before(async () => {
+  seedDatabase();
+  clearBlockedHosts();
+  server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+test('the guard refuses outbound requests to hosts that are not allow-listed', async () => {
+  await assert.rejects(globalThis.fetch('https://example.com/'), OutboundRequestBlockedError);
+  assert.deepEqual(getBlockedHosts(), ['example.com']);
+  clearBlockedHosts();
+});
+
+test('no controller reaches the network', async () => {
+  const buyer = await login('john.doe@example.com');
+  const seller = await login('jane.smith@example.com');
+  const admin = await login('admin@marketplace.com');
+
+  const responses = [];
+  const call = async (method, path, options) => {
+    const response = await request(method, path, options);
+    responses.push({ method, path, status: response.status });
+    return response;
+  };
+
+  // Health and root
+  await call('GET', '/health');
+  await call('GET', '/');
+
+  // Auth
+  await call('POST', '/api/auth/register', {
+    body: { email: 'new.buyer@example.com', password: 'password123', firstName: 'New', lastName: 'Buyer' }
+  });
+  await call('GET', '/api/auth/profile', { token: buyer });
+  await call('PUT', '/api/auth/profile', { token: buyer, body: { phone: '+1 555 123 4567', address: ADDRESS } });
+  await call('GET', '/api/auth/sessions', { token: buyer });
+  await call('POST', '/api/auth/forgot-password', { body: { email: 'john.doe@example.com' } });
+  await call('POST', '/api/auth/reset-password', { body: { token: 'not-a-token', password: 'password456' } });
+  await call('GET', '/api/auth/verify/not-a-token');
+
+  // Catalog
+  await call('GET', '/api/products');
+  await call('GET', '/api/products/prod-1');
+  await call('GET', '/api/categories');
+  await call('GET', '/api/categories/cat-1');
+  await call('GET', '/api/reviews?productId=prod-1');
+  await call('POST', '/api/reviews', {
+    token: buyer,
+    body: { productId: 'prod-2', rating: 5, title: 'Great', comment: 'Works as described' }
+  });
+
+  // Cart, shipping and checkout
+  const guestCart = await call('POST', '/api/cart', { body: { productId: 'prod-3', quantity: 1 } });
+  await call('GET', '/api/shipping/quote?country=US&state=TX&zipCode=73301', {
+    headers: { 'X-Cart-Token': guestCart.data.cartToken }
+  });
+  await call('POST', '/api/cart', { token: buyer, body: { productId: 'prod-1', quantity: 1 } });
+  await call('POST', '/api/cart/coupon', { token: buyer, body: { code: 'WELCOME10' } });
+  await call('GET', '/api/cart', { token: buyer });
+  await call('GET', '/api/checkout', { token: buyer });
+  const checkout = await call('POST', '/api/checkout', {
+    token: buyer,
+    body: { shippingAddress: ADDRESS, paymentMethod: 'credit_card', paymentDetails: CARD }
+  });
+  const orderId = checkout.data?.data?.id;
+
+  // Orders
+  const created = await call('POST', '/api/orders', {
+    token: buyer,
+    body: {
+      items: [{ productId: 'prod-8', quantity: 1 }],
+      shippingAddress: ADDRESS,
+      paymentMethod: 'credit_card',
+      paymentDetails: CARD
+    }
+  });
+  await call('GET', '/api/orders', { token: buyer });
+  await call('GET', '/api/orders/order-1', { token: buyer });
+  await call('GET', '/api/orders/order-1/invoice', { token: buyer });
+  await call('GET', '/api/orders/order-1/packing-slip', { token: seller });
+  if (orderId) {
+    await call('GET', `/api/orders/${orderId}`, { token: buyer });
+  }
+  if (created.data?.data?.id) {
+    await call('POST', `/api/orders/${created.data.data.id}/cancel`, { token: buyer, body: { reason: 'Changed my mind' } });
+  }
+
+  // Seller
+  await call('GET', '/api/seller/orders', { token: seller });
+  await call('GET', '/api/seller/orders?format=csv', { token: seller });
+
+  // Returns
+  await call('GET', '/api/returns', { token: buyer });
+  await call('POST', '/api/returns', {
+    token: buyer,
+    body: { orderId: 'order-1', items: [{ productId: 'prod-1', quantity: 1 }], reason: 'Damaged' }
+  });
+
+  // Admin
+  await call('GET', '/api/coupons', { token: admin });
+  await call('GET', '/api/users/seller-applications', { token: admin });
+  await call('GET', '/api/dev/mail', { token: admin });
+
+  assert.deepEqual(getBlockedHosts(), [], 'a controller attempted an outbound request');
+  const failures = responses.filter(response => response.status >= 500);
+  assert.deepEqual(failures, [], 'requests failed with a server error');
+});
@@ -0,0 +1,63 @@
+// Cancelling an order restocks its items and gives back its coupon redemptions in the
+// same transaction as the status change.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_ADAPTER = 'memory';
+process.env.MAIL_TRANSPORT = 'memory';
+
+const { default: db } = await import('../config/database.js');
+const { seedDatabase } = await import('../data/seed.js');
+const { placeOrder, cancelOrder } = await import('../services/orderService.js');
+
+seedDatabase();
+
+const CARD = { cardNumber: '4242424242424242', expMonth: 12, expYear: 2099, cvc: '123' };
+const ADDRESS = { street: '1 Main St', city: 'Austin', state: 'TX', zipCode: '73301', country: 'US' };
+
+const usageCount = (couponId) => db.getCouponById(couponId).usageCount;
+
+const placeWithCoupon = (couponCode) => placeOrder({
+  userId: 'user-1',
+  items: [{ productId: 'prod-3', quantity: 1 }],
+  shippingAddress: ADDRESS,
+  paymentMethod: 'credit_card',
+  paymentDetails: CARD,
+  couponCode
+});
+
+test('cancelling an order decrements the usage count of its coupon once', () => {
+  const before = usageCount('coupon-1');
+  const order = placeWithCoupon('WELCOME10');
+  assert.equal(usageCount('coupon-1'), before + 1);
+
+  const cancelled = cancelOrder(order, { actorId: 'user-1', reason: 'Changed my mind' });
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(usageCount('coupon-1'), before);
+
+  // The per-user limit no longer counts the cancelled order, so the coupon can be used again
+  placeWithCoupon('WELCOME10');
+  assert.equal(usageCount('coupon-1'), before + 1);
+});
+
+test('a cancellation that fails leaves the coupon usage count unchanged', () => {
+  const order = placeWithCoupon('FREESHIP');
+  const placed = usageCount('coupon-3');
+
+  const stock = db.getProductById('prod-3').stock;
+
+  // Fail the last write of the cancellation, after the redemption has been released
+  const { updateOrder } = db;
+  db.updateOrder = () => {
+    throw new Error('write failed');
+  };
+  try {
+    assert.throws(() => cancelOrder(order, { actorId: 'user-1', reason: 'Too late' }), /write failed/);
+  } finally {
+    db.updateOrder = updateOrder;
+  }
+
+  assert.equal(usageCount('coupon-3'), placed);
+  assert.equal(db.getProductById('prod-3').stock, stock);
+  assert.equal(db.getOrderById(order.id).status, order.status);
+});
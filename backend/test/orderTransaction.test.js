@@ -0,0 +1,92 @@
+// Order placement runs in db.transaction: when any line fails, the stock changes, the order
+// insert and the coupon redemption made for the earlier lines must all be rolled back.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_ADAPTER = 'memory';
+process.env.MAIL_TRANSPORT = 'memory';
+
+const { default: db } = await import('../config/database.js');
+const { seedDatabase } = await import('../data/seed.js');
+const { placeOrder } = await import('../services/orderService.js');
+const { recordRedemptions } = await import('../services/promotionService.js');
+
+seedDatabase();
+
+const CARD = { cardNumber: '4242424242424242', expMonth: 12, expYear: 2099, cvc: '123' };
+const ADDRESS = { street: '1 Main St', city: 'Austin', state: 'TX', zipCode: '73301', country: 'US' };
+
+const snapshot = () => ({
+  stock: Object.fromEntries(db.getProducts().map(product => [product.id, product.stock])),
+  orderIds: db.getOrders().map(order => order.id),
+  couponUsage: Object.fromEntries(db.getCoupons().map(coupon => [coupon.id, coupon.usageCount]))
+});
+
+const orderWithThirdItem = (thirdItem) => ({
+  userId: 'user-1',
+  items: [
+    { productId: 'prod-3', quantity: 2 },
+    { productId: 'prod-5', quantity: 3 },
+    thirdItem
+  ],
+  shippingAddress: ADDRESS,
+  paymentMethod: 'credit_card',
+  paymentDetails: CARD,
+  couponCode: 'WELCOME10'
+});
+
+let before;
+
+beforeEach(() => {
+  before = snapshot();
+});
+
+test('an out-of-stock third item leaves stock, orders and coupon usage unchanged', () => {
+  const stock = db.getProductById('prod-8').stock;
+
+  assert.throws(
+    () => placeOrder(orderWithThirdItem({ productId: 'prod-8', quantity: stock + 1 })),
+    { status: 400, message: /Insufficient stock/ }
+  );
+
+  assert.deepEqual(snapshot(), before);
+});
+
+test('a missing third product leaves stock, orders and coupon usage unchanged', () => {
+  assert.throws(
+    () => placeOrder(orderWithThirdItem({ productId: 'prod-missing', quantity: 1 })),
+    { status: 404 }
+  );
+
+  assert.deepEqual(snapshot(), before);
+});
+
+test('an invalid third quantity leaves stock, orders and coupon usage unchanged', () => {
+  assert.throws(
+    () => placeOrder(orderWithThirdItem({ productId: 'prod-8', quantity: -1 })),
+    { status: 400 }
+  );
+
+  assert.deepEqual(snapshot(), before);
+});
+
+test('a failure after the coupon is redeemed rolls the redemption back too', () => {
+  assert.throws(() => db.transaction(() => {
+    db.updateProduct('prod-3', { stock: 0 });
+    recordRedemptions([{ couponId: 'coupon-1' }]);
+    throw new Error('third item failed');
+  }), /third item failed/);
+
+  assert.deepEqual(snapshot(), before);
+});
+
+test('the same order without the failing item commits every change', () => {
+  const order = placeOrder(orderWithThirdItem({ productId: 'prod-8', quantity: 1 }));
+
+  const after = snapshot();
+  assert.equal(after.stock['prod-3'], before.stock['prod-3'] - 2);
+  assert.equal(after.stock['prod-5'], before.stock['prod-5'] - 3);
+  assert.equal(after.stock['prod-8'], before.stock['prod-8'] - 1);
+  assert.deepEqual(after.orderIds, [...before.orderIds, order.id]);
+  assert.equal(after.couponUsage['coupon-1'], before.couponUsage['coupon-1'] + 1);
+});
@@ -0,0 +1,62 @@
+// Changing the password invalidates reset links that were sent before the change.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_ADAPTER = 'memory';
+process.env.MAIL_TRANSPORT = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+
+const { createApp } = await import('../app.js');
+const { seedDatabase } = await import('../data/seed.js');
+const { getSentMail } = await import('../services/mailService.js');
+
+const EMAIL = 'john.doe@example.com';
+
+let server;
+let baseUrl;
+
+const request = async (method, path, { token, body } = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(body && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` })
+    },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, data: await response.json() };
+};
+
+before(async () => {
+  seedDatabase();
+  server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+test('a reset link sent before a password change can no longer be used', async () => {
+  const forgot = await request('POST', '/api/auth/forgot-password', { body: { email: EMAIL } });
+  assert.equal(forgot.status, 200);
+  const [resetMail] = getSentMail({ to: EMAIL });
+  const resetToken = new URL(resetMail.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+  assert.ok(resetToken, 'the reset email contains a token');
+
+  const login = await request('POST', '/api/auth/login', { body: { email: EMAIL, password: 'password123' } });
+  const changed = await request('PUT', '/api/auth/password', {
+    token: login.data.data.token,
+    body: { currentPassword: 'password123', newPassword: 'changed456' }
+  });
+  assert.equal(changed.status, 200);
+
+  const reset = await request('POST', '/api/auth/reset-password', {
+    body: { token: resetToken, password: 'attacker789' }
+  });
+  assert.equal(reset.status, 400);
+
+  const relogin = await request('POST', '/api/auth/login', { body: { email: EMAIL, password: 'changed456' } });
+  assert.equal(relogin.status, 200);
+});
@@ -0,0 +1,129 @@
+// Payments through the simulated provider: authorization on order placement, capture on
+// first shipment, void when cancelled before capture and capped refunds after it.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_ADAPTER = 'memory';
+process.env.MAIL_TRANSPORT = 'memory';
+delete process.env.PAYMENT_PROVIDER;
+
+const { default: db } = await import('../config/database.js');
+const { seedDatabase } = await import('../data/seed.js');
+const { placeOrder, cancelOrder } = await import('../services/orderService.js');
+const { updateFulfillments } = await import('../services/fulfillmentService.js');
+const { authorizePayment, confirmPayment, refundPayment } = await import('../services/paymentService.js');
+const { TEST_CARDS } = await import('../services/paymentProviders/simulatedProvider.js');
+
+seedDatabase();
+
+const ADDRESS = { street: '1 Main St', city: 'Austin', state: 'TX', zipCode: '73301', country: 'US' };
+const TRACKING = { carrier: 'UPS', trackingNumber: '1Z999' };
+const card = (cardNumber) => ({ cardNumber, expMonth: 12, expYear: 2099, cvc: '123' });
+
+// An order with one fulfillment for user-2 (prod-5) and one for user-3 (prod-3)
+const placeTwoSellerOrder = (cardNumber = TEST_CARDS.success) => placeOrder({
+  userId: 'user-1',
+  items: [{ productId: 'prod-5', quantity: 2 }, { productId: 'prod-3', quantity: 1 }],
+  shippingAddress: ADDRESS,
+  paymentMethod: 'credit_card',
+  paymentDetails: card(cardNumber)
+});
+
+const fulfillmentOf = (order, sellerId) => order.fulfillments.find(f => f.sellerId === sellerId);
+
+const ship = (order, sellerId) => {
+  const { id } = fulfillmentOf(order, sellerId);
+  const processing = updateFulfillments(order, [id], 'processing', { actorId: sellerId });
+  return updateFulfillments(processing, [id], 'shipped', { actorId: sellerId, tracking: TRACKING });
+};
+
+test('authorizes the order total and keeps only the card brand and last 4 digits', () => {
+  const order = placeTwoSellerOrder();
+  assert.equal(order.paymentStatus, 'authorized');
+  assert.equal(order.payment.amount, order.total);
+  assert.equal(order.payment.capturedAmount, 0);
+  assert.deepEqual(order.payment.card, { brand: 'visa', last4: '4242', expMonth: 12, expYear: 2099 });
+  assert.ok(!JSON.stringify(order).includes(TEST_CARDS.success));
+  assert.deepEqual(order.paymentAttempts.map(attempt => [attempt.type, attempt.status]), [['authorize', 'authorized']]);
+});
+
+test('rejects declined, invalid and unsupported payments without placing the order', () => {
+  const orders = db.getOrders().length;
+  const stock = db.getProductById('prod-5').stock;
+
+  assert.throws(() => placeTwoSellerOrder(TEST_CARDS.declined), {
+    status: 402,
+    details: { paymentError: { code: 'card_declined' } }
+  });
+  assert.throws(() => placeTwoSellerOrder('4242424242424241'), { status: 400, message: 'Invalid payment details' });
+  assert.throws(() => authorizePayment({ amount: 10, paymentMethod: 'paypal', paymentDetails: card(TEST_CARDS.success) }), {
+    status: 400
+  });
+
+  assert.equal(db.getOrders().length, orders);
+  assert.equal(db.getProductById('prod-5').stock, stock);
+});
+
+test('a payment that requires action cannot ship until the buyer confirms it', () => {
+  let order = placeTwoSellerOrder(TEST_CARDS.requiresAction);
+  assert.equal(order.paymentStatus, 'requires_action');
+
+  const { id } = fulfillmentOf(order, 'user-2');
+  order = updateFulfillments(order, [id], 'processing', { actorId: 'user-2' });
+  assert.throws(() => updateFulfillments(order, [id], 'shipped', { actorId: 'user-2', tracking: TRACKING }), {
+    status: 409
+  });
+  assert.equal(fulfillmentOf(db.getOrderById(order.id), 'user-2').status, 'processing');
+
+  order = db.updateOrder(order.id, confirmPayment(order));
+  assert.equal(order.paymentStatus, 'authorized');
+  assert.throws(() => confirmPayment(order), { status: 409 });
+
+  order = updateFulfillments(order, [id], 'shipped', { actorId: 'user-2', tracking: TRACKING });
+  assert.equal(order.paymentStatus, 'paid');
+});
+
+test('captures on first shipment, less fulfillments cancelled before it', () => {
+  let order = placeTwoSellerOrder();
+  const cancelledPart = fulfillmentOf(order, 'user-3');
+  order = updateFulfillments(order, [cancelledPart.id], 'cancelled', { actorId: 'user-1' });
+  assert.equal(order.paymentStatus, 'authorized');
+
+  order = ship(order, 'user-2');
+  assert.equal(order.payment.status, 'captured');
+  assert.ok(order.payment.capturedAmount > 0 && order.payment.capturedAmount < order.payment.amount);
+  assert.equal(order.paymentAttempts.filter(attempt => attempt.type === 'capture').length, 1);
+});
+
+test('voids the authorization when the whole order is cancelled before capture', () => {
+  const order = cancelOrder(placeTwoSellerOrder(), { actorId: 'user-1', reason: 'Changed my mind' });
+  assert.equal(order.paymentStatus, 'voided');
+  assert.equal(order.payment.capturedAmount, 0);
+  assert.equal(order.paymentAttempts.at(-1).type, 'void');
+});
+
+test('refunds a fulfillment cancelled after capture', () => {
+  let order = ship(placeTwoSellerOrder(), 'user-2');
+  assert.equal(order.payment.capturedAmount, order.total);
+
+  order = updateFulfillments(order, [fulfillmentOf(order, 'user-3').id], 'cancelled', { actorId: 'user-1' });
+  assert.equal(order.paymentStatus, 'partially_refunded');
+  assert.ok(order.payment.refundedAmount > 0 && order.payment.refundedAmount < order.payment.capturedAmount);
+});
+
+test('caps refunds at the captured amount not yet refunded', () => {
+  const order = {
+    payment: { status: 'partially_refunded', transactionId: 'sim_auth_test', capturedAmount: 50, refundedAmount: 40 },
+    paymentAttempts: []
+  };
+
+  const capped = refundPayment(order, 25);
+  assert.equal(capped.payment.refundedAmount, 50);
+  assert.equal(capped.payment.status, 'refunded');
+  assert.equal(capped.paymentStatus, 'refunded');
+  assert.deepEqual(capped.paymentAttempts.map(attempt => [attempt.type, attempt.amount]), [['refund', 10]]);
+
+  assert.deepEqual(refundPayment({ ...order, payment: capped.payment }, 5), {});
+  assert.deepEqual(refundPayment({ payment: { ...order.payment, status: 'authorized' } }, 5), {});
+  assert.deepEqual(refundPayment({}, 5), {});
+});
@@ -0,0 +1,72 @@
+// Coupon math: buy-X-get-Y groups, percentage and fixed discounts, and how admin input is
+// normalized before a coupon is stored.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_ADAPTER = 'memory';
+process.env.MAIL_TRANSPORT = 'memory';
+
+const { default: db } = await import('../config/database.js');
+const { seedDatabase } = await import('../data/seed.js');
+const { calculateDiscounts, normalizeCouponInput } = await import('../services/promotionService.js');
+
+seedDatabase();
+
+const line = (productId, price, quantity, categoryId = 'cat-1', sellerId = 'user-2') =>
+  ({ productId, categoryId, sellerId, price, quantity });
+const book = (productId, price, quantity = 1) => line(productId, price, quantity, 'cat-4');
+
+const discountFor = (couponId, lines, couponCode) =>
+  calculateDiscounts({ lines, userId: 'user-1', couponCode }).discounts.find(d => d.couponId === couponId);
+
+test('buy 2 get 1 makes the cheapest unit of every group of 3 free', () => {
+  // coupon-4: books, buy 2 get 1, applied automatically
+  assert.equal(discountFor('coupon-4', [book('b1', 12.99, 2)]), undefined);
+  assert.equal(discountFor('coupon-4', [book('b1', 12.99, 2), book('b2', 8)]).amount, 8);
+
+  // 7 units make 2 groups: the 2 cheapest units are free, the 7th is paid for
+  assert.equal(discountFor('coupon-4', [book('b1', 20, 3), book('b2', 5, 2), book('b3', 9.99, 2)]).amount, 10);
+
+  // Lines outside the scope never count toward a group
+  assert.equal(discountFor('coupon-4', [book('b1', 12.99, 2), line('p1', 1, 5)]), undefined);
+});
+
+test('buy-X-get-Y quantities sent as strings are stored as numbers', () => {
+  const coupon = normalizeCouponInput({
+    name: 'Garden: buy 2 get 1',
+    code: 'garden3',
+    type: 'buy_x_get_y',
+    buyQuantity: '2',
+    getQuantity: '1',
+    scope: { categoryIds: ['cat-5'] }
+  });
+  assert.equal(coupon.buyQuantity, 2);
+  assert.equal(coupon.getQuantity, 1);
+  const { id } = db.createCoupon(coupon);
+
+  // One group of 3, not a group of "21"
+  assert.equal(discountFor(id, [line('g1', 10, 3, 'cat-5')], 'GARDEN3').amount, 10);
+});
+
+test('rejects buy-X-get-Y quantities that are not whole numbers of at least 1', () => {
+  [[1.5, 1], ['1.5', 1], [2, 0], ['abc', 1], [2, null], [true, 1]].forEach(([buyQuantity, getQuantity]) => {
+    assert.throws(
+      () => normalizeCouponInput({ name: 'Bad', code: 'BAD', type: 'buy_x_get_y', buyQuantity, getQuantity }),
+      error => error.status === 400 && error.details.errors.some(message => message.startsWith('buyQuantity and getQuantity')),
+      `buyQuantity ${JSON.stringify(buyQuantity)}, getQuantity ${JSON.stringify(getQuantity)}`
+    );
+  });
+});
+
+test('percentage coupons apply above their minimum spend and fixed coupons never exceed the subtotal', () => {
+  // WELCOME10: 10% off with a 50.00 minimum
+  const below = calculateDiscounts({ lines: [line('p1', 49.99, 1)], userId: 'user-1', couponCode: 'WELCOME10' });
+  assert.match(below.couponError, /Spend at least \$50\.00/);
+  assert.equal(discountFor('coupon-1', [line('p1', 33.33, 3)], 'WELCOME10').amount, 10);
+
+  const fixed = normalizeCouponInput({ name: 'Ten off', code: 'TENOFF', type: 'fixed', value: '10' });
+  assert.equal(fixed.value, 10);
+  db.createCoupon(fixed);
+  const { discountTotal } = calculateDiscounts({ lines: [line('p1', 4, 1)], userId: 'user-1', couponCode: 'TENOFF' });
+  assert.equal(discountTotal, 4);
+});
@@ -0,0 +1,109 @@
+// Receiving a return refunds the buyer through the payment provider and records only what
+// was actually refunded: the refund is capped at the captured amount not yet refunded.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_ADAPTER = 'memory';
+process.env.MAIL_TRANSPORT = 'memory';
+
+const { default: db } = await import('../config/database.js');
+const { seedDatabase } = await import('../data/seed.js');
+const { placeOrder } = await import('../services/orderService.js');
+const { updateFulfillments } = await import('../services/fulfillmentService.js');
+const { requestReturn, transitionReturn, receiveReturn } = await import('../services/returnService.js');
+
+seedDatabase();
+
+const CARD = { cardNumber: '4242424242424242', expMonth: 12, expYear: 2099, cvc: '123' };
+const ADDRESS = { street: '1 Main St', city: 'Austin', state: 'TX', zipCode: '73301', country: 'US' };
+const TRACKING = { carrier: 'UPS', trackingNumber: '1Z999' };
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// An order with one fulfillment for user-2 (prod-5) and one for user-3 (prod-3)
+const placeTwoSellerOrder = () => placeOrder({
+  userId: 'user-1',
+  items: [{ productId: 'prod-5', quantity: 2 }, { productId: 'prod-3', quantity: 1 }],
+  shippingAddress: ADDRESS,
+  paymentMethod: 'credit_card',
+  paymentDetails: CARD
+});
+
+const fulfillmentOf = (order, sellerId) => order.fulfillments.find(f => f.sellerId === sellerId);
+
+// Ship and deliver one seller's fulfillment, which captures the payment
+const deliver = (order, sellerId) => {
+  const { id } = fulfillmentOf(order, sellerId);
+  let updated = updateFulfillments(order, [id], 'processing', { actorId: sellerId });
+  updated = updateFulfillments(updated, [id], 'shipped', { actorId: sellerId, tracking: TRACKING });
+  return updateFulfillments(updated, [id], 'delivered', { actorId: sellerId });
+};
+
+// Request a return and move it to shipped_back, ready to be received
+const returnItems = (order, items) => {
+  let returnRequest = requestReturn(order, { userId: 'user-1', items, reason: 'Not as described' });
+  returnRequest = db.updateReturn(returnRequest.id, transitionReturn(returnRequest, 'approved', { actorId: 'user-2' }));
+  return db.updateReturn(returnRequest.id, transitionReturn(returnRequest, 'shipped_back', {
+    actorId: 'user-1',
+    context: { tracking: TRACKING }
+  }));
+};
+
+test('a return received after another fulfillment was cancelled records the amount refunded', () => {
+  let order = deliver(placeTwoSellerOrder(), 'user-2');
+  assert.equal(order.payment.status, 'captured');
+
+  // Cancelling user-3's part after capture refunds it
+  order = updateFulfillments(order, [fulfillmentOf(order, 'user-3').id], 'cancelled', { actorId: 'user-1' });
+  const refundedBefore = order.payment.refundedAmount;
+  assert.ok(refundedBefore > 0);
+
+  const returnRequest = returnItems(order, [{ productId: 'prod-5', quantity: 2 }]);
+  const received = receiveReturn(returnRequest, { actorId: 'user-2' });
+  order = db.getOrderById(order.id);
+
+  assert.equal(received.refundedAmount, returnRequest.refundAmount);
+  assert.equal(order.payment.refundedAmount, round(refundedBefore + received.refundedAmount));
+  assert.ok(order.payment.refundedAmount <= order.payment.capturedAmount);
+  assert.deepEqual(order.refunds.map(refund => refund.amount), [received.refundedAmount]);
+  assert.equal(order.refundedTotal, received.refundedAmount);
+});
+
+test('a refund larger than what is left is capped and only the capped amount is recorded', () => {
+  let order = deliver(placeTwoSellerOrder(), 'user-2');
+  const returnRequest = returnItems(order, [{ productId: 'prod-5', quantity: 2 }]);
+
+  // Leave only 5.00 of the capture unrefunded
+  order = db.updateOrder(order.id, {
+    payment: { ...order.payment, refundedAmount: round(order.payment.capturedAmount - 5) }
+  });
+  assert.ok(returnRequest.refundAmount > 5);
+
+  const received = receiveReturn(returnRequest, { actorId: 'user-2' });
+  order = db.getOrderById(order.id);
+
+  assert.equal(received.refundedAmount, 5);
+  assert.equal(order.payment.refundedAmount, order.payment.capturedAmount);
+  assert.equal(order.payment.status, 'refunded');
+  assert.deepEqual(order.refunds.map(refund => refund.amount), [5]);
+  assert.equal(order.refundedTotal, 5);
+});
+
+test('a return with nothing left to refund is received without recording a refund', () => {
+  let order = deliver(placeTwoSellerOrder(), 'user-2');
+  const returnRequest = returnItems(order, [{ productId: 'prod-5', quantity: 1 }]);
+  order = db.updateOrder(order.id, {
+    payment: { ...order.payment, refundedAmount: order.payment.capturedAmount, status: 'refunded' }
+  });
+  const stock = db.getProductById('prod-5').stock;
+
+  const received = receiveReturn(returnRequest, { actorId: 'user-2' });
+  order = db.getOrderById(order.id);
+
+  assert.equal(received.status, 'received');
+  assert.equal(received.refundedAmount, 0);
+  assert.equal(received.refundedAt, undefined);
+  assert.deepEqual(order.refunds, []);
+  assert.equal(order.refundedTotal, 0);
+  assert.equal(db.getProductById('prod-5').stock, stock + 1);
+});
@@ -0,0 +1,50 @@
+// Return requests: malformed or repeated item lines are rejected with 400 before anything
+// is looked up, and nothing is stored.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_ADAPTER = 'memory';
+process.env.MAIL_TRANSPORT = 'memory';
+// order-1 was delivered in 2024; keep its return window open
+process.env.RETURN_WINDOW_DAYS = '100000';
+
+const { default: db } = await import('../config/database.js');
+const { seedDatabase } = await import('../data/seed.js');
+const { requestReturn } = await import('../services/returnService.js');
+
+seedDatabase();
+
+const request = (items) => requestReturn(db.getOrderById('order-1'), {
+  userId: 'user-1',
+  items,
+  reason: 'Damaged'
+});
+
+test('rejects item lines that are not objects with a string productId', () => {
+  [[null], ['prod-1'], [42], [[]], [{ quantity: 1 }], [{ productId: 7, quantity: 1 }]].forEach(items => {
+    assert.throws(() => request(items), {
+      status: 400,
+      message: 'Each item must be an object with a productId and quantity'
+    }, JSON.stringify(items));
+  });
+  assert.equal(db.getReturnsByOrder('order-1').length, 0);
+});
+
+test('rejects a product listed more than once', () => {
+  assert.throws(
+    () => request([{ productId: 'prod-1', quantity: 1 }, { productId: 'prod-1', quantity: 1 }]),
+    { status: 400, message: 'Each product can only appear once in a return' }
+  );
+});
+
+test('rejects quantities that are fractional or more than is left to return', () => {
+  [1.5, 0, '2', 2].forEach(quantity => {
+    assert.throws(() => request([{ productId: 'prod-1', quantity }]), { status: 400 }, String(quantity));
+  });
+  assert.equal(db.getReturnsByOrder('order-1').length, 0);
+});
+
+test('accepts a well-formed line', () => {
+  const created = request([{ productId: 'prod-1', quantity: '1' }]);
+  assert.deepEqual(created.items.map(item => [item.productId, item.quantity]), [['prod-1', 1]]);
+});
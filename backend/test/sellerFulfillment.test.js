@@ -0,0 +1,65 @@
+// Sellers ship their items one at a time: the fulfillment ships, and the payment is
+// captured, once every item in it has shipped.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_ADAPTER = 'memory';
+process.env.MAIL_TRANSPORT = 'memory';
+
+const { seedDatabase } = await import('../data/seed.js');
+const { placeOrder } = await import('../services/orderService.js');
+const { shipFulfillmentItem, toSellerView } = await import('../services/fulfillmentService.js');
+
+seedDatabase();
+
+const CARD = { cardNumber: '4242424242424242', expMonth: 12, expYear: 2099, cvc: '123' };
+const ADDRESS = { street: '1 Main St', city: 'Austin', state: 'TX', zipCode: '73301', country: 'US' };
+
+// prod-1 and prod-5 are sold by user-2, prod-3 by user-3
+const placeOrderForTwoSellers = () => placeOrder({
+  userId: 'user-1',
+  items: [
+    { productId: 'prod-1', quantity: 1 },
+    { productId: 'prod-5', quantity: 1 },
+    { productId: 'prod-3', quantity: 1 }
+  ],
+  shippingAddress: ADDRESS,
+  paymentMethod: 'credit_card',
+  paymentDetails: CARD
+});
+
+const fulfillmentOf = (order, sellerId) => order.fulfillments.find(f => f.sellerId === sellerId);
+
+test('shipping each item of a fulfillment ships it and captures the payment', () => {
+  let order = placeOrderForTwoSellers();
+
+  order = shipFulfillmentItem(order, fulfillmentOf(order, 'user-2'), 'prod-1', {
+    actorId: 'user-2',
+    tracking: { carrier: 'UPS', trackingNumber: '1Z001' }
+  });
+  assert.equal(fulfillmentOf(order, 'user-2').status, 'processing');
+  assert.equal(order.paymentStatus, 'authorized');
+
+  order = shipFulfillmentItem(order, fulfillmentOf(order, 'user-2'), 'prod-5', {
+    actorId: 'user-2',
+    tracking: { carrier: 'UPS', trackingNumber: '1Z002' }
+  });
+  const shipped = fulfillmentOf(order, 'user-2');
+  assert.equal(shipped.status, 'shipped');
+  assert.deepEqual(shipped.tracking, { carrier: 'UPS', trackingNumber: '1Z002' });
+  assert.equal(fulfillmentOf(order, 'user-3').status, 'pending');
+  assert.equal(order.paymentStatus, 'paid');
+  assert.equal(order.payment.capturedAmount, order.total);
+
+  assert.throws(
+    () => shipFulfillmentItem(order, shipped, 'prod-5', { actorId: 'user-2', tracking: { carrier: 'UPS', trackingNumber: 'x' } }),
+    { status: 409, message: 'Item has already shipped' }
+  );
+});
+
+test('the seller view only shows the seller its own items and fulfillments', () => {
+  const order = placeOrderForTwoSellers();
+  const view = toSellerView(order, 'user-3');
+  assert.deepEqual(view.items.map(item => item.productId), ['prod-3']);
+  assert.deepEqual(view.fulfillments.map(f => f.sellerId), ['user-3']);
+});
@@ -0,0 +1,26 @@
+// Shipping method lookup: only methods defined in the rate table can be quoted.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getShippingQuote } from '../services/shippingService.js';
+
+const ORDER = {
+  lines: [{ productId: 'prod-1', price: 20, quantity: 1, weight: 2 }],
+  address: { country: 'US', state: 'TX', zipCode: '73301' },
+  subtotal: 20
+};
+
+test('quotes a method from the rate table', () => {
+  const quote = getShippingQuote('standard', ORDER);
+  assert.equal(quote.id, 'standard');
+  assert.equal(quote.zone, 'domestic');
+  assert.equal(quote.price, 7.99);
+});
+
+test('rejects inherited object keys as unknown methods', () => {
+  ['constructor', 'toString', '__proto__', 'hasOwnProperty'].forEach(methodId => {
+    assert.throws(() => getShippingQuote(methodId, ORDER), {
+      status: 400,
+      message: `Unknown shipping method ${methodId}`
+    });
+  });
+});
@@ -0,0 +1,124 @@
+// Tax rule resolution and rounding for fixture addresses, against the default rate table
+// in config/taxRates.js unless a test passes its own.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveTaxRule, calculateTax } from '../services/taxService.js';
+import { DEFAULT_TAX_RATE } from '../config/taxRates.js';
+
+const line = (productId, price, quantity = 1, categoryId = 'cat-1') => ({ productId, categoryId, price, quantity });
+
+test('resolves the most specific rule for fixture addresses', () => {
+  const fixtures = [
+    // Postal prefix beats state, state beats country
+    [{ country: 'USA', state: 'NY', zipCode: '10001' }, 0.08875, 'New York City'],
+    [{ country: 'USA', state: 'NY', zipCode: '12207' }, 0.04, 'NY'],
+    [{ country: 'USA', state: 'CA', zipCode: '90012' }, 0.095, 'Los Angeles'],
+    [{ country: 'USA', state: 'CA', zipCode: '94103' }, 0.08625, 'San Francisco'],
+    [{ country: 'USA', state: 'CA', zipCode: '95814' }, 0.0725, 'CA'],
+    [{ country: 'USA', state: 'WA', zipCode: '98101' }, 0, undefined],
+    // A postal prefix only applies within its own state
+    [{ country: 'USA', state: 'TX', zipCode: '90012' }, 0.0625, 'TX'],
+    [{ country: 'USA', state: 'TX', zipCode: '77002' }, 0.0825, 'Houston'],
+    [{ country: 'CAN', state: 'ON', zipCode: 'M5V 2T6' }, 0.05, undefined],
+    [{ country: 'GBR', zipCode: 'SW1A 1AA' }, 0.2, undefined]
+  ];
+
+  fixtures.forEach(([address, rate, nameOrState]) => {
+    const rule = resolveTaxRule(address);
+    assert.equal(rule.rate, rate, `rate for ${JSON.stringify(address)}`);
+    assert.equal(rule.name || rule.state, nameOrState, `rule for ${JSON.stringify(address)}`);
+  });
+});
+
+test('normalizes country aliases, letter case, whitespace and postalCode', () => {
+  assert.equal(resolveTaxRule({ country: ' us ', state: 'ny', zipCode: '10001' }).name, 'New York City');
+  assert.equal(resolveTaxRule({ country: 'United States', state: 'il', postalCode: '60601' }).name, 'Chicago');
+  assert.equal(resolveTaxRule({ country: 'uk' }).country, 'GBR');
+  assert.equal(resolveTaxRule({ country: 'Canada' }).country, 'CAN');
+});
+
+test('falls back to the default rate when no rule matches', () => {
+  assert.deepEqual(resolveTaxRule({ country: 'FR', zipCode: '75001' }), {
+    country: 'FR',
+    rate: DEFAULT_TAX_RATE,
+    isDefault: true
+  });
+  assert.deepEqual(resolveTaxRule(undefined), { country: null, rate: DEFAULT_TAX_RATE, isDefault: true });
+
+  const result = calculateTax({ lines: [line('prod-1', 50)], address: { country: 'FR' } });
+  assert.equal(result.jurisdiction, 'Default');
+  assert.equal(result.tax, 4);
+});
+
+test('uses a rate table passed in instead of the default one', () => {
+  const rates = [
+    { country: 'DEU', rate: 0.19 },
+    { country: 'DEU', postalPrefix: '274', rate: 0, name: 'Heligoland' }
+  ];
+
+  assert.equal(resolveTaxRule({ country: 'DEU', zipCode: '10115' }, rates).rate, 0.19);
+  assert.equal(resolveTaxRule({ country: 'DEU', zipCode: '27498' }, rates).name, 'Heligoland');
+  assert.equal(resolveTaxRule({ country: 'USA', state: 'NY' }, rates).isDefault, true);
+});
+
+test('rounds each line to cents, half up, and sums the rounded lines', () => {
+  const result = calculateTax({
+    lines: [line('prod-1', 19.99, 3)],
+    address: { country: 'USA', state: 'NY', zipCode: '10001' }
+  });
+  // 59.97 * 0.08875 = 5.3223...
+  assert.equal(result.tax, 5.32);
+  assert.equal(result.jurisdiction, 'New York City');
+
+  // Exact half cents: 90 * 0.0725 = 6.525 and 270 * 0.0725 = 19.575
+  const halves = calculateTax({
+    lines: [line('prod-1', 100), line('prod-2', 100, 3)],
+    address: { country: 'USA', state: 'CA', zipCode: '95814' },
+    discountTotal: 40
+  });
+  assert.deepEqual(halves.lines.map(l => [l.taxableAmount, l.tax]), [[90, 6.53], [270, 19.58]]);
+  assert.equal(halves.tax, 26.11);
+
+  // 0.35 * 0.06 = 0.021 per line: the order tax is the sum of the rounded lines
+  const small = calculateTax({
+    lines: [line('prod-1', 0.35), line('prod-2', 0.35)],
+    address: { country: 'USA', state: 'PA' }
+  });
+  assert.deepEqual(small.lines.map(l => l.tax), [0.02, 0.02]);
+  assert.equal(small.tax, 0.04);
+});
+
+test('spreads discounts over lines by value and never taxes below zero', () => {
+  const result = calculateTax({
+    lines: [line('prod-1', 30), line('prod-2', 10)],
+    address: { country: 'USA', state: 'TX', zipCode: '73301' },
+    discountTotal: 10
+  });
+  assert.deepEqual(result.lines.map(l => l.taxableAmount), [22.5, 7.5]);
+  // 22.5 * 0.0625 = 1.40625 and 7.5 * 0.0625 = 0.46875
+  assert.deepEqual(result.lines.map(l => l.tax), [1.41, 0.47]);
+  assert.equal(result.tax, 1.88);
+
+  const overDiscounted = calculateTax({
+    lines: [line('prod-1', 10)],
+    address: { country: 'USA', state: 'TX' },
+    discountTotal: 25
+  });
+  assert.equal(overDiscounted.lines[0].taxableAmount, 0);
+  assert.equal(overDiscounted.tax, 0);
+});
+
+test('does not tax categories the rule exempts', () => {
+  const result = calculateTax({
+    lines: [line('prod-1', 100, 1, 'cat-1'), line('prod-2', 20, 2, 'cat-2'), line('prod-3', 15, 1, 'cat-4')],
+    address: { country: 'USA', state: 'PA', zipCode: '19103' }
+  });
+  assert.deepEqual(result.lines.map(l => [l.exempt, l.rate, l.tax]), [
+    [false, 0.06, 6],
+    [true, 0, 0],
+    [true, 0, 0]
+  ]);
+  assert.equal(result.tax, 6);
+  assert.equal(result.rate, 0.06);
+  assert.equal(result.jurisdiction, 'PA, USA');
+});
@@ -0,0 +1,19 @@
+// Minimal CSV writer (RFC 4180 quoting)
+const escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Turn rows into CSV text
+ * @param {string[]} columns - Column keys, also used as the header row
+ * @param {Object[]} rows - Objects keyed by column
+ * @returns {string} CSV text
+ */
+export const toCsv = (columns, rows) => {
+  const lines = [columns, ...rows.map(row => columns.map(column => row[column]))];
+  return lines.map(line => line.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+};
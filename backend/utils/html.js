@@ -0,0 +1,20 @@
+// Minimal HTML escaping for server-rendered documents
+const ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ * @param {*} value - Value to escape (null and undefined become an empty string)
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value).replace(/[&<>"']/g, char => ENTITIES[char]);
+};
@@ -0,0 +1,11 @@
+// Error carrying an HTTP status code (and optional details) for the error handler
+export class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    if (details) {
+      this.details = details;
+    }
+  }
+}
@@ -0,0 +1,14 @@
+// Item quantities arrive from request bodies as numbers or numeric strings
+
+/**
+ * Read a quantity that must be a whole number of at least 1
+ * @param {*} value - Quantity from the request
+ * @returns {number|null} The quantity, or null when it is missing, fractional, non-numeric or below 1
+ */
+export const parseQuantity = (value) => {
+  if (typeof value !== 'number' && !(typeof value === 'string' && /^\s*\d+\s*$/.test(value))) {
+    return null;
+  }
+  const quantity = Number(value);
+  return Number.isSafeInteger(quantity) && quantity >= 1 ? quantity : null;
+};
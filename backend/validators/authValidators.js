@@ -0,0 +1,157 @@
+// Request schemas for the auth routes (express-validator), applied with middleware/validate.js
+import { MIN_PASSWORD_LENGTH } from '../services/passwordResetService.js';
+
+const MAX_PASSWORD_LENGTH = 128;
+const MAX_NAME_LENGTH = 50;
+const MAX_ADDRESS_FIELD_LENGTH = 100;
+
+// Roles anyone can sign up for; sellers still need an admin to approve them
+export const SELF_REGISTRATION_ROLES = ['buyer', 'seller'];
+
+const email = {
+  trim: true,
+  notEmpty: { errorMessage: 'Email is required', bail: true },
+  isEmail: { errorMessage: 'Enter a valid email address', bail: true },
+  isLength: { options: { max: 254 }, errorMessage: 'Email must be at most 254 characters' },
+  toLowerCase: true
+};
+
+// Rules for a password the user is choosing (not for signing in with an existing one)
+const newPassword = {
+  isString: { errorMessage: 'Password is required', bail: true },
+  isLength: {
+    options: { min: MIN_PASSWORD_LENGTH, max: MAX_PASSWORD_LENGTH },
+    errorMessage: `Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`,
+    bail: true
+  },
+  matches: {
+    options: /^(?=.*[A-Za-z])(?=.*\d)/,
+    errorMessage: 'Password must contain at least one letter and one number'
+  }
+};
+
+const name = (label, { optional = false } = {}) => ({
+  ...(optional && { optional: true }),
+  isString: { errorMessage: `${label} is required`, bail: true },
+  trim: true,
+  notEmpty: { errorMessage: `${label} is required`, bail: true },
+  isLength: {
+    options: { max: MAX_NAME_LENGTH },
+    errorMessage: `${label} must be at most ${MAX_NAME_LENGTH} characters`
+  }
+});
+
+const phone = {
+  optional: { options: { values: 'falsy' } },
+  trim: true,
+  matches: {
+    options: /^\+?[0-9 ().-]{7,20}$/,
+    errorMessage: 'Enter a valid phone number'
+  }
+};
+
+const addressField = (label) => ({
+  optional: true,
+  isString: { errorMessage: `${label} must be text`, bail: true },
+  trim: true,
+  isLength: {
+    options: { max: MAX_ADDRESS_FIELD_LENGTH },
+    errorMessage: `${label} must be at most ${MAX_ADDRESS_FIELD_LENGTH} characters`
+  }
+});
+
+const address = {
+  address: {
+    optional: { options: { values: 'null' } },
+    isObject: { errorMessage: 'Address must be an object' }
+  },
+  'address.street': addressField('Street'),
+  'address.city': addressField('City'),
+  'address.state': addressField('State'),
+  'address.zipCode': {
+    ...addressField('ZIP code'),
+    // Forms send blank fields as empty strings; only a ZIP that was filled in must be valid
+    optional: { options: { values: 'falsy' } },
+    matches: {
+      options: /^[A-Za-z0-9 -]{3,10}$/,
+      errorMessage: 'Enter a valid ZIP code'
+    }
+  },
+  'address.country': addressField('Country')
+};
+
+export const registerSchema = {
+  email,
+  password: newPassword,
+  firstName: name('First name'),
+  lastName: name('Last name'),
+  phone,
+  ...address,
+  role: {
+    optional: true,
+    isIn: {
+      options: [SELF_REGISTRATION_ROLES],
+      errorMessage: 'You can register as a buyer or a seller'
+    }
+  },
+  cartToken: {
+    optional: { options: { values: 'falsy' } },
+    isString: { errorMessage: 'cartToken must be a string' }
+  }
+};
+
+export const loginSchema = {
+  email,
+  password: {
+    isString: { errorMessage: 'Password is required', bail: true },
+    notEmpty: { errorMessage: 'Password is required' }
+  },
+  cartToken: registerSchema.cartToken
+};
+
+export const refreshSchema = {
+  refreshToken: {
+    isString: { errorMessage: 'refreshToken is required', bail: true },
+    notEmpty: { errorMessage: 'refreshToken is required' }
+  }
+};
+
+export const logoutSchema = {
+  refreshToken: {
+    optional: { options: { values: 'falsy' } },
+    isString: { errorMessage: 'refreshToken must be a string' }
+  }
+};
+
+export const forgotPasswordSchema = {
+  email
+};
+
+export const resetPasswordSchema = {
+  token: {
+    isString: { errorMessage: 'Reset token is required', bail: true },
+    notEmpty: { errorMessage: 'Reset token is required' }
+  },
+  password: newPassword
+};
+
+export const changePasswordSchema = {
+  currentPassword: {
+    isString: { errorMessage: 'Current password is required', bail: true },
+    notEmpty: { errorMessage: 'Current password is required' }
+  },
+  newPassword: {
+    ...newPassword,
+    custom: {
+      options: (value, { req }) => value !== req.body.currentPassword,
+      errorMessage: 'New password must be different from the current password'
+    }
+  }
+};
+
+export const updateProfileSchema = {
+  firstName: name('First name', { optional: true }),
+  lastName: name('Last name', { optional: true }),
+  phone,
+  ...address
+};
@@ -0,0 +1,18 @@
+// Request schemas for the admin user routes (express-validator), applied with middleware/validate.js
+
+export const SELLER_APPLICATION_DECISIONS = ['approved', 'rejected'];
+
+export const reviewSellerApplicationSchema = {
+  status: {
+    isIn: {
+      options: [SELLER_APPLICATION_DECISIONS],
+      errorMessage: `status must be one of ${SELLER_APPLICATION_DECISIONS.join(', ')}`
+    }
+  },
+  note: {
+    optional: { options: { values: 'falsy' } },
+    isString: { errorMessage: 'note must be text', bail: true },
+    trim: true,
+    isLength: { options: { max: 500 }, errorMessage: 'note must be at most 500 characters' }
+  }
+};
@@ -3,13 +3,23 @@ import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
 import ProtectedRoute from './components/ProtectedRoute';
 import Navbar from './components/Navbar';
+import VerifyEmailBanner from './components/VerifyEmailBanner';
 import './App.css';
 
 // Lazy load pages for code splitting
 const Login = lazy(() => import('./pages/Login'));
+const Register = lazy(() => import('./pages/Register'));
+const ForgotPassword = lazy(() => import('./pages/ForgotPassword'));
+const ResetPassword = lazy(() => import('./pages/ResetPassword'));
+const VerifyEmail = lazy(() => import('./pages/VerifyEmail'));
 const Products = lazy(() => import('./pages/Products'));
 const ProductDetail = lazy(() => import('./pages/ProductDetail'));
 const Cart = lazy(() => import('./pages/Cart'));
+const Checkout = lazy(() => import('./pages/Checkout'));
+const Orders = lazy(() => import('./pages/Orders'));
+const OrderDetail = lazy(() => import('./pages/OrderDetail'));
+const OrderDocument = lazy(() => import('./pages/OrderDocument'));
+const Account = lazy(() => import('./pages/Account'));
 
 // Loading component
 const PageLoader = () => (
@@ -36,18 +46,64 @@ function App() {
       <BrowserRouter>
         <div className="app">
           <Navbar />
+          <VerifyEmailBanner />
           <main className="main-content">
             <Suspense fallback={<PageLoader />}>
               <Routes>
                 <Route path="/" element={<Navigate to="/products" replace />} />
                 <Route path="/login" element={<Login />} />
+                <Route path="/register" element={<Register />} />
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password" element={<ResetPassword />} />
+                <Route path="/verify-email" element={<VerifyEmail />} />
                 <Route path="/products" element={<Products />} />
                 <Route path="/products/:id" element={<ProductDetail />} />
+                <Route path="/cart" element={<Cart />} />
                 <Route
-                  path="/cart"
+                  path="/checkout"
                   element={
                     <ProtectedRoute>
-                      <Cart />
+                      <Checkout />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/orders"
+                  element={
+                    <ProtectedRoute>
+                      <Orders />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/orders/:id"
+                  element={
+                    <ProtectedRoute>
+                      <OrderDetail />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/orders/:id/invoice"
+                  element={
+                    <ProtectedRoute>
+                      <OrderDocument type="invoice" />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/orders/:id/packing-slip"
+                  element={
+                    <ProtectedRoute>
+                      <OrderDocument type="packing-slip" />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path="/account"
+                  element={
+                    <ProtectedRoute>
+                      <Account />
                     </ProtectedRoute>
                   }
                 />
@@ -11,12 +11,8 @@ const Navbar = memo(() => {
   const [cartCount, setCartCount] = useState(0);
   const [loadingCart, setLoadingCart] = useState(false);
 
+  // Guests have a cart too, so the count is fetched with or without a token
   const fetchCartCount = useCallback(async () => {
-    if (!token) {
-      setCartCount(0);
-      return;
-    }
-
     setLoadingCart(true);
     try {
       const response = await getCart();
@@ -29,18 +25,19 @@ const Navbar = memo(() => {
     } finally {
       setLoadingCart(false);
     }
-  }, [token]);
+  }, []);
 
+  // Refetch when the user logs in or out
   useEffect(() => {
     fetchCartCount();
-  }, [fetchCartCount]);
+  }, [fetchCartCount, token]);
 
   // Refresh cart count when navigating to/from cart page
   useEffect(() => {
-    if (token && (location.pathname === '/cart' || location.pathname === '/products')) {
+    if (location.pathname === '/cart' || location.pathname === '/products') {
       fetchCartCount();
     }
-  }, [location.pathname, token, fetchCartCount]);
+  }, [location.pathname, fetchCartCount]);
 
   const handleLogout = useCallback(() => {
     logout();
@@ -63,19 +60,23 @@ const Navbar = memo(() => {
             Products
           </Link>
           
+          <Link to="/cart" className="nav-link cart-link">
+            <span className="cart-icon">🛒</span>
+            <span className="cart-text">Cart</span>
+            {cartCount > 0 && (
+              <span className="cart-badge">{cartCount}</span>
+            )}
+          </Link>
+
           {token && (
-            <Link to="/cart" className="nav-link cart-link">
-              <span className="cart-icon">🛒</span>
-              <span className="cart-text">Cart</span>
-              {cartCount > 0 && (
-                <span className="cart-badge">{cartCount}</span>
-              )}
+            <Link to="/orders" className="nav-link">
+              Orders
             </Link>
           )}
 
           {token ? (
             <div className="user-menu">
-              <span className="user-name">{userName}</span>
+              <Link to="/account" className="user-name">{userName}</Link>
               <button onClick={handleLogout} className="logout-button">
                 Logout
               </button>
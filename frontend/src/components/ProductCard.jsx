@@ -26,6 +26,9 @@ const ProductCard = memo(({ product }) => {
       : product.description;
   }, [product.description]);
 
+  // Stock held in other shoppers' carts is not available
+  const available = product.available ?? product.stock;
+
   const ratingStars = useMemo(() => {
     if (product.rating <= 0) return null;
     const fullStars = Math.floor(product.rating);
@@ -48,7 +51,7 @@ const ProductCard = memo(({ product }) => {
         {product.featured && (
           <span className="featured-badge">Featured</span>
         )}
-        {product.stock === 0 && (
+        {available === 0 && (
           <span className="out-of-stock-badge">Out of Stock</span>
         )}
       </div>
@@ -80,8 +83,8 @@ const ProductCard = memo(({ product }) => {
           )}
         </div>
 
-        {product.stock > 0 && product.stock < 10 && (
-          <div className="low-stock">Only {product.stock} left in stock</div>
+        {available > 0 && available < 10 && (
+          <div className="low-stock">Only {available} available</div>
         )}
       </div>
     </Link>
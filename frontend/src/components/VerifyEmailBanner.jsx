@@ -0,0 +1,59 @@
+import { useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { resendVerificationEmail } from '../services/api';
+import './VerifyEmailBanner.css';
+
+// Reminds signed-in users with an unverified email that ordering, listing products
+// and reviewing are blocked until they follow the link we emailed them
+const VerifyEmailBanner = () => {
+  const { user } = useAuth();
+  const location = useLocation();
+  const [sending, setSending] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  if (!user || user.isVerified || location.pathname === '/verify-email') {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setSending(true);
+    setStatus(null);
+    try {
+      const response = await resendVerificationEmail();
+      setStatus({ type: 'success', message: `${response.message} to ${user.email}.` });
+    } catch (err) {
+      setStatus({
+        type: 'error',
+        message: err.response?.data?.message || 'Failed to send verification email'
+      });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="verify-email-banner" role="status">
+      <div className="verify-email-banner-content">
+        <p>
+          <strong>Please verify your email address.</strong>{' '}
+          You need to follow the link we sent to {user.email} before you can place orders,
+          list products or post reviews.
+        </p>
+        <button
+          type="button"
+          className="verify-email-resend"
+          onClick={handleResend}
+          disabled={sending}
+        >
+          {sending ? 'Sending...' : 'Resend email'}
+        </button>
+      </div>
+      {status && (
+        <p className={`verify-email-status ${status.type}`}>{status.message}</p>
+      )}
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
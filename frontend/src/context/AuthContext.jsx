@@ -1,5 +1,5 @@
 import { createContext, useState, useContext, useEffect } from 'react';
-import { getProfile } from '../services/api';
+import { getProfile, logout as logoutRequest, SESSION_EXPIRED_EVENT } from '../services/api';
 
 const AuthContext = createContext(null);
 
@@ -20,11 +20,13 @@ export const AuthProvider = ({ children }) => {
                         // Token might be invalid, clear it
                         setToken(null);
                         localStorage.removeItem('token');
+                        localStorage.removeItem('refreshToken');
                     }
                 } catch (error) {
                     // Token invalid or expired, clear it
                     setToken(null);
                     localStorage.removeItem('token');
+                    localStorage.removeItem('refreshToken');
                 }
             }
             setLoading(false);
@@ -33,20 +35,44 @@ export const AuthProvider = ({ children }) => {
         fetchUserProfile();
     }, [token]);
 
-    const login = (newToken, userData) => {
+    // The api client signs the user out when their session can no longer be refreshed
+    useEffect(() => {
+        const handleSessionExpired = () => {
+            setToken(null);
+            setUser(null);
+        };
+
+        window.addEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+        return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+    }, []);
+
+    const login = (newToken, userData, refreshToken) => {
         setToken(newToken);
         setUser(userData);
         localStorage.setItem('token', newToken);
+        localStorage.setItem('refreshToken', refreshToken);
+    };
+
+    // Replace the signed-in user's details, e.g. after verifying their email
+    const updateUser = (userData) => {
+        setUser(userData);
     };
 
     const logout = () => {
+        // Revoke the session on the server; signing out locally does not wait for it
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (refreshToken) {
+            logoutRequest(refreshToken).catch(() => {});
+        }
+
         setToken(null);
         setUser(null);
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
     };
 
     return (
-        <AuthContext.Provider value={{ user, token, login, logout, loading }}>
+        <AuthContext.Provider value={{ user, token, login, logout, updateUser, loading }}>
             {!loading && children}
         </AuthContext.Provider>
     );
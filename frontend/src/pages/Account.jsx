@@ -0,0 +1,445 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import {
+  updateProfile,
+  changePassword,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
+} from '../services/api';
+import { getFieldErrors } from '../utils/formErrors';
+import { formatDate } from '../utils/formatOrder';
+import './Account.css';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const ADDRESS_FIELDS = [
+  { name: 'street', label: 'Street', autoComplete: 'street-address' },
+  { name: 'city', label: 'City', autoComplete: 'address-level2' },
+  { name: 'state', label: 'State', autoComplete: 'address-level1' },
+  { name: 'zipCode', label: 'ZIP Code', autoComplete: 'postal-code' },
+  { name: 'country', label: 'Country', autoComplete: 'country-name' }
+];
+
+const getErrorMessage = (err, fallback) => {
+  return err.response?.data?.message || err.message || fallback;
+};
+
+// Text input with its label and inline error
+const Field = ({ id, label, error, ...inputProps }) => (
+  <div className="form-group">
+    <label htmlFor={id}>{label}</label>
+    <input
+      id={id}
+      aria-invalid={Boolean(error)}
+      aria-describedby={error ? `${id}-error` : undefined}
+      {...inputProps}
+    />
+    {error && <span id={`${id}-error`} className="field-error">{error}</span>}
+  </div>
+);
+
+const toProfileForm = (user) => ({
+  firstName: user.firstName || '',
+  lastName: user.lastName || '',
+  phone: user.phone || '',
+  address: ADDRESS_FIELDS.reduce((address, { name }) => ({
+    ...address,
+    [name]: user.address?.[name] || ''
+  }), {})
+});
+
+const ProfileSection = ({ user, onSaved }) => {
+  const [form, setForm] = useState(() => toProfileForm(user));
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [message, setMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    setFieldErrors(prev => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleAddressChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, address: { ...prev.address, [name]: value } }));
+    setFieldErrors(prev => ({ ...prev, [`address.${name}`]: undefined }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+
+    const errors = {};
+    if (!form.firstName.trim()) errors.firstName = 'First name is required';
+    if (!form.lastName.trim()) errors.lastName = 'Last name is required';
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+
+    // An address with every field left blank is removed rather than saved empty
+    const hasAddress = Object.values(form.address).some(value => value.trim());
+
+    setSaving(true);
+    try {
+      const response = await updateProfile({
+        firstName: form.firstName,
+        lastName: form.lastName,
+        phone: form.phone,
+        address: hasAddress ? form.address : null
+      });
+      if (response.success) {
+        onSaved(response.data);
+        setForm(toProfileForm(response.data));
+        setMessage({ type: 'success', text: response.message });
+      } else {
+        setMessage({ type: 'error', text: response.message || 'Failed to update profile' });
+      }
+    } catch (err) {
+      const errors = getFieldErrors(err);
+      if (Object.keys(errors).length > 0) {
+        setFieldErrors(errors);
+        return;
+      }
+      setMessage({ type: 'error', text: getErrorMessage(err, 'Failed to update profile') });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <section className="account-panel">
+      <h2>Profile</h2>
+
+      {message && (
+        <div className={`account-message ${message.type}`} role={message.type === 'error' ? 'alert' : 'status'}>
+          {message.text}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="account-form" noValidate>
+        <div className="account-form-row">
+          <Field
+            id="firstName"
+            name="firstName"
+            label="First Name"
+            value={form.firstName}
+            onChange={handleChange}
+            error={fieldErrors.firstName}
+            disabled={saving}
+            autoComplete="given-name"
+          />
+          <Field
+            id="lastName"
+            name="lastName"
+            label="Last Name"
+            value={form.lastName}
+            onChange={handleChange}
+            error={fieldErrors.lastName}
+            disabled={saving}
+            autoComplete="family-name"
+          />
+        </div>
+
+        <Field
+          id="phone"
+          name="phone"
+          type="tel"
+          label="Phone"
+          value={form.phone}
+          onChange={handleChange}
+          error={fieldErrors.phone}
+          disabled={saving}
+          autoComplete="tel"
+          placeholder="+1 555 123 4567"
+        />
+
+        <fieldset className="account-fieldset">
+          <legend>Address</legend>
+          <div className="account-address-fields">
+            {ADDRESS_FIELDS.map(({ name, label, autoComplete }) => (
+              <Field
+                key={name}
+                id={`address-${name}`}
+                name={name}
+                label={label}
+                value={form.address[name]}
+                onChange={handleAddressChange}
+                error={fieldErrors[`address.${name}`]}
+                disabled={saving}
+                autoComplete={autoComplete}
+              />
+            ))}
+          </div>
+        </fieldset>
+
+        {fieldErrors.address && (
+          <span className="field-error">{fieldErrors.address}</span>
+        )}
+
+        <button type="submit" className="account-button" disabled={saving}>
+          {saving ? 'Saving...' : 'Save Profile'}
+        </button>
+      </form>
+    </section>
+  );
+};
+
+const emptyPasswordForm = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+const PasswordSection = ({ onChanged }) => {
+  const [form, setForm] = useState(emptyPasswordForm);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [message, setMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    setFieldErrors(prev => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+
+    const errors = {};
+    if (!form.currentPassword) {
+      errors.currentPassword = 'Current password is required';
+    }
+    if (form.newPassword.length < MIN_PASSWORD_LENGTH) {
+      errors.newPassword = `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    } else if (!/[A-Za-z]/.test(form.newPassword) || !/\d/.test(form.newPassword)) {
+      errors.newPassword = 'Password must contain at least one letter and one number';
+    }
+    if (form.confirmPassword !== form.newPassword) {
+      errors.confirmPassword = 'Passwords do not match';
+    }
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await changePassword(form.currentPassword, form.newPassword);
+      if (response.success) {
+        setForm(emptyPasswordForm);
+        const revoked = response.data?.revokedSessions || 0;
+        setMessage({
+          type: 'success',
+          text: revoked > 0
+            ? `${response.message}. You were signed out on ${revoked} other device(s).`
+            : response.message
+        });
+        onChanged();
+      } else {
+        setMessage({ type: 'error', text: response.message || 'Failed to change password' });
+      }
+    } catch (err) {
+      const errors = getFieldErrors(err);
+      if (Object.keys(errors).length > 0) {
+        setFieldErrors(errors);
+        return;
+      }
+      setMessage({ type: 'error', text: getErrorMessage(err, 'Failed to change password') });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <section className="account-panel">
+      <h2>Change Password</h2>
+
+      {message && (
+        <div className={`account-message ${message.type}`} role={message.type === 'error' ? 'alert' : 'status'}>
+          {message.text}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="account-form" noValidate>
+        <Field
+          id="currentPassword"
+          name="currentPassword"
+          type="password"
+          label="Current Password"
+          value={form.currentPassword}
+          onChange={handleChange}
+          error={fieldErrors.currentPassword}
+          disabled={saving}
+          autoComplete="current-password"
+        />
+        <Field
+          id="newPassword"
+          name="newPassword"
+          type="password"
+          label="New Password"
+          value={form.newPassword}
+          onChange={handleChange}
+          error={fieldErrors.newPassword}
+          disabled={saving}
+          autoComplete="new-password"
+          placeholder={`At least ${MIN_PASSWORD_LENGTH} characters, with a letter and a number`}
+        />
+        <Field
+          id="confirmPassword"
+          name="confirmPassword"
+          type="password"
+          label="Confirm New Password"
+          value={form.confirmPassword}
+          onChange={handleChange}
+          error={fieldErrors.confirmPassword}
+          disabled={saving}
+          autoComplete="new-password"
+        />
+
+        <button type="submit" className="account-button" disabled={saving}>
+          {saving ? 'Saving...' : 'Change Password'}
+        </button>
+      </form>
+    </section>
+  );
+};
+
+const SessionsSection = ({ refreshKey }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const fetchSessions = useCallback(async () => {
+    setError('');
+    try {
+      const response = await getSessions();
+      if (response.success) {
+        setSessions(response.data);
+      } else {
+        setError(response.message || 'Failed to fetch sessions');
+      }
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to fetch sessions'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Reload when another section changes sessions (e.g. a password change signs out other devices)
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions, refreshKey]);
+
+  const handleRevoke = async (sessionId) => {
+    setBusy(true);
+    try {
+      if (sessionId) {
+        await revokeSession(sessionId);
+      } else {
+        await revokeOtherSessions();
+      }
+      await fetchSessions();
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to sign out the session'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const hasOtherSessions = sessions.some(session => !session.current);
+
+  return (
+    <section className="account-panel">
+      <h2>Signed-in Devices</h2>
+
+      {error && (
+        <div className="account-message error" role="alert">{error}</div>
+      )}
+
+      {loading ? (
+        <p className="account-muted">Loading sessions...</p>
+      ) : (
+        <ul className="session-list">
+          {sessions.map(session => (
+            <li key={session.id} className="session-item">
+              <div>
+                <p className="session-device">
+                  {session.userAgent || 'Unknown device'}
+                  {session.current && <span className="session-current">This device</span>}
+                </p>
+                <p className="account-muted">
+                  Last active {formatDate(session.lastUsedAt || session.createdAt, true)}
+                  {session.ip && ` · ${session.ip}`}
+                </p>
+              </div>
+              {!session.current && (
+                <button
+                  type="button"
+                  className="session-revoke"
+                  onClick={() => handleRevoke(session.id)}
+                  disabled={busy}
+                >
+                  Sign out
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {hasOtherSessions && (
+        <button
+          type="button"
+          className="session-revoke"
+          onClick={() => handleRevoke(null)}
+          disabled={busy}
+        >
+          Sign out all other devices
+        </button>
+      )}
+    </section>
+  );
+};
+
+const Account = () => {
+  const { user, updateUser } = useAuth();
+  const [sessionsVersion, setSessionsVersion] = useState(0);
+
+  const handlePasswordChanged = useCallback(() => {
+    setSessionsVersion(version => version + 1);
+  }, []);
+
+  if (!user) {
+    return null;
+  }
+
+  const sellerStatus = user.sellerApplication?.status;
+
+  return (
+    <div className="account-container">
+      <h1>My Account</h1>
+
+      <section className="account-panel account-summary">
+        <p className="account-email">{user.email}</p>
+        <div className="account-badges">
+          <span className={`account-badge ${user.isVerified ? 'verified' : 'unverified'}`}>
+            {user.isVerified ? 'Email verified' : 'Email not verified'}
+          </span>
+          <span className="account-badge">{user.role}</span>
+          {sellerStatus && sellerStatus !== 'approved' && (
+            <span className={`account-badge seller-${sellerStatus}`}>
+              Seller application {sellerStatus}
+            </span>
+          )}
+        </div>
+      </section>
+
+      <ProfileSection user={user} onSaved={updateUser} />
+      <PasswordSection onChanged={handlePasswordChanged} />
+      <SessionsSection refreshKey={sessionsVersion} />
+    </div>
+  );
+};
+
+export default Account;
@@ -1,6 +1,6 @@
 import { useState, useEffect, useCallback, useMemo } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
-import { getCart, updateCartItem, removeFromCart, clearCart } from '../services/api';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
+import { getCart, updateCartItem, removeFromCart, clearCart, applyCoupon, removeCoupon } from '../services/api';
 import { useAuth } from '../context/AuthContext';
 import { formatPrice } from '../utils/formatPrice';
 import './Cart.css';
@@ -8,12 +8,21 @@ import './Cart.css';
 const Cart = () => {
   const { token } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+
+  // Items that could not be added when a guest cart was merged on login or an order was reordered
+  const cartConflicts = location.state?.cartConflicts || [];
+  const cartConflictsTitle = location.state?.cartConflictsTitle ||
+    'Some items from your guest cart could not be fully added:';
 
   const [cart, setCart] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [updatingItems, setUpdatingItems] = useState(new Set());
   const [message, setMessage] = useState('');
+  const [couponInput, setCouponInput] = useState('');
+  const [couponMessage, setCouponMessage] = useState('');
+  const [applyingCoupon, setApplyingCoupon] = useState(false);
 
   const fetchCart = useCallback(async () => {
     setLoading(true);
@@ -38,12 +47,17 @@ const Cart = () => {
   }, []);
 
   useEffect(() => {
+    fetchCart();
+  }, [token, fetchCart]);
+
+  const handleCheckout = useCallback(() => {
+    // Guests sign in first; their cart is merged into their account on login
     if (!token) {
-      navigate('/login', { state: { from: { pathname: '/cart' } } });
+      navigate('/login', { state: { from: { pathname: '/checkout' } } });
       return;
     }
-    fetchCart();
-  }, [token, navigate, fetchCart]);
+    navigate('/checkout');
+  }, [token, navigate]);
 
   const handleUpdateQuantity = useCallback(async (productId, newQuantity) => {
     if (newQuantity < 1) {
@@ -131,12 +145,55 @@ const Cart = () => {
     }
   }, [fetchCart]);
 
+  const handleApplyCoupon = useCallback(async (e) => {
+    e.preventDefault();
+    if (!couponInput.trim()) return;
+
+    setApplyingCoupon(true);
+    setCouponMessage('');
+
+    try {
+      const response = await applyCoupon(couponInput.trim());
+
+      if (response.success) {
+        setCouponInput('');
+        await fetchCart();
+      } else {
+        setCouponMessage(response.message || 'Failed to apply coupon');
+      }
+    } catch (err) {
+      const errorMessage = err.response?.data?.message ||
+        err.message ||
+        'Failed to apply coupon. Please try again.';
+      setCouponMessage(errorMessage);
+    } finally {
+      setApplyingCoupon(false);
+    }
+  }, [couponInput, fetchCart]);
+
+  const handleRemoveCoupon = useCallback(async () => {
+    setApplyingCoupon(true);
+    setCouponMessage('');
+
+    try {
+      await removeCoupon();
+      await fetchCart();
+    } catch (err) {
+      const errorMessage = err.response?.data?.message ||
+        err.message ||
+        'Failed to remove coupon. Please try again.';
+      setCouponMessage(errorMessage);
+    } finally {
+      setApplyingCoupon(false);
+    }
+  }, [fetchCart]);
+
   const handleQuantityChange = useCallback((productId, delta) => {
     const item = cart?.items?.find(i => i.product?.id === productId);
     if (!item) return;
     
     const newQuantity = item.quantity + delta;
-    if (newQuantity >= 1 && newQuantity <= item.product.stock) {
+    if (newQuantity >= 1 && newQuantity <= (item.product.available ?? item.product.stock)) {
       handleUpdateQuantity(productId, newQuantity);
     }
   }, [cart, handleUpdateQuantity]);
@@ -146,7 +203,7 @@ const Cart = () => {
     if (!item) return;
     
     const val = parseInt(value) || 1;
-    const newQuantity = Math.max(1, Math.min(val, item.product.stock));
+    const newQuantity = Math.max(1, Math.min(val, item.product.available ?? item.product.stock));
     handleUpdateQuantity(productId, newQuantity);
   }, [cart, handleUpdateQuantity]);
 
@@ -158,6 +215,14 @@ const Cart = () => {
     return cart?.subtotal || 0;
   }, [cart?.subtotal]);
 
+  const discounts = useMemo(() => {
+    return cart?.discounts || [];
+  }, [cart?.discounts]);
+
+  const total = useMemo(() => {
+    return cart?.total ?? subtotal;
+  }, [cart?.total, subtotal]);
+
   const itemCount = useMemo(() => {
     return cart?.itemCount || 0;
   }, [cart?.itemCount]);
@@ -212,6 +277,17 @@ const Cart = () => {
         </p>
       </div>
 
+      {cartConflicts.length > 0 && (
+        <div className="cart-message error">
+          {cartConflictsTitle}
+          <ul>
+            {cartConflicts.map(conflict => (
+              <li key={conflict.productId}>{conflict.message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {message && (
         <div className={`cart-message ${message.includes('success') || message.includes('removed') || message.includes('cleared') ? 'success' : 'error'}`}>
           {message}
@@ -224,6 +300,7 @@ const Cart = () => {
             const product = item.product;
             const itemTotal = product.price * item.quantity;
             const isUpdating = updatingItems.has(product.id);
+            const available = product.available ?? product.stock;
             const imageUrl = product.images && product.images.length > 0
               ? product.images[0]
               : 'https://via.placeholder.com/200x200?text=No+Image';
@@ -259,7 +336,7 @@ const Cart = () => {
                       type="number"
                       id={`quantity-${product.id}`}
                       min="1"
-                      max={product.stock}
+                      max={available}
                       value={item.quantity}
                       onChange={(e) => handleQuantityInputChange(product.id, e.target.value)}
                       disabled={isUpdating}
@@ -268,16 +345,16 @@ const Cart = () => {
                     <button
                       type="button"
                       onClick={() => handleQuantityChange(product.id, 1)}
-                      disabled={isUpdating || item.quantity >= product.stock}
+                      disabled={isUpdating || item.quantity >= available}
                       className="quantity-button"
                       aria-label="Increase quantity"
                     >
                       +
                     </button>
                   </div>
-                  {product.stock < 10 && product.stock > 0 && (
+                  {available < 10 && available > 0 && (
                     <div className="stock-warning">
-                      Only {product.stock} left
+                      Only {available} available
                     </div>
                   )}
                 </div>
@@ -310,16 +387,80 @@ const Cart = () => {
             <span>Subtotal ({itemCount} {itemCount === 1 ? 'item' : 'items'}):</span>
             <span className="summary-value">{formatPrice(subtotal)}</span>
           </div>
+          {discounts.map(discount => (
+            <div key={discount.couponId} className="summary-row discount">
+              <span>{discount.description}{discount.code && ` (${discount.code})`}</span>
+              <span className="summary-value">
+                {discount.type === 'free_shipping' ? 'Free shipping' : `−${formatPrice(discount.amount)}`}
+              </span>
+            </div>
+          ))}
           <div className="summary-row">
-            <span>Shipping:</span>
-            <span className="summary-value">Calculated at checkout</span>
+            <span>Estimated shipping:</span>
+            <span className="summary-value">
+              {cart.shipping === 0 ? 'Free' : formatPrice(cart.shipping)}
+            </span>
+          </div>
+          {cart.amountToFreeShipping > 0 && (
+            <p className="free-shipping-hint">
+              Add {formatPrice(cart.amountToFreeShipping)} more for free standard shipping
+            </p>
+          )}
+          <div className="summary-row">
+            <span>Estimated tax:</span>
+            <span className="summary-value">
+              {cart.tax !== null && cart.tax !== undefined ? formatPrice(cart.tax) : 'Calculated at checkout'}
+            </span>
           </div>
           <div className="summary-row total">
             <span>Total:</span>
-            <span className="summary-value">{formatPrice(subtotal)}</span>
+            <span className="summary-value">{formatPrice(total)}</span>
           </div>
-          <button className="checkout-button" disabled>
-            Proceed to Checkout
+
+          {cart.couponCode ? (
+            <div className="coupon-applied">
+              <span>
+                Coupon <strong>{cart.couponCode}</strong>
+                {cart.couponError ? ` — ${cart.couponError}` : ' applied'}
+              </span>
+              <button
+                type="button"
+                onClick={handleRemoveCoupon}
+                disabled={applyingCoupon}
+                className="coupon-remove"
+              >
+                Remove
+              </button>
+            </div>
+          ) : (
+            <form onSubmit={handleApplyCoupon} className="coupon-form">
+              <input
+                type="text"
+                value={couponInput}
+                onChange={(e) => setCouponInput(e.target.value)}
+                placeholder="Coupon code"
+                aria-label="Coupon code"
+                disabled={applyingCoupon}
+                className="coupon-input"
+              />
+              <button
+                type="submit"
+                disabled={applyingCoupon || !couponInput.trim()}
+                className="coupon-apply"
+              >
+                Apply
+              </button>
+            </form>
+          )}
+          {couponMessage && (
+            <div className="coupon-message">{couponMessage}</div>
+          )}
+          <button
+            className="checkout-button"
+            onClick={handleCheckout}
+            disabled={loading || updatingItems.size > 0}
+          >
+            {token ? 'Proceed to Checkout' : 'Sign in to Checkout'}
           </button>
           <Link to="/products" className="continue-shopping">
             Continue Shopping
@@ -0,0 +1,402 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { getCheckoutPreview, checkout, confirmOrderPayment } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { formatPrice } from '../utils/formatPrice';
+import './Checkout.css';
+
+const STEPS = ['Address', 'Shipping', 'Review', 'Confirmation'];
+
+const ADDRESS_FIELDS = [
+  { name: 'street', label: 'Street', autoComplete: 'street-address' },
+  { name: 'city', label: 'City', autoComplete: 'address-level2' },
+  { name: 'state', label: 'State', autoComplete: 'address-level1' },
+  { name: 'zipCode', label: 'ZIP Code', autoComplete: 'postal-code' },
+  { name: 'country', label: 'Country', autoComplete: 'country-name' }
+];
+
+const emptyAddress = { street: '', city: '', state: '', zipCode: '', country: '' };
+
+const CARD_FIELDS = [
+  { name: 'cardNumber', label: 'Card Number', autoComplete: 'cc-number', inputMode: 'numeric', placeholder: '4242 4242 4242 4242' },
+  { name: 'expMonth', label: 'Exp. Month', autoComplete: 'cc-exp-month', inputMode: 'numeric', placeholder: 'MM' },
+  { name: 'expYear', label: 'Exp. Year', autoComplete: 'cc-exp-year', inputMode: 'numeric', placeholder: 'YYYY' },
+  { name: 'cvc', label: 'CVC', autoComplete: 'cc-csc', inputMode: 'numeric', placeholder: '123' }
+];
+
+const emptyCard = { cardNumber: '', expMonth: '', expYear: '', cvc: '' };
+
+const Checkout = () => {
+  const { user } = useAuth();
+
+  const [step, setStep] = useState(0);
+  const [address, setAddress] = useState({ ...emptyAddress, ...user?.address });
+  // Address the totals were quoted for; updated when the address step is submitted
+  const [quoteAddress, setQuoteAddress] = useState(user?.address || null);
+  const [shippingMethod, setShippingMethod] = useState('standard');
+  const [card, setCard] = useState(emptyCard);
+  const [confirmingPayment, setConfirmingPayment] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [placingOrder, setPlacingOrder] = useState(false);
+  const [error, setError] = useState('');
+  const [notices, setNotices] = useState([]);
+  const [order, setOrder] = useState(null);
+  // Sent with the order so a retry after a dropped connection cannot place it twice;
+  // replaced once the server has answered
+  const idempotencyKey = useRef(crypto.randomUUID());
+
+  const fetchPreview = useCallback(async (method, destination) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await getCheckoutPreview(method, destination);
+
+      if (response.success) {
+        setPreview(response.data);
+        // The server falls back to another method when the chosen one does not ship to the address
+        setShippingMethod(response.data.shippingMethod);
+      } else {
+        setError(response.message || 'Failed to load checkout');
+      }
+    } catch (err) {
+      const errorMessage = err.response?.data?.message ||
+        err.message ||
+        'An error occurred while loading checkout. Please try again.';
+      setError(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPreview(shippingMethod, quoteAddress);
+  }, [fetchPreview, shippingMethod, quoteAddress]);
+
+  const handleAddressChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setAddress(prev => ({ ...prev, [name]: value }));
+  }, []);
+
+  const handleAddressSubmit = useCallback((e) => {
+    e.preventDefault();
+    const missing = ADDRESS_FIELDS.filter(field => !address[field.name]?.trim());
+    if (missing.length > 0) {
+      setError(`Please fill in: ${missing.map(field => field.label).join(', ')}`);
+      return;
+    }
+    setError('');
+    setQuoteAddress(address);
+    setStep(1);
+  }, [address]);
+
+  const handleCardChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setCard(prev => ({ ...prev, [name]: value }));
+  }, []);
+
+  const handlePlaceOrder = useCallback(async (e) => {
+    e.preventDefault();
+    setPlacingOrder(true);
+    setError('');
+    setNotices([]);
+
+    try {
+      const response = await checkout(
+        { shippingAddress: address, shippingMethod, paymentDetails: card },
+        idempotencyKey.current
+      );
+      idempotencyKey.current = crypto.randomUUID();
+
+      if (response.success) {
+        setOrder(response.data);
+        setStep(3);
+      } else {
+        setError(response.message || 'Failed to place order');
+      }
+    } catch (err) {
+      const data = err.response?.data;
+      setError(data?.message || err.message || 'Failed to place order. Please try again.');
+
+      // Keep the key when the request may not have reached the server, so retrying is safe
+      if (err.response) {
+        idempotencyKey.current = crypto.randomUUID();
+      }
+
+      // Price or stock changed: show what changed and refresh the review
+      if (data?.priceChanges) {
+        setNotices(data.priceChanges.map(change =>
+          `${change.name}: ${formatPrice(change.oldPrice)} → ${formatPrice(change.newPrice)}`
+        ));
+        fetchPreview(shippingMethod, address);
+      } else if (data?.problems) {
+        setNotices(data.problems.map(problem => problem.message));
+      } else if (data?.errors) {
+        setNotices(data.errors);
+      }
+    } finally {
+      setPlacingOrder(false);
+    }
+  }, [address, shippingMethod, card, fetchPreview]);
+
+  const handleConfirmPayment = useCallback(async () => {
+    setConfirmingPayment(true);
+    setError('');
+
+    try {
+      const response = await confirmOrderPayment(order.id);
+      if (response.success) {
+        setOrder(response.data);
+      } else {
+        setError(response.message || 'Failed to confirm payment');
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to confirm payment. Please try again.');
+    } finally {
+      setConfirmingPayment(false);
+    }
+  }, [order]);
+
+  // Products not taxed at the destination, from the per-line tax breakdown
+  const exemptProductIds = useMemo(() => {
+    const lines = preview?.taxBreakdown?.lines || [];
+    return new Set(lines.filter(line => line.exempt).map(line => line.productId));
+  }, [preview?.taxBreakdown]);
+
+  if (loading && !preview) {
+    return (
+      <div className="checkout-container">
+        <div className="loading-container">
+          <div className="loading-spinner"></div>
+          <p>Loading checkout...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!order && preview && preview.items.length === 0) {
+    return (
+      <div className="checkout-container">
+        <div className="error-container">
+          <h2>Your cart is empty</h2>
+          <p>Add some items to your cart before checking out.</p>
+          <Link to="/products" className="shop-button">
+            Continue Shopping
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="checkout-container">
+      <h1>Checkout</h1>
+
+      <ol className="checkout-steps">
+        {STEPS.map((label, index) => (
+          <li
+            key={label}
+            className={`checkout-step ${index === step ? 'active' : ''} ${index < step ? 'done' : ''}`}
+          >
+            <span className="step-number">{index + 1}</span>
+            {label}
+          </li>
+        ))}
+      </ol>
+
+      {error && (
+        <div className="checkout-message error" role="alert">
+          {error}
+          {notices.length > 0 && (
+            <ul>
+              {notices.map(notice => <li key={notice}>{notice}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {step === 0 && (
+        <form onSubmit={handleAddressSubmit} className="checkout-panel">
+          <h2>Shipping Address</h2>
+          {ADDRESS_FIELDS.map(field => (
+            <div key={field.name} className="form-group">
+              <label htmlFor={field.name}>{field.label}</label>
+              <input
+                type="text"
+                id={field.name}
+                name={field.name}
+                value={address[field.name] || ''}
+                onChange={handleAddressChange}
+                autoComplete={field.autoComplete}
+                required
+              />
+            </div>
+          ))}
+          <div className="checkout-actions">
+            <Link to="/cart" className="checkout-back">← Back to Cart</Link>
+            <button type="submit" className="checkout-next">Continue</button>
+          </div>
+        </form>
+      )}
+
+      {step === 1 && preview && (
+        <div className="checkout-panel">
+          <h2>Shipping Method</h2>
+          {preview.shippingDetails && (
+            <p className="shipping-summary">
+              Shipping weight {preview.shippingDetails.weight} lbs to {address.city || 'your address'}
+            </p>
+          )}
+          {preview.shippingMethods.map(method => (
+            <label key={method.id} className={`shipping-option ${shippingMethod === method.id ? 'selected' : ''}`}>
+              <input
+                type="radio"
+                name="shippingMethod"
+                value={method.id}
+                checked={shippingMethod === method.id}
+                onChange={() => setShippingMethod(method.id)}
+              />
+              <span className="shipping-option-name">{method.name}</span>
+              <span className="shipping-option-days">{method.estimatedDays}</span>
+              <span className="shipping-option-price">
+                {method.price === 0 ? 'Free' : formatPrice(method.price)}
+              </span>
+            </label>
+          ))}
+          <div className="checkout-actions">
+            <button type="button" onClick={() => setStep(0)} className="checkout-back">← Back</button>
+            <button type="button" onClick={() => setStep(2)} className="checkout-next" disabled={loading}>
+              Continue
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === 2 && preview && (
+        <form onSubmit={handlePlaceOrder} className="checkout-panel">
+          <h2>Review Your Order</h2>
+
+          <div className="review-section">
+            <h3>Ship to</h3>
+            <p>
+              {address.street}<br />
+              {address.city}, {address.state} {address.zipCode}<br />
+              {address.country}
+            </p>
+          </div>
+
+          <div className="review-section">
+            <h3>Items</h3>
+            {preview.items.map(item => (
+              <div key={item.productId} className="review-item">
+                <span>
+                  {item.name} × {item.quantity}
+                  {exemptProductIds.has(item.productId) && <span className="tax-exempt"> (tax exempt)</span>}
+                </span>
+                <span>{formatPrice(item.price * item.quantity)}</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="review-section">
+            <div className="summary-row">
+              <span>Subtotal:</span>
+              <span className="summary-value">{formatPrice(preview.subtotal)}</span>
+            </div>
+            {preview.discounts.map(discount => (
+              <div key={discount.couponId} className="summary-row discount">
+                <span>{discount.description}{discount.code && ` (${discount.code})`}:</span>
+                <span className="summary-value">−{formatPrice(discount.amount)}</span>
+              </div>
+            ))}
+            <div className="summary-row">
+              <span>Shipping ({preview.shippingDetails?.name}):</span>
+              <span className="summary-value">{formatPrice(preview.shipping)}</span>
+            </div>
+            <div className="summary-row">
+              <span>
+                Tax
+                {preview.taxBreakdown && ` (${preview.taxBreakdown.jurisdiction}, ${parseFloat((preview.taxBreakdown.rate * 100).toFixed(3))}%)`}:
+              </span>
+              <span className="summary-value">{formatPrice(preview.tax)}</span>
+            </div>
+            <div className="summary-row total">
+              <span>Total:</span>
+              <span className="summary-value">{formatPrice(preview.total)}</span>
+            </div>
+          </div>
+
+          <div className="review-section">
+            <h3>Payment</h3>
+            <div className="card-fields">
+              {CARD_FIELDS.map(field => (
+                <div key={field.name} className={`form-group card-field-${field.name}`}>
+                  <label htmlFor={field.name}>{field.label}</label>
+                  <input
+                    type="text"
+                    id={field.name}
+                    name={field.name}
+                    value={card[field.name]}
+                    onChange={handleCardChange}
+                    autoComplete={field.autoComplete}
+                    inputMode={field.inputMode}
+                    placeholder={field.placeholder}
+                    required
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="checkout-actions">
+            <button type="button" onClick={() => setStep(1)} className="checkout-back" disabled={placingOrder}>
+              ← Back
+            </button>
+            <button
+              type="submit"
+              className="checkout-next"
+              disabled={placingOrder || loading}
+            >
+              {placingOrder ? 'Placing Order...' : 'Place Order'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {step === 3 && order && (
+        <div className="checkout-panel checkout-confirmation">
+          <div className="confirmation-icon">✓</div>
+          <h2>Thank you for your order!</h2>
+          <p>Order <strong>{order.orderNumber}</strong> has been placed.</p>
+          {order.paymentStatus === 'requires_action' ? (
+            <>
+              <p>Your card issuer needs you to confirm this payment before the order can ship.</p>
+              <button
+                type="button"
+                onClick={handleConfirmPayment}
+                className="checkout-next"
+                disabled={confirmingPayment}
+              >
+                {confirmingPayment ? 'Confirming...' : `Confirm Payment of ${formatPrice(order.total)}`}
+              </button>
+            </>
+          ) : (
+            <p>
+              {formatPrice(order.total)} authorized on card ending in <strong>{order.payment?.card?.last4}</strong>.
+              You will be charged when your order ships.
+            </p>
+          )}
+          <Link to={`/orders/${order.id}`} className="checkout-back">
+            View Order
+          </Link>
+          <Link to="/products" className="shop-button">
+            Continue Shopping
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Checkout;
@@ -0,0 +1,88 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { forgotPassword } from '../services/api';
+import { getFieldErrors } from '../utils/formErrors';
+import './Login.css';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+
+    if (!email) {
+      setError('Please enter your email');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await forgotPassword(email);
+      if (response.success) {
+        setMessage(response.message);
+      } else {
+        setError(response.message || 'Failed to send reset link');
+      }
+    } catch (err) {
+      const errorMessage = getFieldErrors(err).email ||
+        err.response?.data?.message ||
+        err.message ||
+        'An error occurred. Please try again.';
+      setError(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <h1>Forgot Password</h1>
+        <p className="login-subtitle">We will email you a link to choose a new password</p>
+
+        {error && (
+          <div className="error-message" role="alert">
+            {error}
+          </div>
+        )}
+
+        {message && (
+          <div className="success-message" role="status">
+            {message}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="login-form">
+          <div className="form-group">
+            <label htmlFor="email">Email</label>
+            <input
+              type="email"
+              id="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Enter your email"
+              disabled={loading}
+              required
+              autoComplete="email"
+            />
+          </div>
+
+          <button type="submit" className="login-button" disabled={loading}>
+            {loading ? 'Sending...' : 'Send Reset Link'}
+          </button>
+        </form>
+
+        <div className="login-links">
+          <Link to="/login">Back to login</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -1,13 +1,15 @@
 import { useState } from 'react';
-import { useNavigate, useLocation } from 'react-router-dom';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { login as loginAPI } from '../services/api';
+import { getFieldErrors } from '../utils/formErrors';
 import './Login.css';
 
 const Login = () => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [loading, setLoading] = useState(false);
   
   const { login: setAuth } = useAuth();
@@ -16,10 +18,13 @@ const Login = () => {
 
   // Get the page user was trying to access, or default to products
   const from = location.state?.from?.pathname || '/products';
+  // Notice passed by another page, e.g. after a password reset
+  const notice = location.state?.message;
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setFieldErrors({});
     setLoading(true);
 
     // Basic validation
@@ -34,14 +39,28 @@ const Login = () => {
       
       if (response.success) {
         // Store token and user data in AuthContext
-        setAuth(response.data.token, response.data.user);
+        setAuth(response.data.token, response.data.user, response.data.refreshToken);
         
+        // Items from the guest cart that could not be merged are shown on the cart page
+        const conflicts = response.data.cartMerge?.conflicts || [];
+        if (conflicts.length > 0) {
+          navigate('/cart', { replace: true, state: { cartConflicts: conflicts } });
+          return;
+        }
+
         // Redirect to the page user was trying to access, or products page
         navigate(from, { replace: true });
       } else {
         setError(response.message || 'Login failed');
       }
     } catch (err) {
+      // Invalid input is reported next to the fields it concerns
+      const errors = getFieldErrors(err);
+      if (Object.keys(errors).length > 0) {
+        setFieldErrors(errors);
+        return;
+      }
+
       // Handle API errors
       const errorMessage = err.response?.data?.message || 
                          err.message || 
@@ -58,6 +77,12 @@ const Login = () => {
         <h1>Login</h1>
         <p className="login-subtitle">Sign in to your account</p>
         
+        {notice && !error && (
+          <div className="success-message" role="status">
+            {notice}
+          </div>
+        )}
+
         {error && (
           <div className="error-message" role="alert">
             {error}
@@ -76,7 +101,12 @@ const Login = () => {
               disabled={loading}
               required
               autoComplete="email"
+              aria-invalid={Boolean(fieldErrors.email)}
+              aria-describedby={fieldErrors.email ? 'email-error' : undefined}
             />
+            {fieldErrors.email && (
+              <span id="email-error" className="field-error">{fieldErrors.email}</span>
+            )}
           </div>
 
           <div className="form-group">
@@ -90,7 +120,12 @@ const Login = () => {
               disabled={loading}
               required
               autoComplete="current-password"
+              aria-invalid={Boolean(fieldErrors.password)}
+              aria-describedby={fieldErrors.password ? 'password-error' : undefined}
             />
+            {fieldErrors.password && (
+              <span id="password-error" className="field-error">{fieldErrors.password}</span>
+            )}
           </div>
 
           <button 
@@ -102,6 +137,14 @@ const Login = () => {
           </button>
         </form>
 
+        <div className="login-links">
+          <Link to="/forgot-password">Forgot your password?</Link>
+        </div>
+
+        <div className="login-links">
+          Don't have an account? <Link to="/register" state={location.state}>Register</Link>
+        </div>
+
         <div className="login-info">
           <p className="test-credentials">
             <strong>Test Credentials:</strong><br />
@@ -0,0 +1,270 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useParams, Link, useNavigate } from 'react-router-dom';
+import { getOrderById, addToCart } from '../services/api';
+import { formatPrice } from '../utils/formatPrice';
+import { formatDate, formatStatus } from '../utils/formatOrder';
+import './OrderDetail.css';
+
+const TIMELINE_STEPS = ['pending', 'processing', 'shipped', 'delivered'];
+
+const OrderDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [reordering, setReordering] = useState(false);
+
+  const fetchOrder = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await getOrderById(id);
+
+      if (response.success) {
+        setOrder(response.data);
+      } else {
+        setError(response.message || 'Order not found');
+      }
+    } catch (err) {
+      const errorMessage = err.response?.data?.message ||
+        err.message ||
+        'An error occurred while fetching the order. Please try again.';
+      setError(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchOrder();
+  }, [fetchOrder]);
+
+  // When the order reached each step of the timeline, from its status history
+  const timeline = useMemo(() => {
+    if (!order) {
+      return [];
+    }
+    const history = order.statusHistory || [];
+    const currentIndex = TIMELINE_STEPS.indexOf(order.status);
+    const steps = order.status === 'cancelled'
+      ? [...TIMELINE_STEPS.filter(step => history.some(entry => entry.to === step)), 'cancelled']
+      : TIMELINE_STEPS;
+
+    return steps.map((step, index) => {
+      const entry = [...history].reverse().find(e => e.to === step);
+      return {
+        status: step,
+        at: entry?.changedAt || (step === 'pending' ? order.createdAt : null),
+        done: order.status === 'cancelled' || index <= currentIndex
+      };
+    });
+  }, [order]);
+
+  const handleReorder = useCallback(async () => {
+    setReordering(true);
+    const conflicts = [];
+
+    // One at a time, so each add sees the stock held by the previous one
+    for (const item of order.items) {
+      try {
+        await addToCart(item.productId, item.quantity);
+      } catch (err) {
+        conflicts.push({
+          productId: item.productId,
+          message: `${item.name}: ${err.response?.data?.message || 'could not be added'}`
+        });
+      }
+    }
+
+    setReordering(false);
+    navigate('/cart', {
+      state: conflicts.length > 0
+        ? { cartConflicts: conflicts, cartConflictsTitle: 'Some items from this order could not be added:' }
+        : null
+    });
+  }, [order, navigate]);
+
+  if (loading) {
+    return (
+      <div className="order-detail-container">
+        <div className="loading-container">
+          <div className="loading-spinner"></div>
+          <p>Loading order...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !order) {
+    return (
+      <div className="order-detail-container">
+        <div className="error-container">
+          <h2>Order Not Found</h2>
+          <p>{error || 'The order you are looking for does not exist.'}</p>
+          <Link to="/orders" className="back-button">
+            Back to Orders
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const address = order.shippingAddress;
+
+  return (
+    <div className="order-detail-container">
+      <Link to="/orders" className="back-link">
+        ← All Orders
+      </Link>
+
+      <div className="order-detail-header">
+        <div>
+          <h1>Order {order.orderNumber || order.id}</h1>
+          <p className="order-detail-date">Placed {formatDate(order.createdAt, true)}</p>
+        </div>
+        <span className={`order-status status-${order.status}`}>
+          {formatStatus(order.status)}
+        </span>
+      </div>
+
+      <ol className="order-timeline">
+        {timeline.map(step => (
+          <li
+            key={step.status}
+            className={`timeline-step ${step.done ? 'done' : ''} ${step.status === 'cancelled' ? 'cancelled' : ''}`}
+          >
+            <span className="timeline-marker"></span>
+            <span className="timeline-label">{formatStatus(step.status)}</span>
+            {step.at && <span className="timeline-date">{formatDate(step.at, true)}</span>}
+          </li>
+        ))}
+      </ol>
+
+      <div className="order-detail-content">
+        <div className="order-detail-main">
+          <section className="order-section">
+            <h2>Items</h2>
+            {order.items.map(item => (
+              <div key={item.productId} className="order-item">
+                <Link to={`/products/${item.productId}`} className="order-item-name">
+                  {item.name}
+                </Link>
+                <span className="order-item-quantity">
+                  {item.quantity} × {formatPrice(item.price)}
+                </span>
+                <span className="order-item-total">{formatPrice(item.price * item.quantity)}</span>
+              </div>
+            ))}
+          </section>
+
+          {order.fulfillments?.length > 0 && (
+            <section className="order-section">
+              <h2>Shipments</h2>
+              {order.fulfillments.map((fulfillment, index) => (
+                <div key={fulfillment.id} className="order-shipment">
+                  <div className="order-shipment-header">
+                    <span>Shipment {index + 1} of {order.fulfillments.length}</span>
+                    <span className={`order-status status-${fulfillment.status}`}>
+                      {formatStatus(fulfillment.status)}
+                    </span>
+                  </div>
+                  <p>
+                    {fulfillment.items.map(fulfillmentItem => {
+                      const item = order.items.find(i => i.productId === fulfillmentItem.productId);
+                      return `${item?.name || fulfillmentItem.productId} × ${fulfillmentItem.quantity}`;
+                    }).join(', ')}
+                  </p>
+                  {fulfillment.tracking && (
+                    <p className="order-shipment-tracking">
+                      Tracking: {fulfillment.tracking.carrier} {fulfillment.tracking.trackingNumber}
+                    </p>
+                  )}
+                </div>
+              ))}
+            </section>
+          )}
+
+          {order.statusHistory?.length > 0 && (
+            <section className="order-section">
+              <h2>History</h2>
+              <ul className="order-history">
+                {order.statusHistory.map((entry, index) => (
+                  <li key={index}>
+                    <span className="order-history-date">{formatDate(entry.changedAt, true)}</span>
+                    <span>
+                      {formatStatus(entry.to)}
+                      {entry.note && <span className="order-history-note"> — {entry.note}</span>}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+        </div>
+
+        <aside className="order-detail-sidebar">
+          <section className="order-section">
+            <h2>Summary</h2>
+            <div className="summary-row">
+              <span>Subtotal</span>
+              <span>{formatPrice(order.subtotal)}</span>
+            </div>
+            {(order.discounts || []).filter(discount => discount.amount > 0).map(discount => (
+              <div key={discount.couponId} className="summary-row discount">
+                <span>{discount.description}</span>
+                <span>-{formatPrice(discount.amount)}</span>
+              </div>
+            ))}
+            <div className="summary-row">
+              <span>Shipping{order.shippingDetails?.name ? ` (${order.shippingDetails.name})` : ''}</span>
+              <span>{order.shipping === 0 ? 'Free' : formatPrice(order.shipping)}</span>
+            </div>
+            <div className="summary-row">
+              <span>Tax</span>
+              <span>{formatPrice(order.tax)}</span>
+            </div>
+            <div className="summary-row total">
+              <span>Total</span>
+              <span>{formatPrice(order.total)}</span>
+            </div>
+            {order.payment?.card && (
+              <p className="order-payment">
+                Card ending in {order.payment.card.last4} · {formatStatus(order.paymentStatus)}
+              </p>
+            )}
+          </section>
+
+          {address && (
+            <section className="order-section">
+              <h2>Shipping Address</h2>
+              <p className="order-address">
+                {address.street}<br />
+                {address.city}, {address.state} {address.zipCode}<br />
+                {address.country}
+              </p>
+            </section>
+          )}
+
+          <div className="order-actions">
+            <button
+              type="button"
+              onClick={handleReorder}
+              className="reorder-button"
+              disabled={reordering}
+            >
+              {reordering ? 'Adding to Cart...' : 'Reorder'}
+            </button>
+            <Link to={`/orders/${order.id}/invoice`} className="invoice-link">
+              View Invoice
+            </Link>
+          </div>
+        </aside>
+      </div>
+    </div>
+  );
+};
+
+export default OrderDetail;
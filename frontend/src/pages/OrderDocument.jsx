@@ -0,0 +1,89 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { getOrderInvoice, getOrderPackingSlip } from '../services/api';
+import './OrderDocument.css';
+
+const DOCUMENTS = {
+  invoice: { title: 'Invoice', fetch: getOrderInvoice },
+  'packing-slip': { title: 'Packing Slip', fetch: getOrderPackingSlip }
+};
+
+// Shows a server-rendered order document in a frame so it prints on its own, without the app around it
+const OrderDocument = ({ type = 'invoice' }) => {
+  const { id } = useParams();
+  const frameRef = useRef(null);
+  const { title, fetch } = DOCUMENTS[type];
+
+  const [html, setHtml] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchDocument = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      setHtml(await fetch(id));
+    } catch (err) {
+      const errorMessage = err.response?.data?.message ||
+        err.message ||
+        `An error occurred while loading the ${title.toLowerCase()}. Please try again.`;
+      setError(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  }, [id, fetch, title]);
+
+  useEffect(() => {
+    fetchDocument();
+  }, [fetchDocument]);
+
+  const handlePrint = useCallback(() => {
+    frameRef.current?.contentWindow?.print();
+  }, []);
+
+  if (loading) {
+    return (
+      <div className="order-document-container">
+        <div className="loading-container">
+          <div className="loading-spinner"></div>
+          <p>Loading {title.toLowerCase()}...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="order-document-container">
+        <div className="error-container">
+          <h2>{title} Unavailable</h2>
+          <p>{error}</p>
+          <Link to="/products" className="back-button">
+            Back to Products
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="order-document-container">
+      <div className="order-document-toolbar">
+        <h1>{title}</h1>
+        <button type="button" onClick={handlePrint} className="print-button">
+          Print
+        </button>
+      </div>
+      <iframe
+        ref={frameRef}
+        title={title}
+        srcDoc={html}
+        sandbox="allow-same-origin allow-modals"
+        className="order-document-frame"
+      />
+    </div>
+  );
+};
+
+export default OrderDocument;
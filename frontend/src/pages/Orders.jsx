@@ -0,0 +1,117 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { getOrders } from '../services/api';
+import { formatPrice } from '../utils/formatPrice';
+import { formatDate, formatStatus } from '../utils/formatOrder';
+import './Orders.css';
+
+const Orders = () => {
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchOrders = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await getOrders();
+
+      if (response.success) {
+        setOrders(response.data);
+      } else {
+        setError(response.message || 'Failed to fetch orders');
+      }
+    } catch (err) {
+      const errorMessage = err.response?.data?.message ||
+        err.message ||
+        'An error occurred while fetching your orders. Please try again.';
+      setError(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [fetchOrders]);
+
+  // Newest first
+  const sortedOrders = useMemo(() => {
+    return [...orders].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }, [orders]);
+
+  if (loading) {
+    return (
+      <div className="orders-container">
+        <div className="loading-container">
+          <div className="loading-spinner"></div>
+          <p>Loading your orders...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="orders-container">
+        <div className="error-container">
+          <h2>Error</h2>
+          <p>{error}</p>
+          <button onClick={fetchOrders} className="retry-button">
+            Try Again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (sortedOrders.length === 0) {
+    return (
+      <div className="orders-container">
+        <h1>Your Orders</h1>
+        <div className="empty-orders">
+          <div className="empty-orders-icon">📦</div>
+          <h2>No orders yet</h2>
+          <p>When you place an order it will show up here.</p>
+          <Link to="/products" className="shop-button">
+            Start Shopping
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="orders-container">
+      <h1>Your Orders</h1>
+
+      <div className="orders-list">
+        {sortedOrders.map(order => {
+          const itemCount = order.items.reduce((sum, item) => sum + item.quantity, 0);
+
+          return (
+            <Link key={order.id} to={`/orders/${order.id}`} className="order-card">
+              <div className="order-card-header">
+                <span className="order-card-number">{order.orderNumber || order.id}</span>
+                <span className={`order-status status-${order.status}`}>
+                  {formatStatus(order.status)}
+                </span>
+              </div>
+              <div className="order-card-details">
+                <span>Placed {formatDate(order.createdAt)}</span>
+                <span>{itemCount} {itemCount === 1 ? 'item' : 'items'}</span>
+                <span className="order-card-total">{formatPrice(order.total)}</span>
+              </div>
+              <p className="order-card-items">
+                {order.items.map(item => item.name).join(', ')}
+              </p>
+            </Link>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default Orders;
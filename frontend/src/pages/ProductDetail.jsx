@@ -1,14 +1,11 @@
 import { useState, useEffect, useCallback, useMemo } from 'react';
-import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useParams, Link } from 'react-router-dom';
 import { getProductById, addToCart } from '../services/api';
-import { useAuth } from '../context/AuthContext';
 import { formatPrice } from '../utils/formatPrice';
 import './ProductDetail.css';
 
 const ProductDetail = () => {
   const { id } = useParams();
-  const navigate = useNavigate();
-  const { token } = useAuth();
   
   const [product, setProduct] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -48,11 +45,6 @@ const ProductDetail = () => {
   }, [fetchProduct]);
 
   const handleAddToCart = useCallback(async () => {
-    if (!token) {
-      navigate('/login', { state: { from: { pathname: `/products/${id}` } } });
-      return;
-    }
-
     setAddingToCart(true);
     setCartMessage('');
 
@@ -73,21 +65,22 @@ const ProductDetail = () => {
     } finally {
       setAddingToCart(false);
     }
-  }, [token, id, quantity, navigate]);
+  }, [id, quantity]);
+
+  // Stock held in other shoppers' carts is not available
+  const available = product ? (product.available ?? product.stock) : 0;
 
   const handleQuantityChange = useCallback((delta) => {
-    if (!product) return;
     setQuantity(prev => {
       const newQuantity = prev + delta;
-      return Math.max(1, Math.min(newQuantity, product.stock));
+      return Math.max(1, Math.min(newQuantity, available));
     });
-  }, [product]);
+  }, [available]);
 
   const handleQuantityInputChange = useCallback((e) => {
-    if (!product) return;
     const val = parseInt(e.target.value) || 1;
-    setQuantity(Math.max(1, Math.min(val, product.stock)));
-  }, [product]);
+    setQuantity(Math.max(1, Math.min(val, available)));
+  }, [available]);
 
   const images = useMemo(() => {
     return product?.images && product.images.length > 0 
@@ -215,18 +208,20 @@ const ProductDetail = () => {
           )}
 
           <div className="product-stock">
-            {product.stock > 0 ? (
+            {available > 0 ? (
               <span className="in-stock">
-                {product.stock > 10 
-                  ? `In Stock (${product.stock} available)`
-                  : `Only ${product.stock} left in stock!`}
+                {available > 10 
+                  ? `In Stock (${available} available)`
+                  : `Only ${available} available!`}
               </span>
             ) : (
-              <span className="out-of-stock">Out of Stock</span>
+              <span className="out-of-stock">
+                {product.stock > 0 ? 'Currently reserved in other carts' : 'Out of Stock'}
+              </span>
             )}
           </div>
 
-          {product.stock > 0 && (
+          {available > 0 && (
             <div className="add-to-cart-section">
               <div className="quantity-selector">
                 <label htmlFor="quantity">Quantity:</label>
@@ -244,7 +239,7 @@ const ProductDetail = () => {
                     type="number"
                     id="quantity"
                     min="1"
-                    max={product.stock}
+                    max={available}
                     value={quantity}
                     onChange={handleQuantityInputChange}
                     className="quantity-input"
@@ -252,7 +247,7 @@ const ProductDetail = () => {
                   <button
                     type="button"
                     onClick={() => handleQuantityChange(1)}
-                    disabled={quantity >= product.stock}
+                    disabled={quantity >= available}
                     className="quantity-button"
                     aria-label="Increase quantity"
                   >
@@ -263,7 +258,7 @@ const ProductDetail = () => {
 
               <button
                 onClick={handleAddToCart}
-                disabled={addingToCart || product.stock === 0}
+                disabled={addingToCart || available === 0}
                 className="add-to-cart-button"
               >
                 {addingToCart ? 'Adding...' : 'Add to Cart'}
@@ -0,0 +1,214 @@
+import { useState } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { register as registerAPI } from '../services/api';
+import { getFieldErrors } from '../utils/formErrors';
+import './Login.css';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const initialForm = {
+  firstName: '',
+  lastName: '',
+  email: '',
+  password: '',
+  confirmPassword: '',
+  wantsToSell: false
+};
+
+// Checks that can be made before asking the server; the server validates everything again
+const validateForm = (form) => {
+  const errors = {};
+  if (!form.firstName.trim()) errors.firstName = 'First name is required';
+  if (!form.lastName.trim()) errors.lastName = 'Last name is required';
+  if (!form.email.trim()) errors.email = 'Email is required';
+  if (form.password.length < MIN_PASSWORD_LENGTH) {
+    errors.password = `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  } else if (!/[A-Za-z]/.test(form.password) || !/\d/.test(form.password)) {
+    errors.password = 'Password must contain at least one letter and one number';
+  }
+  if (form.confirmPassword !== form.password) {
+    errors.confirmPassword = 'Passwords do not match';
+  }
+  return errors;
+};
+
+const Register = () => {
+  const [form, setForm] = useState(initialForm);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const { login: setAuth } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  // Get the page user was trying to access, or default to products
+  const from = location.state?.from?.pathname || '/products';
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    // Clear the error of a field as soon as it is edited
+    if (fieldErrors[name]) {
+      setFieldErrors(prev => ({ ...prev, [name]: undefined }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const errors = validateForm(form);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await registerAPI({
+        firstName: form.firstName,
+        lastName: form.lastName,
+        email: form.email,
+        password: form.password,
+        role: form.wantsToSell ? 'seller' : 'buyer'
+      });
+
+      if (response.success) {
+        setAuth(response.data.token, response.data.user, response.data.refreshToken);
+
+        // Items from the guest cart that could not be merged are shown on the cart page
+        const conflicts = response.data.cartMerge?.conflicts || [];
+        if (conflicts.length > 0) {
+          navigate('/cart', { replace: true, state: { cartConflicts: conflicts } });
+          return;
+        }
+
+        navigate(from, { replace: true });
+      } else {
+        setError(response.message || 'Registration failed');
+      }
+    } catch (err) {
+      // Invalid input is reported next to the fields it concerns
+      const errors = getFieldErrors(err);
+      if (Object.keys(errors).length > 0) {
+        setFieldErrors(errors);
+        return;
+      }
+
+      const errorMessage = err.response?.data?.message ||
+        err.message ||
+        'An error occurred during registration. Please try again.';
+      setError(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Props shared by every text input: value, change handler and error wiring
+  const fieldProps = (name) => ({
+    id: name,
+    name,
+    value: form[name],
+    onChange: handleChange,
+    disabled: loading,
+    'aria-invalid': Boolean(fieldErrors[name]),
+    'aria-describedby': fieldErrors[name] ? `${name}-error` : undefined
+  });
+
+  const renderFieldError = (name) => fieldErrors[name] && (
+    <span id={`${name}-error`} className="field-error">{fieldErrors[name]}</span>
+  );
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <h1>Create Account</h1>
+        <p className="login-subtitle">Sign up to start shopping</p>
+
+        {error && (
+          <div className="error-message" role="alert">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="login-form" noValidate>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="firstName">First Name</label>
+              <input type="text" autoComplete="given-name" required {...fieldProps('firstName')} />
+              {renderFieldError('firstName')}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="lastName">Last Name</label>
+              <input type="text" autoComplete="family-name" required {...fieldProps('lastName')} />
+              {renderFieldError('lastName')}
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="email">Email</label>
+            <input
+              type="email"
+              placeholder="Enter your email"
+              autoComplete="email"
+              required
+              {...fieldProps('email')}
+            />
+            {renderFieldError('email')}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="password">Password</label>
+            <input
+              type="password"
+              placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+              autoComplete="new-password"
+              required
+              {...fieldProps('password')}
+            />
+            {renderFieldError('password') || (
+              <span className="form-hint">Use at least one letter and one number</span>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="confirmPassword">Confirm Password</label>
+            <input
+              type="password"
+              placeholder="Repeat your password"
+              autoComplete="new-password"
+              required
+              {...fieldProps('confirmPassword')}
+            />
+            {renderFieldError('confirmPassword')}
+          </div>
+
+          <label className="checkbox-group">
+            <input
+              type="checkbox"
+              name="wantsToSell"
+              checked={form.wantsToSell}
+              onChange={handleChange}
+              disabled={loading}
+            />
+            <span>I also want to sell on Marketplace (seller accounts are reviewed before approval)</span>
+          </label>
+          {renderFieldError('role')}
+
+          <button type="submit" className="login-button" disabled={loading}>
+            {loading ? 'Creating account...' : 'Create Account'}
+          </button>
+        </form>
+
+        <div className="login-links">
+          Already have an account? <Link to="/login" state={location.state}>Log in</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Register;
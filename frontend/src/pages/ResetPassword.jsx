@@ -0,0 +1,127 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { resetPassword } from '../services/api';
+import { getFieldErrors } from '../utils/formErrors';
+import './Login.css';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const navigate = useNavigate();
+
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+    if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+      setError('Password must contain at least one letter and one number');
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await resetPassword(token, password);
+      if (response.success) {
+        navigate('/login', { replace: true, state: { message: response.message } });
+      } else {
+        setError(response.message || 'Failed to reset password');
+      }
+    } catch (err) {
+      // Show the first field error (the token or the password) instead of the generic message
+      const fieldError = Object.values(getFieldErrors(err))[0];
+      const errorMessage = fieldError ||
+        err.response?.data?.message ||
+        err.message ||
+        'An error occurred. Please try again.';
+      setError(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="login-container">
+        <div className="login-card">
+          <h1>Reset Password</h1>
+          <div className="error-message" role="alert">
+            This password reset link is incomplete. Please use the link from your email.
+          </div>
+          <div className="login-links">
+            <Link to="/forgot-password">Request a new link</Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <h1>Reset Password</h1>
+        <p className="login-subtitle">Choose a new password for your account</p>
+
+        {error && (
+          <div className="error-message" role="alert">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="login-form">
+          <div className="form-group">
+            <label htmlFor="password">New Password</label>
+            <input
+              type="password"
+              id="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+              disabled={loading}
+              required
+              autoComplete="new-password"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="confirmPassword">Confirm Password</label>
+            <input
+              type="password"
+              id="confirmPassword"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              placeholder="Repeat your new password"
+              disabled={loading}
+              required
+              autoComplete="new-password"
+            />
+          </div>
+
+          <button type="submit" className="login-button" disabled={loading}>
+            {loading ? 'Saving...' : 'Reset Password'}
+          </button>
+        </form>
+
+        <div className="login-links">
+          <Link to="/forgot-password">Request a new link</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
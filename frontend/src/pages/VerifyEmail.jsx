@@ -0,0 +1,75 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { verifyEmail } from '../services/api';
+import './Login.css';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, updateUser } = useAuth();
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(
+    token ? '' : 'This verification link is incomplete. Please use the link from your email.'
+  );
+  // Tokens work once, so make sure the request is only sent once per token
+  const verifiedToken = useRef(null);
+
+  useEffect(() => {
+    if (!token || verifiedToken.current === token) {
+      return;
+    }
+    verifiedToken.current = token;
+
+    const verify = async () => {
+      try {
+        const response = await verifyEmail(token);
+        setStatus('success');
+        setMessage(response.message);
+        if (user && user.id === response.data.id) {
+          updateUser({ ...user, ...response.data });
+        }
+      } catch (err) {
+        setStatus('error');
+        setMessage(err.response?.data?.message || 'Failed to verify your email address');
+      }
+    };
+
+    verify();
+  }, [token, user, updateUser]);
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <h1>Email Verification</h1>
+
+        {status === 'verifying' && (
+          <p className="login-subtitle">Verifying your email address...</p>
+        )}
+
+        {status === 'success' && (
+          <div className="success-message" role="status">
+            {message}
+          </div>
+        )}
+
+        {status === 'error' && (
+          <div className="error-message" role="alert">
+            {message}
+          </div>
+        )}
+
+        <div className="login-links">
+          {user ? (
+            <Link to="/products">Continue shopping</Link>
+          ) : (
+            <Link to="/login">Go to login</Link>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -10,12 +10,15 @@ const api = axios.create({
   },
 });
 
-// Request interceptor - Add token to requests
+// Request interceptor - Add token (or guest cart token) to requests
 api.interceptors.request.use(
   (config) => {
     const token = localStorage.getItem('token');
+    const cartToken = localStorage.getItem('cartToken');
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
+    } else if (cartToken) {
+      config.headers['X-Cart-Token'] = cartToken;
     }
     return config;
   },
@@ -24,18 +27,66 @@ api.interceptors.request.use(
   }
 );
 
+// Fired when the session cannot be refreshed any more; AuthContext signs the user out
+export const SESSION_EXPIRED_EVENT = 'auth:session-expired';
+
+// Auth calls whose 401 means bad credentials or a dead refresh token, not an expired access token
+const NO_REFRESH_URLS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+const endSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+};
+
+// Requests failing together share one refresh, since each refresh token works only once
+let refreshPromise = null;
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios.post(`${API_URL}/auth/refresh`, {
+      refreshToken: localStorage.getItem('refreshToken')
+    })
+      .then(({ data }) => {
+        localStorage.setItem('token', data.data.token);
+        localStorage.setItem('refreshToken', data.data.refreshToken);
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Response interceptor - Handle errors globally
 api.interceptors.response.use(
   (response) => {
+    // Keep the guest cart token issued when a guest first adds to the cart
+    if (response.data?.cartToken) {
+      localStorage.setItem('cartToken', response.data.cartToken);
+    }
     return response;
   },
-  (error) => {
-    // Handle 401 Unauthorized - token expired or invalid
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      // Redirect to login if not already there
-      if (window.location.pathname !== '/login') {
-        window.location.href = '/login';
+  async (error) => {
+    const request = error.config;
+    const canRefresh = request && !request.retried && !NO_REFRESH_URLS.includes(request.url);
+
+    // Handle 401 Unauthorized - get a new access token and retry once
+    if (error.response?.status === 401 && canRefresh && localStorage.getItem('token')) {
+      if (!localStorage.getItem('refreshToken')) {
+        endSession();
+        return Promise.reject(error);
+      }
+
+      request.retried = true;
+      try {
+        await refreshAccessToken();
+        // The request interceptor adds the new token
+        return api(request);
+      } catch (refreshError) {
+        // Keep the session through network errors; only a rejected refresh token ends it
+        if (refreshError.response?.status === 401) {
+          endSession();
+        }
       }
     }
     return Promise.reject(error);
@@ -44,24 +95,111 @@ api.interceptors.response.use(
 
 // ==================== AUTH ENDPOINTS ====================
 
+// Send the guest cart token so the guest cart is merged into the account,
+// then forget it once the merge has happened
+const withGuestCart = async (request) => {
+  const cartToken = localStorage.getItem('cartToken');
+  const response = await request(cartToken ? { cartToken } : {});
+  if (response.data.success) {
+    localStorage.removeItem('cartToken');
+  }
+  return response.data;
+};
+
 /**
  * Login user
  * @param {string} email - User email
  * @param {string} password - User password
- * @returns {Promise} Response with token and user data
+ * @returns {Promise} Response with access token, refresh token, user data and guest cart merge result
  */
 export const login = async (email, password) => {
-  const response = await api.post('/auth/login', { email, password });
-  return response.data;
+  return withGuestCart((guestCart) => api.post('/auth/login', { email, password, ...guestCart }));
 };
 
 /**
  * Register new user
  * @param {Object} userData - User registration data
- * @returns {Promise} Response with token and user data
+ * @returns {Promise} Response with access token, refresh token, user data and guest cart merge result
  */
 export const register = async (userData) => {
-  const response = await api.post('/auth/register', userData);
+  return withGuestCart((guestCart) => api.post('/auth/register', { ...userData, ...guestCart }));
+};
+
+/**
+ * Revoke the session of a refresh token on the server
+ * @param {string} refreshToken - Refresh token of the session to end
+ * @returns {Promise} Response with success message
+ */
+export const logout = async (refreshToken) => {
+  const response = await api.post('/auth/logout', { refreshToken });
+  return response.data;
+};
+
+/**
+ * Request a password reset link by email
+ * @param {string} email - Account email
+ * @returns {Promise} Response with a message (the same whether or not the account exists)
+ */
+export const forgotPassword = async (email) => {
+  const response = await api.post('/auth/forgot-password', { email });
+  return response.data;
+};
+
+/**
+ * Set a new password with the token from a reset link
+ * @param {string} token - Reset token from the emailed link
+ * @param {string} password - New password
+ * @returns {Promise} Response with success message
+ */
+export const resetPassword = async (token, password) => {
+  const response = await api.post('/auth/reset-password', { token, password });
+  return response.data;
+};
+
+/**
+ * Verify an email address with the token from a verification link
+ * @param {string} token - Verification token from the emailed link
+ * @returns {Promise} Response with the verified user
+ */
+export const verifyEmail = async (token) => {
+  const response = await api.get(`/auth/verify/${encodeURIComponent(token)}`);
+  return response.data;
+};
+
+/**
+ * Email the current user a new verification link (requires authentication)
+ * @returns {Promise} Response with success message
+ */
+export const resendVerificationEmail = async () => {
+  const response = await api.post('/auth/verify/resend');
+  return response.data;
+};
+
+/**
+ * List the current user's active sessions (requires authentication)
+ * @returns {Promise} Response with sessions (device, last use, current flag)
+ */
+export const getSessions = async () => {
+  const response = await api.get('/auth/sessions');
+  return response.data;
+};
+
+/**
+ * Sign out one of the current user's sessions (requires authentication)
+ * @param {string} sessionId - Session ID
+ * @returns {Promise} Response with success message
+ */
+export const revokeSession = async (sessionId) => {
+  const response = await api.delete(`/auth/sessions/${sessionId}`);
+  return response.data;
+};
+
+/**
+ * Sign out every session except the current one (requires authentication)
+ * @returns {Promise} Response with the number of sessions revoked
+ */
+export const revokeOtherSessions = async () => {
+  const response = await api.delete('/auth/sessions');
   return response.data;
 };
 
@@ -84,6 +222,18 @@ export const updateProfile = async (userData) => {
   return response.data;
 };
 
+/**
+ * Change the current user's password (requires authentication)
+ * Other sessions are signed out; the current one stays active.
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password
+ * @returns {Promise} Response with the number of sessions revoked
+ */
+export const changePassword = async (currentPassword, newPassword) => {
+  const response = await api.put('/auth/password', { currentPassword, newPassword });
+  return response.data;
+};
+
 // ==================== PRODUCT ENDPOINTS ====================
 
 /**
@@ -109,7 +259,7 @@ export const getProductById = async (id) => {
 // ==================== CART ENDPOINTS ====================
 
 /**
- * Get user's cart (requires authentication)
+ * Get user's or guest's cart
  * @returns {Promise} Response with cart items, subtotal, and item count
  */
 export const getCart = async () => {
@@ -118,7 +268,7 @@ export const getCart = async () => {
 };
 
 /**
- * Add item to cart (requires authentication)
+ * Add item to cart (signed-in user or guest cart)
  * @param {string} productId - Product ID to add
  * @param {number} quantity - Quantity to add (default: 1)
  * @returns {Promise} Response with cart item data
@@ -129,7 +279,7 @@ export const addToCart = async (productId, quantity = 1) => {
 };
 
 /**
- * Update cart item quantity (requires authentication)
+ * Update cart item quantity (signed-in user or guest cart)
  * @param {string} productId - Product ID to update
  * @param {number} quantity - New quantity
  * @returns {Promise} Response with updated cart item data
@@ -140,7 +290,7 @@ export const updateCartItem = async (productId, quantity) => {
 };
 
 /**
- * Remove item from cart (requires authentication)
+ * Remove item from cart (signed-in user or guest cart)
  * @param {string} productId - Product ID to remove
  * @returns {Promise} Response with success message
  */
@@ -150,7 +300,7 @@ export const removeFromCart = async (productId) => {
 };
 
 /**
- * Clear entire cart (requires authentication)
+ * Clear entire cart (signed-in user or guest cart)
  * @returns {Promise} Response with success message
  */
 export const clearCart = async () => {
@@ -158,6 +308,138 @@ export const clearCart = async () => {
   return response.data;
 };
 
+/**
+ * Apply a coupon code to the cart
+ * @param {string} code - Coupon code
+ * @returns {Promise} Response with the cart's discount lines
+ */
+export const applyCoupon = async (code) => {
+  const response = await api.post('/cart/coupon', { code });
+  return response.data;
+};
+
+/**
+ * Remove the coupon code from the cart
+ * @returns {Promise} Response with success message
+ */
+export const removeCoupon = async () => {
+  const response = await api.delete('/cart/coupon');
+  return response.data;
+};
+
+// ==================== CHECKOUT ENDPOINTS ====================
+
+/**
+ * Get checkout preview for the current cart (requires authentication)
+ * @param {string} shippingMethod - Shipping method ID (default: standard)
+ * @param {Object} address - Destination used for tax: { country, state, zipCode } (default: saved address)
+ * @returns {Promise} Response with validated items, shipping methods and totals
+ */
+export const getCheckoutPreview = async (shippingMethod, address) => {
+  const response = await api.get('/checkout', {
+    params: {
+      shippingMethod,
+      country: address?.country,
+      state: address?.state,
+      zipCode: address?.zipCode
+    }
+  });
+  return response.data;
+};
+
+/**
+ * Place an order from the current cart (requires authentication)
+ * @param {Object} checkoutData - { shippingAddress, shippingMethod, paymentMethod, paymentDetails }
+ *   paymentDetails: { cardNumber, expMonth, expYear, cvc }
+ * @param {string} idempotencyKey - Reused when retrying the same checkout so the order is placed once
+ * @returns {Promise} Response with the created order (paymentStatus may be 'requires_action')
+ */
+export const checkout = async (checkoutData, idempotencyKey) => {
+  const response = await api.post('/checkout', checkoutData, {
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined
+  });
+  return response.data;
+};
+
+/**
+ * Confirm a payment the card issuer asked the buyer to approve
+ * @param {string} orderId - Order ID
+ * @returns {Promise} Response with the updated order
+ */
+export const confirmOrderPayment = async (orderId) => {
+  const response = await api.post(`/orders/${orderId}/payment/confirm`);
+  return response.data;
+};
+
+// ==================== ORDER ENDPOINTS ====================
+
+/**
+ * Get the current user's orders (all orders for admins; requires authentication)
+ * @returns {Promise} Response with orders array
+ */
+export const getOrders = async () => {
+  const response = await api.get('/orders');
+  return response.data;
+};
+
+/**
+ * Get order by ID (requires ownership, or seller/admin)
+ * @param {string} orderId - Order ID
+ * @returns {Promise} Response with the order, its fulfillments and status history
+ */
+export const getOrderById = async (orderId) => {
+  const response = await api.get(`/orders/${orderId}`);
+  return response.data;
+};
+
+/**
+ * Get order by its customer-facing order number (requires ownership, or seller/admin)
+ * @param {string} orderNumber - Order number, e.g. MKT-0000018
+ * @returns {Promise} Response with the order
+ */
+export const getOrderByNumber = async (orderNumber) => {
+  const response = await api.get(`/orders/by-number/${encodeURIComponent(orderNumber)}`);
+  return response.data;
+};
+
+/**
+ * Get an order's invoice as a printable HTML document (requires ownership, or seller/admin)
+ * @param {string} orderId - Order ID
+ * @returns {Promise<string>} HTML document
+ */
+export const getOrderInvoice = async (orderId) => {
+  const response = await api.get(`/orders/${orderId}/invoice`);
+  return response.data;
+};
+
+/**
+ * Get an order's packing slip as a printable HTML document (requires ownership, or seller/admin)
+ * @param {string} orderId - Order ID
+ * @returns {Promise<string>} HTML document
+ */
+export const getOrderPackingSlip = async (orderId) => {
+  const response = await api.get(`/orders/${orderId}/packing-slip`);
+  return response.data;
+};
+
+// ==================== SHIPPING ENDPOINTS ====================
+
+/**
+ * Quote every shipping method for the current cart
+ * @param {Object} address - Destination: { country, state, zipCode } (default: saved address)
+ * @returns {Promise} Response with zone, weight and available methods with prices
+ */
+export const getShippingQuote = async (address) => {
+  const response = await api.get('/shipping/quote', {
+    params: {
+      country: address?.country,
+      state: address?.state,
+      zipCode: address?.zipCode
+    }
+  });
+  return response.data;
+};
+
 // ==================== CATEGORY ENDPOINTS (Optional) ====================
 
 /**
@@ -0,0 +1,18 @@
+/**
+ * Read per-field validation errors from a failed API request
+ * @param {Error} err - Axios error; the API answers invalid input with 422 and
+ *   errors: [{ field, message }]
+ * @returns {Object} Messages keyed by field, e.g. { email: 'Enter a valid email address' }
+ */
+export const getFieldErrors = (err) => {
+  if (err.response?.status !== 422 || !Array.isArray(err.response.data?.errors)) {
+    return {};
+  }
+
+  return err.response.data.errors.reduce((fieldErrors, { field, message }) => {
+    if (field && !fieldErrors[field]) {
+      fieldErrors[field] = message;
+    }
+    return fieldErrors;
+  }, {});
+};
@@ -0,0 +1,23 @@
+/**
+ * Format an ISO date for order pages
+ * @param {string} date - ISO date string
+ * @param {boolean} withTime - Include the time of day
+ * @returns {string} Formatted date string
+ */
+export const formatDate = (date, withTime = false) => {
+  return new Intl.DateTimeFormat('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    ...(withTime && { hour: 'numeric', minute: '2-digit' })
+  }).format(new Date(date));
+};
+
+/**
+ * Turn an order or fulfillment status into a label
+ * @param {string} status - Status, e.g. 'shipped'
+ * @returns {string} Label, e.g. 'Shipped'
+ */
+export const formatStatus = (status) => {
+  return status ? status.charAt(0).toUpperCase() + status.slice(1).replace(/_/g, ' ') : '';
+};